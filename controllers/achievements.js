@@ -0,0 +1,93 @@
+/**
+ * =============================================================================
+ * ACHIEVEMENTS CONTROLLER - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Streaks and badges for the authenticated user.
+ *
+ * Exposed Endpoints:
+ * - GET /                  - Current streaks and every badge, with progress
+ *
+ * Badges are awarded when POST /gotobed/wakeup finishes a session (see
+ * utils/achievements.js); this controller only reads them. Streaks are
+ * computed from sleep data on each request.
+ *
+ * Security Considerations:
+ * - All routes require valid JWT authentication
+ * - Users only ever see their own achievements
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Core Express framework for routing
+const express = require('express');
+const router = express.Router();
+
+// Streak and badge evaluation
+const { getAchievements } = require('../utils/achievements');
+
+// Authentication middleware
+const verifyToken = require('../middleware/verifyToken');
+
+// Apply JWT verification to all routes in this controller
+router.use(verifyToken);
+
+/**
+ * =============================================================================
+ * GET /
+ * =============================================================================
+ * Lists the user's streaks and all badges, earned ones with when and on
+ * which session they were earned.
+ *
+ * Query Parameters:
+ * - earned: "true" or "false" to only list earned / not yet earned badges
+ *
+ * Response:
+ * - Success: { streaks, earnedCount, data: [badges] }
+ *   - streaks.logging / streaks.dreamJournal: { current, longest } in nights;
+ *     a streak that ended last night is still current
+ *   - streaks.goals: [{ goalId, summary, currentNights, longestNights,
+ *     currentWeeks }] for each active goal (last 90 days)
+ *   - badges: [{ badge, name, description, earned, awardedAt, sleepSession,
+ *     progress: { value, target } }]
+ * - Error: 404 if the user no longer exists, 500 for server errors
+ * =============================================================================
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const achievements = await getAchievements(req.user.id);
+    if (!achievements) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    let badges = achievements.badges;
+    if (req.query.earned === 'true' || req.query.earned === 'false') {
+      const earned = req.query.earned === 'true';
+      badges = badges.filter(badge => badge.earned === earned);
+    }
+
+    res.status(200).json({
+      success: true,
+      streaks: achievements.streaks,
+      earnedCount: achievements.earnedCount,
+      count: badges.length,
+      data: badges
+    });
+  } catch (error) {
+    console.error('[ACHIEVEMENTS] Error fetching achievements:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
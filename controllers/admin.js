@@ -34,6 +34,10 @@ const router = express.Router();
 const User = require('../models/User');
 const Bedroom = require('../models/Bedroom');
 const SleepData = require('../models/SleepData');
+const SleepGoal = require('../models/SleepGoal');
+const Achievement = require('../models/Achievement');
+const Insight = require('../models/Insight');
+const Notification = require('../models/Notification');
 
 // Security and authentication utilities
 const bcrypt = require('bcrypt'); // For password hashing and comparison
@@ -432,7 +436,8 @@ router.patch('/users/:id', verifyToken, async (req, res) => {
  * Cascade Deletion Process:
  * 1. Deletes all bedrooms owned by the user
  * 2. Deletes all sleep data/sessions for the user
- * 3. Finally deletes the user document
+ * 3. Deletes the user's sleep goals, earned badges, insights and queued notifications
+ * 4. Finally deletes the user document
  * 
  * Response:
  * - Success: Confirmation message with deletion summary
@@ -538,6 +543,10 @@ router.delete('/users/:id', verifyToken, requireAdmin, async (req, res) => {
     const deletionResults = {
       bedrooms: 0,
       sleepSessions: 0,
+      goals: 0,
+      achievements: 0,
+      insights: 0,
+      notifications: 0,
       user: 0
     };
 
@@ -553,7 +562,31 @@ router.delete('/users/:id', verifyToken, requireAdmin, async (req, res) => {
     deletionResults.sleepSessions = sleepDataDeletion.deletedCount;
     console.log(`[ADMIN] Deleted ${deletionResults.sleepSessions} sleep sessions for user: ${targetUser.username}`);
 
-    // Step 3: Finally delete the user document
+    // Step 3: Delete all sleep goals for this user
+    console.log(`[ADMIN] Deleting sleep goals for user: ${targetUser.username}`);
+    const goalDeletion = await SleepGoal.deleteMany({ user: userId });
+    deletionResults.goals = goalDeletion.deletedCount;
+    console.log(`[ADMIN] Deleted ${deletionResults.goals} sleep goals for user: ${targetUser.username}`);
+
+    // Step 4: Delete all earned badges for this user
+    console.log(`[ADMIN] Deleting achievements for user: ${targetUser.username}`);
+    const achievementDeletion = await Achievement.deleteMany({ user: userId });
+    deletionResults.achievements = achievementDeletion.deletedCount;
+    console.log(`[ADMIN] Deleted ${deletionResults.achievements} achievements for user: ${targetUser.username}`);
+
+    // Step 5: Delete all sleep insights for this user
+    console.log(`[ADMIN] Deleting insights for user: ${targetUser.username}`);
+    const insightDeletion = await Insight.deleteMany({ user: userId });
+    deletionResults.insights = insightDeletion.deletedCount;
+    console.log(`[ADMIN] Deleted ${deletionResults.insights} insights for user: ${targetUser.username}`);
+
+    // Step 6: Delete all queued notifications for this user
+    console.log(`[ADMIN] Deleting notifications for user: ${targetUser.username}`);
+    const notificationDeletion = await Notification.deleteMany({ user: userId });
+    deletionResults.notifications = notificationDeletion.deletedCount;
+    console.log(`[ADMIN] Deleted ${deletionResults.notifications} notifications for user: ${targetUser.username}`);
+
+    // Step 7: Finally delete the user document
     console.log(`[ADMIN] Deleting user document: ${targetUser.username}`);
     const deletedUser = await User.findByIdAndDelete(userId);
     if (!deletedUser) {
@@ -587,7 +620,12 @@ router.delete('/users/:id', verifyToken, requireAdmin, async (req, res) => {
         deletedData: {
           bedrooms: deletionResults.bedrooms,
           sleepSessions: deletionResults.sleepSessions,
-          totalRecords: deletionResults.bedrooms + deletionResults.sleepSessions + 1
+          goals: deletionResults.goals,
+          achievements: deletionResults.achievements,
+          insights: deletionResults.insights,
+          notifications: deletionResults.notifications,
+          totalRecords: deletionResults.bedrooms + deletionResults.sleepSessions + deletionResults.goals +
+            deletionResults.achievements + deletionResults.insights + deletionResults.notifications + 1
         }
       }
     });
@@ -13,6 +13,7 @@
  * - Bedroom creation, retrieval, updates, and deletion
  * - Data validation and constraint enforcement
  * - Password-protected deletion for data safety
+ * - Comparison of sleep across bedrooms and environment settings
  * - Comprehensive ownership validation
  * 
  * Security Considerations:
@@ -24,7 +25,7 @@
  * - Protection against deletion of last bedroom
  * 
  * Data Validation:
- * - Light levels: pitch black, very dim, dim, normal, bright, daylight
+ * - Light levels: pitch black, very dim, dim, moderate, bright, daylight
  * - Noise levels: silent, very quiet, quiet, moderate, loud, very loud
  * - Temperature: 50-100°F range validation
  * - Required field validation via Mongoose schema
@@ -46,43 +47,21 @@ const User = require('../models/User');
 const bcrypt = require('bcrypt'); // For password verification during deletions
 const verifyToken = require('../middleware/verifyToken'); // JWT verification
 
+// Environment validation, shared with per-night overrides on sleep sessions
+const {
+  validateLightLevel,
+  validateNoiseLevel,
+  validateTemperature
+} = require('../utils/bedroomValidation');
+
+// Sleep analytics
+const { getBedroomComparison } = require('../utils/bedroomComparison');
+const { isValidDate } = require('../utils/sleepValidation');
+
 // Apply JWT verification to all routes in this controller
 // This ensures all bedroom operations require authentication
 router.use(verifyToken);
 
-/**
- * =============================================================================
- * VALIDATION CONSTANTS
- * =============================================================================
- * These constants define the allowed enum values for bedroom environment
- * settings. They must match the schema definitions in the Bedroom model.
- * =============================================================================
- */
-
-// Valid light level options for bedroom environment
-const VALID_LIGHT_LEVELS = [
-  'pitch black',  // Complete darkness
-  'very dim',     // Minimal light
-  'dim',          // Low light
-  'normal',       // Standard room lighting
-  'bright',       // Well-lit room
-  'daylight'      // Natural or very bright lighting
-];
-
-// Valid noise level options for bedroom environment
-const VALID_NOISE_LEVELS = [
-  'silent',       // No noise
-  'very quiet',   // Minimal ambient noise
-  'quiet',        // Low noise level
-  'moderate',     // Average noise level
-  'loud',         // High noise level
-  'very loud'     // Very high noise level
-];
-
-// Temperature range constants (Fahrenheit)
-const MIN_TEMPERATURE = 50; // Minimum allowed temperature
-const MAX_TEMPERATURE = 100; // Maximum allowed temperature
-
 /**
  * =============================================================================
  * GET /
@@ -230,6 +209,97 @@ router.get('/by-name/:bedroomName', async (req, res) => {
   }
 });
 
+/**
+ * =============================================================================
+ * GET /compare
+ * =============================================================================
+ * Compares the user's bedrooms and environment settings to show which setup
+ * they actually sleep best in.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Only the authenticated user's bedrooms and sleep sessions are used
+ * 
+ * Query Parameters:
+ * - from, to: YYYY-MM-DD (optional) - first and last night, by the local date
+ *   of the final wake-up; all history when omitted
+ * 
+ * Response:
+ * - Success: { range, nights, bedrooms, rankings, breakdowns }
+ *   - bedrooms: every bedroom (including deleted ones that still have nights),
+ *     best sleep quality first, each with nights, confidence and the metrics
+ *   - rankings: { sleepQuality, totalSleepMinutes, awakenings, dreamRecallRate },
+ *     each a list of { rank, bedroomId, bedroomName, value, margin, nights,
+ *     confidence }, best first (fewest awakenings ranks first)
+ *   - breakdowns: { temperature, lightLevel, noiseLevel, bedType, mattressType },
+ *     each a list of { value, nights, confidence, ...metrics } across all
+ *     bedrooms, best sleep quality first; temperature is grouped into bands
+ * - Error: 400 for invalid dates, 404 if the user no longer exists,
+ *   500 for server errors
+ * 
+ * Notes:
+ * - Uses finished main sleeps, one per night; naps and segmented sleep are left out
+ * - Each metric is { value, margin, nights, confidence }: the average, its 95%
+ *   margin of error (null for a single night), the nights it is based on, and
+ *   "low" (under 7 nights), "medium" (under 21) or "high"
+ * - dreamRecallRate is the % of nights with at least one dream recorded
+ * - Breakdowns use the conditions each night was slept in (bedroom snapshot
+ *   plus per-night overrides), not the bedroom's current settings
+ * =============================================================================
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    console.log(`[BEDROOMS] Comparing bedrooms for user: ${req.user.username}`);
+
+    // Validate the optional date range
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && (!datePattern.test(from) || !isValidDate(from))) ||
+        (to && (!datePattern.test(to) || !isValidDate(to)))) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid date format for from/to. Use YYYY-MM-DD.' 
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'from must not be after to.' 
+      });
+    }
+
+    const comparison = await getBedroomComparison(req.user.id, { from: from || null, to: to || null });
+    if (!comparison) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found. Please log in again.' 
+      });
+    }
+
+    console.log(`[BEDROOMS] Compared ${comparison.bedrooms.length} bedrooms over ${comparison.nights} nights for user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    // Log detailed error for debugging
+    console.error('[BEDROOMS] Error comparing bedrooms:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+    
+    // Return generic error message for security
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to compare bedrooms. Please try again later.' 
+    });
+  }
+});
+
 /**
  * =============================================================================
  * GET /:id
@@ -312,83 +382,6 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-/**
- * =============================================================================
- * VALIDATION HELPER FUNCTIONS
- * =============================================================================
- * These functions provide reusable validation logic for bedroom environment
- * settings. They ensure data consistency and provide detailed error messages.
- * =============================================================================
- */
-
-/**
- * Validates light level against allowed enum values
- * @param {string} lightLevel - The light level to validate
- * @returns {Object} - { isValid: boolean, error: string|null }
- */
-function validateLightLevel(lightLevel) {
-  if (!lightLevel) return { isValid: true, error: null }; // Optional field
-  
-  if (typeof lightLevel !== 'string') {
-    return { isValid: false, error: 'Light level must be a string.' };
-  }
-  
-  if (!VALID_LIGHT_LEVELS.includes(lightLevel)) {
-    return { 
-      isValid: false, 
-      error: `Light level must be one of: ${VALID_LIGHT_LEVELS.join(', ')}` 
-    };
-  }
-  
-  return { isValid: true, error: null };
-}
-
-/**
- * Validates noise level against allowed enum values
- * @param {string} noiseLevel - The noise level to validate
- * @returns {Object} - { isValid: boolean, error: string|null }
- */
-function validateNoiseLevel(noiseLevel) {
-  if (!noiseLevel) return { isValid: true, error: null }; // Optional field
-  
-  if (typeof noiseLevel !== 'string') {
-    return { isValid: false, error: 'Noise level must be a string.' };
-  }
-  
-  if (!VALID_NOISE_LEVELS.includes(noiseLevel)) {
-    return { 
-      isValid: false, 
-      error: `Noise level must be one of: ${VALID_NOISE_LEVELS.join(', ')}` 
-    };
-  }
-  
-  return { isValid: true, error: null };
-}
-
-/**
- * Validates temperature within acceptable range
- * @param {number} temperature - The temperature to validate (Fahrenheit)
- * @returns {Object} - { isValid: boolean, error: string|null }
- */
-function validateTemperature(temperature) {
-  if (temperature === undefined || temperature === null) {
-    return { isValid: true, error: null }; // Optional field
-  }
-  
-  if (typeof temperature !== 'number' || isNaN(temperature)) {
-    return { isValid: false, error: 'Temperature must be a valid number.' };
-  }
-  
-  if (temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE) {
-    return { 
-      isValid: false, 
-      error: `Temperature must be between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE} degrees Fahrenheit.` 
-    };
-  }
-  
-  return { isValid: true, error: null };
-}
-
 /**
  * =============================================================================
  * POST /new
@@ -402,8 +395,8 @@ function validateTemperature(temperature) {
  * Request Body:
  * - bedroomName: String (required) - unique name for the bedroom
  * - description: String (optional) - bedroom description
- * - lightLevel: String (optional) - from VALID_LIGHT_LEVELS enum
- * - noiseLevel: String (optional) - from VALID_NOISE_LEVELS enum
+ * - lightLevel: String (optional) - from VALID_LIGHT_LEVELS (utils/bedroomValidation.js)
+ * - noiseLevel: String (optional) - from VALID_NOISE_LEVELS (utils/bedroomValidation.js)
  * - temperature: Number (optional) - temperature in Fahrenheit (50-100)
  * - Additional fields as defined in Bedroom schema
  * 
@@ -529,8 +522,8 @@ router.post('/new', async (req, res) => {
  * Request Body (all optional):
  * - bedroomName: String - new bedroom name
  * - description: String - updated description
- * - lightLevel: String - from VALID_LIGHT_LEVELS enum
- * - noiseLevel: String - from VALID_NOISE_LEVELS enum
+ * - lightLevel: String - from VALID_LIGHT_LEVELS (utils/bedroomValidation.js)
+ * - noiseLevel: String - from VALID_NOISE_LEVELS (utils/bedroomValidation.js)
  * - temperature: Number - temperature in Fahrenheit (50-100)
  * - Additional fields as defined in Bedroom schema
  * 
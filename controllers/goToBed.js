@@ -15,10 +15,28 @@
  * - Detailed error handling and validation
  * 
  * Sleep Session Lifecycle:
- * 1. User goes to bed → POST / (creates new sleep session)
+ * 1. User goes to bed → POST / (creates new session, status "sleeping")
  * 2. User wakes up → POST /wakeup (adds wake-up event)
- * 3. If going back to bed → POST /wakeup with finishedSleeping=false
- * 4. Final wake-up → POST /wakeup with finishedSleeping=true
+ * 3. If going back to bed → POST /wakeup with finishedSleeping=false (status "awake-in-night")
+ * 4. Final wake-up → POST /wakeup with finishedSleeping=true (status "finished"),
+ *    after which streaks and badges are evaluated (see utils/achievements.js)
+ *    and, for main sleeps, sleep insights are generated (see utils/sleepInsights.js)
+ *
+ * Allowed status transitions are enforced by the SleepData model, and a
+ * partial unique index guarantees at most one open session per user.
+ *
+ * Abandoned Sessions:
+ * - An open session that has gone stale (see utils/sleepSessions.js) is marked
+ *   "abandoned" automatically when the user starts a new session or checks
+ *   GET /active, or on demand via POST /resolve-stale
+ * - GET /abandoned lists abandoned sessions awaiting review
+ * - POST /abandoned/:id/finalize closes one with an estimated wake-up time
+ * - POST /abandoned/:id/dismiss keeps it abandoned and stops asking
+ *
+ * Cancelled Sessions:
+ * - POST /cancel discards a session started by mistake (status "cancelled")
+ * - POST /cancel/:id/undo restores it within the undo window, after which
+ *   MongoDB purges it; cancelled sessions never show up in listings or analytics
  * 
  * Security Considerations:
  * - All routes require valid JWT authentication
@@ -42,10 +60,153 @@ const router = express.Router();
 
 // Data models
 const SleepData = require('../models/SleepData');
+const Bedroom = require('../models/Bedroom');
+
+// Sleep session lifecycle helpers
+const {
+  cancelSession,
+  undoCancellation,
+  resolveStaleActiveSession,
+  getTypicalSleepDurationMs,
+  estimateWakeUpTime
+} = require('../utils/sleepSessions');
+const {
+  validateCuddleBuddy,
+  validateSessionType,
+  validateUtcOffset,
+  validatePreSleepFactors,
+  validateEnvironmentOverrides,
+  validateWakeUpDreams,
+  validateWakeUp,
+  validateSleepOnsetTimes,
+  validateSessionTimeline
+} = require('../utils/sleepValidation');
+const { evaluateAchievements } = require('../utils/achievements');
+const { generateInsights } = require('../utils/sleepInsights');
+const { applyInferredSessionType } = require('../utils/sessionTypes');
+const { buildDreamEntries } = require('../utils/dreams');
+const {
+  getSleepCycleProfile,
+  suggestWakeTimes,
+  suggestBedtimes
+} = require('../utils/wakeWindows');
 
 // Authentication middleware
 const verifyToken = require('../middleware/verifyToken');
 
+/**
+ * Builds the active-session summary returned to the frontend.
+ * @param {Object} session - An open SleepData document (bedroom populated)
+ * @returns {Object} Summary used by the ACTIVE_SESSION_EXISTS and GET /active responses
+ */
+function summarizeActiveSession(session) {
+  const wakeUpCount = session.wakeUps.length;
+  return {
+    id: session._id,
+    createdAt: session.createdAt,
+    sessionType: session.sessionType,
+    bedroom: session.bedroom,
+    user: session.user,
+    cuddleBuddy: session.cuddleBuddy,
+    sleepyThoughts: session.sleepyThoughts,
+    wakeUpCount,
+    status: session.status,
+    statusDescription: session.status === 'sleeping'
+      ? 'sleeping (no wake-ups yet)'
+      : `awake in the night (${wakeUpCount} wake-ups, not finished)`,
+    lastWakeUp: wakeUpCount > 0 ? session.wakeUps[wakeUpCount - 1] : null
+  };
+}
+
+/**
+ * Builds the summary of an abandoned session shown to the user for review.
+ * @param {Object} session - An abandoned SleepData document
+ * @param {number} typicalDurationMs - The user's typical night length
+ * @returns {Object} Summary including the estimated wake-up time
+ */
+function summarizeAbandonedSession(session, typicalDurationMs) {
+  return {
+    id: session._id,
+    createdAt: session.createdAt,
+    sessionType: session.sessionType,
+    bedroom: session.bedroom,
+    wakeUpCount: session.wakeUps.length,
+    abandonedAt: session.abandonment ? session.abandonment.abandonedAt : null,
+    reason: session.abandonment ? session.abandonment.reason : '',
+    estimatedWakeUpAt: estimateWakeUpTime(session, typicalDurationMs)
+  };
+}
+
+/**
+ * Loads an abandoned session owned by the authenticated user.
+ * Sends the error response itself and returns null when the session
+ * is missing, not owned by the user, or not abandoned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The abandoned SleepData document
+ */
+async function loadOwnAbandonedSession(req, res) {
+  const sessionId = req.params.id;
+
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ 
+      success: false,
+      message: 'Invalid sleep session ID format.' 
+    });
+    return null;
+  }
+
+  const session = await SleepData.findById(sessionId);
+
+  if (!session || session.user.toString() !== req.user.id.toString()) {
+    if (session) {
+      console.warn(`[SECURITY] Unauthorized abandoned session access attempt: ${req.user.username} tried to access session ${sessionId}`);
+    }
+    res.status(404).json({ 
+      success: false,
+      message: 'Sleep session not found.' 
+    });
+    return null;
+  }
+
+  if (session.status !== 'abandoned') {
+    res.status(400).json({ 
+      success: false,
+      message: `Only abandoned sessions can be resolved. This session is "${session.status}".` 
+    });
+    return null;
+  }
+
+  // Sessions abandoned by the status migration before it recorded details have none
+  if (!session.abandonment) {
+    session.abandonment = {
+      abandonedAt: new Date(),
+      reason: 'migrated',
+      reviewed: false
+    };
+  }
+
+  return session;
+}
+
+/**
+ * Sends the 409 response used whenever the user already has an open session.
+ * @param {Object} res - Express response object
+ * @param {Object} session - The user's open SleepData document
+ */
+async function sendActiveSessionConflict(res, session) {
+  await session.populate('bedroom', 'bedroomName description');
+  await session.populate('user', 'username firstName lastName');
+
+  return res.status(409).json({ 
+    success: false,
+    error: 'ACTIVE_SESSION_EXISTS',
+    message: 'You already have an active sleep session. Redirecting to wake-up page.',
+    redirectTo: '/gotobed/wakeup',
+    activeSession: summarizeActiveSession(session)
+  });
+}
+
 /**
  * =============================================================================
  * POST /
@@ -57,18 +218,34 @@ const verifyToken = require('../middleware/verifyToken');
  * - Creates sleep session owned by authenticated user
  * 
  * Request Body:
- * - bedroom: ObjectId (required) - reference to the bedroom being used
+ * - bedroom: ObjectId (required) - reference to one of the user's bedrooms;
+ *   its environment is copied onto the session as bedroomSnapshot
+ * - environmentOverrides: Object (optional) - tonight's temperature, lightLevel
+ *   and/or noiseLevel where they differ from the bedroom; validated like
+ *   bedroom settings, and the bedroom itself is not changed
  * - cuddleBuddy: String (optional) - what the user is cuddling with
  * - sleepyThoughts: String (optional) - pre-sleep thoughts and notes
+ * - lightsOutAt: Date (optional) - when the lights went out, within 12 hours of now
+ * - sleepOnsetAt: Date (optional) - estimate of when the user fell asleep
+ * - preSleepFactors: Object (optional) - checklist of caffeineServings,
+ *   lastCaffeineAt, alcoholDrinks, exercise, heavyMeal, screenTimeMinutes,
+ *   stressLevel (1-10) and medications
+ * - sessionType: String (optional) - "main", "nap" or "segmented"; inferred from
+ *   the time of day (and, once finished, the session length) when omitted
+ * - utcOffsetMinutes: Number (optional) - the user's UTC offset, used to infer the type
  * 
  * Response:
- * - Success: Created sleep session object with generated ID
- * - Error: 400 for active session exists or validation errors, 500 for server errors
+ * - Success: Created sleep session object with generated ID, plus wakeWindows:
+ *   suggested wake-up times on estimated ~90-minute cycle boundaries
+ * - Error: 400 for active session exists or validation errors, 404 for an
+ *   unknown bedroom, 500 for server errors
  * 
  * Business Rules:
  * - Users can only have one active sleep session at a time
- * - Active session is defined as having no wake-ups OR the LAST wake-up has finishedSleeping=false
- * - New session starts with empty wakeUps array
+ * - Active session is one whose status is "sleeping" or "awake-in-night"
+ * - A stale active session is marked "abandoned" instead of blocking the new one
+ * - New session starts with status "sleeping" and an empty wakeUps array
+ * - Concurrent requests are serialized by the one-open-session unique index (409)
  * 
  * Use Cases:
  * - Mobile app "Going to Bed" button
@@ -81,7 +258,17 @@ router.post('/', verifyToken, async (req, res) => {
     console.log(`[SLEEP_SESSION] Starting new sleep session for user: ${req.user.username}`);
     
     // Extract and validate fields from request body
-    const { bedroom, cuddleBuddy, sleepyThoughts } = req.body;
+    const {
+      bedroom,
+      cuddleBuddy,
+      sleepyThoughts,
+      lightsOutAt,
+      sleepOnsetAt,
+      preSleepFactors,
+      sessionType,
+      utcOffsetMinutes,
+      environmentOverrides
+    } = req.body;
 
     // Validate required bedroom field
     if (!bedroom) {
@@ -100,86 +287,98 @@ router.post('/', verifyToken, async (req, res) => {
     }
 
     // Validate cuddleBuddy enum if provided
-    if (cuddleBuddy) {
-      const validCuddleBuddies = ['none', 'pillow', 'stuffed animal', 'pet', 'person'];
-      if (!validCuddleBuddies.includes(cuddleBuddy)) {
-        return res.status(400).json({ 
-          success: false,
-          message: `Invalid cuddle buddy. Must be one of: ${validCuddleBuddies.join(', ')}` 
-        });
-      }
+    const cuddleValidation = validateCuddleBuddy(cuddleBuddy);
+    if (!cuddleValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        message: cuddleValidation.error 
+      });
     }
 
-    // Check for any existing active sleep session
-    // An active session is one where:
-    // 1. No wake-ups yet (just went to bed), OR
-    // 2. The LAST wake-up has finishedSleeping: false (still in session)
-    const recentSessions = await SleepData.find({
-      user: req.user.id
-    }).sort({ createdAt: -1 }).limit(5); // Get 5 most recent sessions to check
-    
-    let existingActiveSession = null;
-    
-    for (const session of recentSessions) {
-      if (session.wakeUps.length === 0) {
-        // No wake-ups yet - this is definitely an active session
-        existingActiveSession = session;
-        break;
-      } else {
-        // Check if the LAST wake-up has finishedSleeping: false
-        const lastWakeUp = session.wakeUps[session.wakeUps.length - 1];
-        if (lastWakeUp && lastWakeUp.finishedSleeping === false) {
-          // Last wake-up is not marked as finished - session is still active
-          existingActiveSession = session;
-          break;
-        }
-      }
-      // If we get here, this session is finished (last wake-up has finishedSleeping: true)
-      // Continue to check older sessions
+    // Validate optional session type and UTC offset
+    const typeValidation = validateSessionType(sessionType);
+    const offsetValidation = validateUtcOffset(utcOffsetMinutes);
+    if (!typeValidation.isValid || !offsetValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        message: typeValidation.error || offsetValidation.error 
+      });
     }
 
-    if (existingActiveSession) {
-      const sessionStatus = existingActiveSession.wakeUps.length === 0 
-        ? 'no wake-ups recorded yet' 
-        : `last wake-up not marked as finished (${existingActiveSession.wakeUps.length} wake-ups total)`;
-        
-      console.log(`[SLEEP_SESSION] User ${req.user.username} has active session: ${existingActiveSession._id} (${sessionStatus})`);
-      
-      // Populate bedroom and user data for the active session
-      await existingActiveSession.populate('bedroom', 'bedroomName description');
-      await existingActiveSession.populate('user', 'username firstName lastName');
-      
-      return res.status(409).json({ 
+    // Validate optional lights-out and sleep onset times against the start of the session
+    const createdAt = new Date();
+    const onsetValidation = validateSleepOnsetTimes({ createdAt, lightsOutAt, sleepOnsetAt });
+    if (!onsetValidation.isValid) {
+      return res.status(400).json({ 
         success: false,
-        error: 'ACTIVE_SESSION_EXISTS',
-        message: 'You already have an active sleep session. Redirecting to wake-up page.',
-        redirectTo: '/gotobed/wakeup',
-        activeSession: {
-          id: existingActiveSession._id,
-          createdAt: existingActiveSession.createdAt,
-          bedroom: existingActiveSession.bedroom,
-          user: existingActiveSession.user,
-          cuddleBuddy: existingActiveSession.cuddleBuddy,
-          sleepyThoughts: existingActiveSession.sleepyThoughts,
-          wakeUpCount: existingActiveSession.wakeUps.length,
-          status: sessionStatus,
-          lastWakeUp: existingActiveSession.wakeUps.length > 0 
-            ? existingActiveSession.wakeUps[existingActiveSession.wakeUps.length - 1]
-            : null
-        }
+        message: onsetValidation.error 
       });
     }
 
+    // Validate the pre-sleep checklist; caffeine must have been before bedtime
+    const factorsValidation = validatePreSleepFactors(preSleepFactors, lightsOutAt ? new Date(lightsOutAt) : createdAt);
+    if (!factorsValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        message: factorsValidation.error 
+      });
+    }
+
+    // Confirm the bedroom exists and belongs to this user; its environment is copied below
+    const ownedBedroom = await Bedroom.findOne({ _id: bedroom, ownerId: req.user.id });
+    if (!ownedBedroom) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Bedroom not found.' 
+      });
+    }
+
+    // Validate per-night changes to the bedroom environment
+    const overridesValidation = validateEnvironmentOverrides(environmentOverrides);
+    if (!overridesValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        message: overridesValidation.error 
+      });
+    }
+
+    // Check for an existing open sleep session, abandoning it first if it has gone stale
+    const {
+      activeSession: existingActiveSession,
+      abandonedSession
+    } = await resolveStaleActiveSession(req.user.id);
+
+    if (abandonedSession) {
+      console.log(`[SLEEP_SESSION] Abandoned stale session ${abandonedSession._id} for user ${req.user.username} (${abandonedSession.abandonment.reason})`);
+    }
+
+    if (existingActiveSession) {
+      console.log(`[SLEEP_SESSION] User ${req.user.username} has active session: ${existingActiveSession._id} (${existingActiveSession.status})`);
+      return sendActiveSessionConflict(res, existingActiveSession);
+    }
+
     // Create new sleep data document
     const newSleepSession = new SleepData({
       user: req.user.id,
       bedroom: bedroom,
+      bedroomSnapshot: ownedBedroom.getEnvironmentSnapshot(), // Conditions as of tonight
+      environmentOverrides: environmentOverrides || {},       // ...and what was different tonight
       cuddleBuddy: cuddleBuddy || 'none', // Default to 'none' if not specified
       sleepyThoughts: sleepyThoughts || '', // Default to empty string
+      preSleepFactors: preSleepFactors || {},
       wakeUps: [], // Initialize empty wake-ups array
-      createdAt: new Date() // Explicitly set creation time
+      status: 'sleeping', // Every new session starts asleep
+      lightsOutAt: lightsOutAt ? new Date(lightsOutAt) : null,
+      sleepOnsetAt: sleepOnsetAt ? new Date(sleepOnsetAt) : null,
+      sessionType: sessionType || 'main',
+      sessionTypeSource: sessionType ? 'user' : 'inferred',
+      utcOffsetMinutes: utcOffsetMinutes || 0,
+      createdAt // Explicitly set creation time
     });
 
+    // Guess nap vs. main sleep from the time of day; revisited on the final wake-up
+    await applyInferredSessionType(newSleepSession);
+
     // Save the new sleep session to database with validation
     const savedSleepSession = await newSleepSession.save();
 
@@ -189,11 +388,34 @@ router.post('/', verifyToken, async (req, res) => {
     // Log successful session creation
     console.log(`[SLEEP_SESSION] Successfully created sleep session ${savedSleepSession._id} for user: ${req.user.username}`);
 
+    // Suggestions are a bonus - the session is already saved, so never fail on them
+    let wakeWindows = null;
+    try {
+      const profile = await getSleepCycleProfile(req.user.id);
+      wakeWindows = {
+        cycleMinutes: profile.cycleMinutes,
+        onsetLatencyMinutes: profile.onsetLatencyMinutes,
+        samples: profile.samples,
+        suggestions: suggestWakeTimes(savedSleepSession, profile)
+      };
+    } catch (profileError) {
+      console.warn(`[SLEEP_SESSION] Could not compute wake windows for session ${savedSleepSession._id}: ${profileError.message}`);
+    }
+
     // Return the newly created sleep session
     res.status(201).json({
       success: true,
       message: 'Sleep session started successfully. Sweet dreams!',
-      data: savedSleepSession
+      data: savedSleepSession,
+      wakeWindows,
+      // Lets the frontend offer to finalize the session that was left open
+      abandonedSession: abandonedSession
+        ? {
+            id: abandonedSession._id,
+            createdAt: abandonedSession.createdAt,
+            reason: abandonedSession.abandonment.reason
+          }
+        : null
     });
   } catch (error) {
     // Log detailed error for debugging
@@ -205,6 +427,14 @@ router.post('/', verifyToken, async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
+    // A concurrent request opened a session first - the unique index rejected this one
+    if (error.code === 11000) {
+      const activeSession = await SleepData.findActiveSession(req.user.id).catch(() => null);
+      if (activeSession) {
+        return sendActiveSessionConflict(res, activeSession);
+      }
+    }
+
     // Handle specific validation errors
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
@@ -222,6 +452,76 @@ router.post('/', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * =============================================================================
+ * GET /bedtime
+ * =============================================================================
+ * Suggests when to go to bed to wake up at a given time at the end of a
+ * sleep cycle. Companion to the wake windows returned by POST /.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * 
+ * Query Parameters:
+ * - wakeAt: Date (required) - desired wake-up time, in the next 24 hours
+ * 
+ * Response:
+ * - Success: Bedtimes for 4, 5 and 6 cycles that have not passed yet (latest
+ *   first), with the cycle length and onset latency they were based on
+ * - Error: 400 for a missing or invalid wakeAt, 500 for server errors
+ * 
+ * Notes:
+ * - Each bedtime includes the user's usual time to fall asleep
+ * - Estimates come from the user's own finished nights once enough exist
+ * =============================================================================
+ */
+router.get('/bedtime', verifyToken, async (req, res) => {
+  try {
+    const { wakeAt } = req.query;
+    const now = new Date();
+
+    if (!wakeAt || isNaN(new Date(wakeAt).getTime())) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'A valid wakeAt time is required.' 
+      });
+    }
+
+    const wakeAtDate = new Date(wakeAt);
+    if (wakeAtDate <= now || wakeAtDate - now > 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'wakeAt must be within the next 24 hours.' 
+      });
+    }
+
+    const profile = await getSleepCycleProfile(req.user.id);
+    const suggestions = suggestBedtimes(wakeAtDate, profile, now);
+
+    console.log(`[SLEEP_SESSION] Bedtime suggestions for ${wakeAtDate.toISOString()} computed for user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      wakeAt: wakeAtDate,
+      cycleMinutes: profile.cycleMinutes,
+      onsetLatencyMinutes: profile.onsetLatencyMinutes,
+      samples: profile.samples,
+      suggestions
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error suggesting bedtimes:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while suggesting bedtimes.' 
+    });
+  }
+});
+
 /**
  * =============================================================================
  * POST /wakeup
@@ -234,20 +534,26 @@ router.post('/', verifyToken, async (req, res) => {
  * 
  * Request Body:
  * - sleepQuality: Number (required) - rating from 1-10
- * - dreamJournal: String (optional) - dream notes and experiences
+ * - dreams: Array (optional) - dream entries, each with title, narrative,
+ *   lucid/nightmare/recurring flags, vividness (1-10), emotionalTone (-5 to 5) and tags
+ * - dreamJournal: String (optional, legacy) - free-text dream notes, stored as a dream entry
  * - awakenAt: Date (optional) - when the user woke up (defaults to now)
  * - finishedSleeping: Boolean (optional) - whether this is the final wake-up
- * - backToBedAt: Date (optional) - when user went back to bed (if applicable)
+ * - backToBedAt: Date (optional) - when user went back to bed (if applicable;
+ *   defaults to awakenAt for night-time wake-ups)
  * 
  * Response:
- * - Success: Updated sleep session with new wake-up event
+ * - Success: Updated sleep session with new wake-up event; when the session
+ *   finished, `achievements` lists any badges it newly earned and `insights`
+ *   any quality-drop / awakenings-spike insights it raised or updated
  * - Error: 400 for validation errors, 404 for no active session, 500 for server errors
  * 
  * Business Rules:
  * - Must have an active sleep session to add wake-ups
  * - Sleep quality must be between 1 and 10
- * - If finishedSleeping=true, this ends the sleep session
- * - If finishedSleeping=false, user can go back to bed
+ * - awakenAt must be after bedtime and the previous back-to-bed time, and not in the future
+ * - If finishedSleeping=true, status becomes "finished" and the session ends
+ * - If finishedSleeping=false, status becomes "awake-in-night" and the user can go back to bed
  * 
  * Use Cases:
  * - Recording middle-of-night wake-ups
@@ -263,73 +569,25 @@ router.post('/wakeup', verifyToken, async (req, res) => {
     // Extract and validate wake-up details from request body
     const {
       sleepQuality,
-      dreamJournal,
       awakenAt,
       finishedSleeping,
       backToBedAt,
     } = req.body;
 
-    // Validate required sleep quality field
-    if (sleepQuality === undefined || sleepQuality === null) {
+    // Validate sleep quality, timestamps and their consistency
+    const wakeUpValidation = validateWakeUp(req.body);
+    if (!wakeUpValidation.isValid) {
       return res.status(400).json({ 
         success: false,
-        message: 'Sleep quality rating is required for wake-up events.' 
+        message: wakeUpValidation.error 
       });
     }
 
-    // Validate sleep quality range (1-10)
-    if (typeof sleepQuality !== 'number' || sleepQuality < 1 || sleepQuality > 10) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Sleep quality must be a number between 1 and 10.' 
-      });
-    }
-
-    // Validate awakenAt date if provided
-    if (awakenAt && isNaN(new Date(awakenAt).getTime())) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid awakening time format.' 
-      });
-    }
-
-    // Validate backToBedAt date if provided
-    if (backToBedAt && isNaN(new Date(backToBedAt).getTime())) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid back-to-bed time format.' 
-      });
-    }
-
-    // Find the user's most recent active sleep session
-    // Active session: either no wake-ups yet, or latest wake-up has finishedSleeping=false
-    const recentSessions = await SleepData.find({
-      user: req.user.id
-    }).sort({ createdAt: -1 }).limit(5); // Get 5 most recent sessions to check
-    
-    let activeSleepSession = null;
-    
-    for (const session of recentSessions) {
-      if (session.wakeUps.length === 0) {
-        // No wake-ups yet - this is definitely an active session
-        activeSleepSession = session;
-        break;
-      } else {
-        // Check if the LAST wake-up has finishedSleeping: false
-        const lastWakeUp = session.wakeUps[session.wakeUps.length - 1];
-        if (lastWakeUp && lastWakeUp.finishedSleeping === false) {
-          // Last wake-up is not marked as finished - session is still active
-          activeSleepSession = session;
-          break;
-        }
-      }
-      // If we get here, this session is finished (last wake-up has finishedSleeping: true)
-      // Continue to check older sessions
-    }
+    // Find the user's open sleep session
+    const activeSleepSession = await SleepData.findActiveSession(req.user.id);
 
     if (!activeSleepSession) {
       console.warn(`[SLEEP_SESSION] No active sleep session found for wake-up by user: ${req.user.username}`);
-      console.log(`[SLEEP_SESSION] Recent sessions checked: ${recentSessions.length}, all appear to be finished`);
       return res.status(404).json({ 
         success: false,
         message: 'No active sleep session found. Please start a new sleep session first.' 
@@ -339,28 +597,37 @@ router.post('/wakeup', verifyToken, async (req, res) => {
     // Build the wake-up event object with validated data
     const wakeUpEvent = {
       sleepQuality: sleepQuality,
-      dreamJournal: dreamJournal || '', // Default to empty string if not provided
+      dreams: buildDreamEntries(req.body), // Accepts `dreams` and/or legacy `dreamJournal`
       awakenAt: awakenAt ? new Date(awakenAt) : new Date(), // Use provided time or current time
       finishedSleeping: Boolean(finishedSleeping), // Ensure boolean value
       backToBedAt: backToBedAt ? new Date(backToBedAt) : null // Use provided time or null
     };
 
-    // Validate logical consistency
-    if (wakeUpEvent.finishedSleeping && wakeUpEvent.backToBedAt) {
+    if (!wakeUpEvent.finishedSleeping && !wakeUpEvent.backToBedAt) {
+      // No back-to-bed time given: assume the user went straight back to sleep.
+      // A guessed later time could be in the future and would block the next wake-up.
+      wakeUpEvent.backToBedAt = wakeUpEvent.awakenAt;
+    }
+
+    // Add the wake-up event and advance the session status
+    activeSleepSession.wakeUps.push(wakeUpEvent);
+    activeSleepSession.status = wakeUpEvent.finishedSleeping ? 'finished' : 'awake-in-night';
+
+    // Same timeline rules as backdated nights: after bedtime and the previous
+    // back-to-bed time, and not in the future
+    const timelineValidation = validateSessionTimeline(activeSleepSession);
+    if (!timelineValidation.isValid) {
       return res.status(400).json({ 
         success: false,
-        message: 'Cannot set back-to-bed time when finished sleeping.' 
+        message: timelineValidation.error 
       });
     }
 
-    if (!wakeUpEvent.finishedSleeping && !wakeUpEvent.backToBedAt) {
-      // If not finished sleeping but no back-to-bed time, set it to a reasonable default
-      wakeUpEvent.backToBedAt = new Date(wakeUpEvent.awakenAt.getTime() + (30 * 60 * 1000)); // 30 minutes later
+    if (wakeUpEvent.finishedSleeping) {
+      // Now that the length is known, a short daytime sleep is a nap
+      await applyInferredSessionType(activeSleepSession);
     }
 
-    // Add the wake-up event to the sleep session
-    activeSleepSession.wakeUps.push(wakeUpEvent);
-
     // Save the updated sleep session with validation
     const updatedSleepSession = await activeSleepSession.save();
 
@@ -372,6 +639,42 @@ router.post('/wakeup', verifyToken, async (req, res) => {
     const wakeUpIndex = updatedSleepSession.wakeUps.length;
     console.log(`[SLEEP_SESSION] Wake-up event #${wakeUpIndex} recorded for session ${updatedSleepSession._id} by user: ${req.user.username}, finished: ${wakeUpEvent.finishedSleeping}`);
 
+    // A finished night can complete badges; failing to check must not fail the wake-up
+    let achievements = [];
+    if (wakeUpEvent.finishedSleeping) {
+      try {
+        achievements = await evaluateAchievements(req.user.id, { sleepSession: updatedSleepSession._id });
+        if (achievements.length > 0) {
+          console.log(`[SLEEP_SESSION] User ${req.user.username} earned: ${achievements.map(achievement => achievement.badge).join(', ')}`);
+        }
+      } catch (achievementError) {
+        console.error('[SLEEP_SESSION] Error evaluating achievements:', {
+          error: achievementError.message,
+          sessionId: updatedSleepSession._id,
+          username: req.user.username,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Compare the finished night against the user's baseline; naps are not part of it
+    let insights = [];
+    if (wakeUpEvent.finishedSleeping && updatedSleepSession.sessionType !== 'nap') {
+      try {
+        insights = await generateInsights(req.user.id, { sleepSession: updatedSleepSession._id });
+        if (insights.length > 0) {
+          console.log(`[SLEEP_SESSION] Insights for user ${req.user.username}: ${insights.map(insight => insight.dedupeKey).join(', ')}`);
+        }
+      } catch (insightError) {
+        console.error('[SLEEP_SESSION] Error generating insights:', {
+          error: insightError.message,
+          sessionId: updatedSleepSession._id,
+          username: req.user.username,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
     // Return the updated sleep session
     res.status(200).json({
       success: true,
@@ -380,7 +683,9 @@ router.post('/wakeup', verifyToken, async (req, res) => {
         : 'Wake-up recorded successfully.',
       data: updatedSleepSession,
       wakeUpCount: wakeUpIndex,
-      sessionCompleted: wakeUpEvent.finishedSleeping
+      sessionCompleted: wakeUpEvent.finishedSleeping,
+      achievements,
+      insights
     });
   } catch (error) {
     // Log detailed error for debugging
@@ -392,6 +697,14 @@ router.post('/wakeup', verifyToken, async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
+    // The session was edited elsewhere (e.g. /sleep-data/:id/wakeups) while we held it
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ 
+        success: false,
+        message: 'Your sleep session was changed by another request. Please try again.' 
+      });
+    }
+
     // Handle specific validation errors
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
@@ -424,7 +737,8 @@ router.post('/wakeup', verifyToken, async (req, res) => {
  * - Error: 500 for server errors
  * 
  * Business Rules:
- * - Active session is defined as having no wake-ups OR the LAST wake-up has finishedSleeping=false
+ * - Active session is one whose status is "sleeping" or "awake-in-night"
+ * - A stale active session is marked "abandoned" and reported via abandonedSessionId
  * - Returns full session details for frontend navigation
  * 
  * Use Cases:
@@ -437,50 +751,24 @@ router.get('/active', verifyToken, async (req, res) => {
   try {
     console.log(`[SLEEP_SESSION] Checking for active session for user: ${req.user.username}`);
     
-    // Find the user's most recent sessions to check for active ones
-    const recentSessions = await SleepData.find({
-      user: req.user.id
-    }).sort({ createdAt: -1 }).limit(5)
-      .populate('bedroom', 'bedroomName description');
-    
-    let activeSession = null;
-    
-    for (const session of recentSessions) {
-      if (session.wakeUps.length === 0) {
-        // No wake-ups yet - this is definitely an active session
-        activeSession = session;
-        break;
-      } else {
-        // Check if the LAST wake-up has finishedSleeping: false
-        const lastWakeUp = session.wakeUps[session.wakeUps.length - 1];
-        if (lastWakeUp && lastWakeUp.finishedSleeping === false) {
-          // Last wake-up is not marked as finished - session is still active
-          activeSession = session;
-          break;
-        }
-      }
+    // Find the user's open session, if any, abandoning it if it has gone stale
+    const { activeSession, abandonedSession } = await resolveStaleActiveSession(req.user.id);
+
+    if (activeSession) {
+      await activeSession.populate('bedroom', 'bedroomName description');
+    }
+
+    if (abandonedSession) {
+      console.log(`[SLEEP_SESSION] Abandoned stale session ${abandonedSession._id} for user ${req.user.username} (${abandonedSession.abandonment.reason})`);
     }
 
     if (activeSession) {
-      const sessionStatus = activeSession.wakeUps.length === 0 
-        ? 'sleeping (no wake-ups yet)' 
-        : `awake (${activeSession.wakeUps.length} wake-ups, not finished)`;
-        
-      console.log(`[SLEEP_SESSION] Active session found for user ${req.user.username}: ${activeSession._id} (${sessionStatus})`);
+      console.log(`[SLEEP_SESSION] Active session found for user ${req.user.username}: ${activeSession._id} (${activeSession.status})`);
       
       res.status(200).json({
         success: true,
         hasActiveSession: true,
-        activeSession: {
-          id: activeSession._id,
-          createdAt: activeSession.createdAt,
-          bedroom: activeSession.bedroom,
-          cuddleBuddy: activeSession.cuddleBuddy,
-          sleepyThoughts: activeSession.sleepyThoughts,
-          wakeUpCount: activeSession.wakeUps.length,
-          status: sessionStatus,
-          lastWakeUp: activeSession.wakeUps.length > 0 ? activeSession.wakeUps[activeSession.wakeUps.length - 1] : null
-        },
+        activeSession: summarizeActiveSession(activeSession),
         redirectTo: '/gotobed/wakeup'
       });
     } else {
@@ -488,7 +776,8 @@ router.get('/active', verifyToken, async (req, res) => {
       res.status(200).json({
         success: true,
         hasActiveSession: false,
-        activeSession: null
+        activeSession: null,
+        abandonedSessionId: abandonedSession ? abandonedSession._id : null
       });
     }
   } catch (error) {
@@ -505,6 +794,436 @@ router.get('/active', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * =============================================================================
+ * POST /cancel
+ * =============================================================================
+ * Cancels the user's active sleep session, e.g. one started by accident.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Only cancels the user's own active session
+ * 
+ * Request Body:
+ * - reason: String (optional, max 200 characters) - why the session was cancelled
+ * 
+ * Response:
+ * - Success: Cancelled session id and the time until which it can be restored
+ * - Error: 400 for invalid reason, 404 if no active session, 500 for server errors
+ * 
+ * Business Rules:
+ * - Status moves to "cancelled"; the session is excluded from listings and analytics
+ * - The session can be restored via POST /cancel/:id/undo until undoUntil
+ * - After the undo window MongoDB deletes the session automatically
+ * =============================================================================
+ */
+router.post('/cancel', verifyToken, async (req, res) => {
+  try {
+    console.log(`[SLEEP_SESSION] Cancel request for active session by user: ${req.user.username}`);
+
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Reason must be a string of at most 200 characters.' 
+      });
+    }
+
+    const activeSession = await SleepData.findActiveSession(req.user.id);
+
+    if (!activeSession) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'No active sleep session to cancel.' 
+      });
+    }
+
+    const cancelledSession = await cancelSession(activeSession, reason ? reason.trim() : '');
+
+    console.log(`[SLEEP_SESSION] Session ${cancelledSession._id} cancelled by user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sleep session cancelled.',
+      cancelledSessionId: cancelledSession._id,
+      undoUntil: cancelledSession.cancellation.purgeAt
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error cancelling sleep session:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while cancelling sleep session. Please try again later.' 
+    });
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /cancel/:id/undo
+ * =============================================================================
+ * Restores a cancelled session to the status it had before cancellation.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Can only restore the user's own sessions
+ * 
+ * Response:
+ * - Success: The restored sleep session
+ * - Error: 400 for invalid ID, 404 if not found, 409 if another session is
+ *   now active, 410 if the undo window has passed, 500 for server errors
+ * =============================================================================
+ */
+router.post('/cancel/:id/undo', verifyToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    console.log(`[SLEEP_SESSION] Undo cancel request for session ${sessionId} by user: ${req.user.username}`);
+
+    if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid sleep session ID format.' 
+      });
+    }
+
+    const session = await SleepData.findOne({
+      _id: sessionId,
+      user: req.user.id,
+      status: 'cancelled'
+    });
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Cancelled sleep session not found.' 
+      });
+    }
+
+    // The TTL monitor only runs periodically, so check the window explicitly
+    if (session.cancellation.purgeAt <= new Date()) {
+      return res.status(410).json({ 
+        success: false,
+        message: 'The undo window for this session has passed.' 
+      });
+    }
+
+    const existingActiveSession = await SleepData.findActiveSession(req.user.id);
+    if (existingActiveSession) {
+      return sendActiveSessionConflict(res, existingActiveSession);
+    }
+
+    const restoredSession = await undoCancellation(session);
+    await restoredSession.populate('bedroom', 'bedroomName description');
+
+    console.log(`[SLEEP_SESSION] Session ${restoredSession._id} restored by user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sleep session restored.',
+      data: restoredSession
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error restoring cancelled session:', {
+      error: error.message,
+      sessionId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    // Another session was opened between our check and the save
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'ACTIVE_SESSION_EXISTS',
+        message: 'You already have an active sleep session.' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while restoring sleep session. Please try again later.' 
+    });
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /resolve-stale
+ * =============================================================================
+ * Applies the staleness rules to the user's active session on demand.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Only touches the user's own active session
+ * 
+ * Response:
+ * - Success: Whether a session was abandoned, plus the still-active session if not
+ * - Error: 500 for server errors
+ * 
+ * Use Cases:
+ * - Frontend "I forgot to wake up" prompt
+ * - Clearing a forgotten session before starting a new one
+ * =============================================================================
+ */
+router.post('/resolve-stale', verifyToken, async (req, res) => {
+  try {
+    console.log(`[SLEEP_SESSION] Resolving stale sessions for user: ${req.user.username}`);
+
+    const { activeSession, abandonedSession } = await resolveStaleActiveSession(req.user.id);
+
+    if (!abandonedSession) {
+      return res.status(200).json({
+        success: true,
+        abandoned: false,
+        message: activeSession
+          ? 'Your active sleep session is not stale.'
+          : 'You have no active sleep session.',
+        activeSessionId: activeSession ? activeSession._id : null
+      });
+    }
+
+    const typicalDurationMs = await getTypicalSleepDurationMs(req.user.id, abandonedSession.sessionType);
+    console.log(`[SLEEP_SESSION] Abandoned stale session ${abandonedSession._id} for user ${req.user.username} (${abandonedSession.abandonment.reason})`);
+
+    res.status(200).json({
+      success: true,
+      abandoned: true,
+      message: 'Your forgotten sleep session was marked as abandoned.',
+      abandonedSession: summarizeAbandonedSession(abandonedSession, typicalDurationMs)
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error resolving stale session:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while resolving stale sleep session.' 
+    });
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /abandoned
+ * =============================================================================
+ * Lists the user's abandoned sessions that have not been reviewed yet.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Returns only the user's own sessions
+ * 
+ * Response:
+ * - Success: Array of abandoned sessions, each with an estimatedWakeUpAt based
+ *   on the user's typical night length
+ * - Error: 500 for server errors
+ * =============================================================================
+ */
+router.get('/abandoned', verifyToken, async (req, res) => {
+  try {
+    console.log(`[SLEEP_SESSION] Fetching abandoned sessions for user: ${req.user.username}`);
+
+    const sessions = await SleepData.find({
+      user: req.user.id,
+      status: 'abandoned',
+      'abandonment.reviewed': { $ne: true }
+    })
+      .sort({ createdAt: -1 })
+      .populate('bedroom', 'bedroomName description');
+
+    // Naps and main sleeps have very different typical lengths
+    const typicalDurations = {};
+    for (const sessionType of new Set(sessions.map(session => session.sessionType))) {
+      typicalDurations[sessionType] = await getTypicalSleepDurationMs(req.user.id, sessionType);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => summarizeAbandonedSession(session, typicalDurations[session.sessionType]))
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error fetching abandoned sessions:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while fetching abandoned sleep sessions.' 
+    });
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /abandoned/:id/finalize
+ * =============================================================================
+ * Closes an abandoned session by recording a final wake-up.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Can only finalize the user's own abandoned sessions
+ * 
+ * Request Body:
+ * - sleepQuality: Number (required) - rating from 1-10
+ * - awakenAt: Date (optional) - when the user woke up (defaults to the estimate)
+ * - dreams: Array (optional) - dream entries, as for POST /wakeup
+ * - dreamJournal: String (optional, legacy) - free-text dream notes
+ * 
+ * Response:
+ * - Success: The finished sleep session
+ * - Error: 400 for validation errors, 404 if not found, 500 for server errors
+ * 
+ * Business Rules:
+ * - The final wake-up follows the same timeline rules as POST /wakeup (after
+ *   bedtime and the last back-to-bed time, not in the future)
+ * - Status moves from "abandoned" to "finished"
+ * =============================================================================
+ */
+router.post('/abandoned/:id/finalize', verifyToken, async (req, res) => {
+  try {
+    console.log(`[SLEEP_SESSION] Finalizing abandoned session ${req.params.id} for user: ${req.user.username}`);
+
+    const { sleepQuality, awakenAt } = req.body;
+
+    if (typeof sleepQuality !== 'number' || sleepQuality < 1 || sleepQuality > 10) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Sleep quality must be a number between 1 and 10.' 
+      });
+    }
+
+    if (awakenAt && isNaN(new Date(awakenAt).getTime())) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid awakening time format.' 
+      });
+    }
+
+    const dreamsValidation = validateWakeUpDreams(req.body);
+    if (!dreamsValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        message: dreamsValidation.error 
+      });
+    }
+
+    const session = await loadOwnAbandonedSession(req, res);
+    if (!session) return;
+
+    const wakeUpTime = awakenAt
+      ? new Date(awakenAt)
+      : estimateWakeUpTime(session, await getTypicalSleepDurationMs(req.user.id, session.sessionType));
+
+    session.wakeUps.push({
+      sleepQuality,
+      dreams: buildDreamEntries(req.body),
+      awakenAt: wakeUpTime,
+      finishedSleeping: true,
+      backToBedAt: null
+    });
+    session.status = 'finished';
+
+    // Same timeline rules as live and backdated wake-ups
+    const timelineValidation = validateSessionTimeline(session);
+    if (!timelineValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        message: timelineValidation.error 
+      });
+    }
+
+    session.abandonment.reviewed = true;
+    await applyInferredSessionType(session);
+
+    const finishedSession = await session.save();
+    await finishedSession.populate('bedroom', 'bedroomName description');
+
+    console.log(`[SLEEP_SESSION] Abandoned session ${finishedSession._id} finalized by user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sleep session finalized.',
+      data: finishedSession
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error finalizing abandoned session:', {
+      error: error.message,
+      stack: error.stack,
+      sessionId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed: ' + validationErrors.join(', ')
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while finalizing sleep session. Please try again later.' 
+    });
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /abandoned/:id/dismiss
+ * =============================================================================
+ * Leaves an abandoned session abandoned and removes it from GET /abandoned.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Can only dismiss the user's own abandoned sessions
+ * 
+ * Response:
+ * - Success: Confirmation message
+ * - Error: 400 if not abandoned, 404 if not found, 500 for server errors
+ * =============================================================================
+ */
+router.post('/abandoned/:id/dismiss', verifyToken, async (req, res) => {
+  try {
+    const session = await loadOwnAbandonedSession(req, res);
+    if (!session) return;
+
+    session.abandonment.reviewed = true;
+    await session.save();
+
+    console.log(`[SLEEP_SESSION] Abandoned session ${session._id} dismissed by user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Abandoned sleep session dismissed.'
+    });
+  } catch (error) {
+    console.error('[SLEEP_SESSION] Error dismissing abandoned session:', {
+      error: error.message,
+      sessionId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while dismissing sleep session.' 
+    });
+  }
+});
+
 /**
  * =============================================================================
  * MODULE EXPORTS
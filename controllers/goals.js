@@ -0,0 +1,396 @@
+/**
+ * =============================================================================
+ * SLEEP GOALS CONTROLLER - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Lets users set sleep goals (target bedtime or wake time, minimum hours of
+ * sleep, minimum sleep quality, each met on a number of nights a week) and
+ * reports how well they stick to them.
+ *
+ * Exposed Endpoints:
+ * - GET /                  - List the user's goals
+ * - POST /                 - Create a goal
+ * - GET /adherence         - Adherence report for every active goal
+ * - GET /:id/adherence     - Adherence report for one goal
+ * - PUT /:id               - Update a goal
+ * - DELETE /:id            - Delete a goal
+ *
+ * Adherence is evaluated against finished main sleep sessions only; naps and
+ * segmented sleeps are left out. Nights are dated by the local date of their
+ * final wake-up in the user's time zone (userPreferences.timeZone).
+ *
+ * Security Considerations:
+ * - All routes require valid JWT authentication
+ * - Users only ever see and change their own goals
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Core Express framework for routing
+const express = require('express');
+const router = express.Router();
+
+// Data models
+const SleepGoal = require('../models/SleepGoal');
+
+// Goal evaluation
+const { getGoalAdherence } = require('../utils/sleepGoals');
+
+// Authentication middleware
+const verifyToken = require('../middleware/verifyToken');
+
+// Apply JWT verification to all routes in this controller
+router.use(verifyToken);
+
+// Adherence window bounds, in days
+const ADHERENCE_DEFAULT_DAYS = 28;
+const ADHERENCE_MAX_DAYS = 365;
+
+// Fields a user may set on a goal
+const EDITABLE_GOAL_FIELDS = [
+  'goalType', 'name', 'targetTime', 'toleranceMinutes',
+  'targetHours', 'targetQuality', 'nightsPerWeek', 'active'
+];
+
+/**
+ * Picks the editable goal fields out of a request body.
+ * @param {Object} body - Request body
+ * @returns {Object} Goal fields present in the body
+ */
+function pickGoalFields(body) {
+  return EDITABLE_GOAL_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+/**
+ * Parses the ?days= adherence window.
+ * @param {string} [value] - Query value
+ * @returns {number|null} Days, or null if invalid
+ */
+function parseAdherenceDays(value) {
+  if (value === undefined) return ADHERENCE_DEFAULT_DAYS;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= ADHERENCE_MAX_DAYS ? days : null;
+}
+
+/**
+ * Adds the human-readable summary to a goal for responses.
+ * @param {Object} goal - SleepGoal document
+ * @returns {Object} Goal JSON with `summary`
+ */
+function withSummary(goal) {
+  return { ...goal.toJSON(), summary: goal.getSummary() };
+}
+
+/**
+ * Sends a 400 for Mongoose validation errors.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by save()
+ * @returns {boolean} True if a response was sent
+ */
+function sendValidationError(res, error) {
+  if (error.name !== 'ValidationError') return false;
+  const validationErrors = Object.values(error.errors).map(err => err.message);
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed: ' + validationErrors.join(', ')
+  });
+  return true;
+}
+
+/**
+ * Loads one of the user's goals by id, answering 400/404 itself.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} The goal, or null if a response was sent
+ */
+async function findOwnedGoal(req, res) {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid goal ID format.'
+    });
+    return null;
+  }
+
+  // Scoping the query to the user means other users' goals are simply not found
+  const goal = await SleepGoal.findOne({ _id: req.params.id, user: req.user.id });
+  if (!goal) {
+    res.status(404).json({
+      success: false,
+      error: 'Goal not found.'
+    });
+    return null;
+  }
+  return goal;
+}
+
+/**
+ * =============================================================================
+ * GET /
+ * =============================================================================
+ * Lists the user's goals, oldest first.
+ *
+ * Query Parameters:
+ * - active: "true" or "false" to filter by the active flag
+ *
+ * Response:
+ * - Success: { count, data: [goals] } (each goal includes a `summary`)
+ * - Error: 500 for server errors
+ * =============================================================================
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.active = req.query.active === 'true';
+    }
+
+    const goals = await SleepGoal.find(query).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: goals.length,
+      data: goals.map(withSummary)
+    });
+  } catch (error) {
+    console.error('[GOALS] Error fetching goals:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /
+ * =============================================================================
+ * Creates a goal.
+ *
+ * Request Body:
+ * - goalType: "bedtime" | "wake-time" | "min-duration" | "min-quality" (required)
+ * - targetTime: "HH:MM" local time (required for bedtime / wake-time)
+ * - toleranceMinutes: Number (optional, 0-180, default 30)
+ * - targetHours: Number (required for min-duration, 1-16)
+ * - targetQuality: Number (required for min-quality, 1-10)
+ * - nightsPerWeek: Integer (optional, 1-7, default 7)
+ * - name: String (optional label)
+ * - active: Boolean (optional, default true)
+ *
+ * Response:
+ * - Success: 201 with the created goal
+ * - Error: 400 for validation errors or too many goals, 500 for server errors
+ * =============================================================================
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const goalCount = await SleepGoal.countDocuments({ user: req.user.id });
+    if (goalCount >= SleepGoal.MAX_GOALS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${SleepGoal.MAX_GOALS_PER_USER} goals. Delete one before adding another.`
+      });
+    }
+
+    const goal = await SleepGoal.create({
+      ...pickGoalFields(req.body),
+      user: req.user.id
+    });
+
+    console.log(`[GOALS] Created ${goal.goalType} goal ${goal._id} for user: ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully.',
+      data: withSummary(goal)
+    });
+  } catch (error) {
+    console.error('[GOALS] Error creating goal:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    if (sendValidationError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /adherence
+ * =============================================================================
+ * Adherence report for every active goal.
+ *
+ * Query Parameters:
+ * - days: Number (optional, 1-365, default 28) - length of the daily window,
+ *   ending today in the user's time zone
+ *
+ * Response (per goal):
+ * - goal: The goal, with `summary`
+ * - window: { from, to, days, timeZone }
+ * - unit: "minutes" or "points" (unit of every deviation)
+ * - nightsLogged, hits, hitRate (% of logged nights), averageDeviation
+ * - streaks: { currentNights, longestNights, currentWeeks }
+ * - trend: { metric, changePerWeek, direction } or null with fewer than 3 nights
+ * - weekly: [{ weekStart, nightsLogged, hits, target, met, complete, averageDeviation }]
+ * - daily: [{ date, status: "hit" | "miss" | "no-data", value, deviation, sessionId }]
+ *
+ * Deviation is signed: later (+) / earlier (-) than a target time, or above (+) /
+ * below (-) a minimum.
+ * =============================================================================
+ */
+router.get('/adherence', async (req, res, next) => {
+  try {
+    const days = parseAdherenceDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        error: `days must be a whole number between 1 and ${ADHERENCE_MAX_DAYS}.`
+      });
+    }
+
+    const goals = await SleepGoal.find({ user: req.user.id, active: true }).sort({ createdAt: 1 });
+    const reports = goals.length > 0 ? await getGoalAdherence(req.user.id, goals, { days }) : [];
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports
+    });
+  } catch (error) {
+    console.error('[GOALS] Error computing goal adherence:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /:id/adherence
+ * =============================================================================
+ * Adherence report for one goal, active or not. Same query parameters and
+ * report shape as GET /adherence.
+ * =============================================================================
+ */
+router.get('/:id/adherence', async (req, res, next) => {
+  try {
+    const days = parseAdherenceDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        error: `days must be a whole number between 1 and ${ADHERENCE_MAX_DAYS}.`
+      });
+    }
+
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    const [report] = await getGoalAdherence(req.user.id, [goal], { days });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('[GOALS] Error computing goal adherence:', {
+      error: error.message,
+      stack: error.stack,
+      goalId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * PUT /:id
+ * =============================================================================
+ * Updates a goal. Accepts the same fields as POST /; omitted fields are kept.
+ * Changing goalType requires the matching target field.
+ *
+ * Response:
+ * - Success: The updated goal
+ * - Error: 400 for validation errors, 404 if not found, 500 for server errors
+ * =============================================================================
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    goal.set(pickGoalFields(req.body));
+    await goal.save();
+
+    console.log(`[GOALS] Updated goal ${goal._id} for user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Goal updated successfully.',
+      data: withSummary(goal)
+    });
+  } catch (error) {
+    console.error('[GOALS] Error updating goal:', {
+      error: error.message,
+      goalId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    if (sendValidationError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * DELETE /:id
+ * =============================================================================
+ * Deletes a goal. Sleep data is not affected.
+ *
+ * Response:
+ * - Success: Confirmation message
+ * - Error: 400 for an invalid ID, 404 if not found, 500 for server errors
+ * =============================================================================
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    await goal.deleteOne();
+
+    console.log(`[GOALS] Deleted goal ${goal._id} for user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Goal deleted successfully.'
+    });
+  } catch (error) {
+    console.error('[GOALS] Error deleting goal:', {
+      error: error.message,
+      goalId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * =============================================================================
+ * INSIGHTS CONTROLLER - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Sleep trend and anomaly insights for the authenticated user.
+ *
+ * Exposed Endpoints:
+ * - GET /                  - List insights (shown, dismissed or all)
+ * - POST /:id/dismiss      - Dismiss one insight
+ *
+ * Insights are raised when POST /gotobed/wakeup finishes a main sleep (see
+ * utils/sleepInsights.js); this controller only lists and dismisses them.
+ *
+ * Security Considerations:
+ * - All routes require valid JWT authentication
+ * - Users only ever see and change their own insights
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Core Express framework for routing
+const express = require('express');
+const router = express.Router();
+
+// Data models
+const Insight = require('../models/Insight');
+
+// Authentication middleware
+const verifyToken = require('../middleware/verifyToken');
+
+// Apply JWT verification to all routes in this controller
+router.use(verifyToken);
+
+// Values accepted by GET /?status=
+const INSIGHT_LIST_STATUSES = ['active', 'dismissed', 'all'];
+
+/**
+ * =============================================================================
+ * GET /
+ * =============================================================================
+ * Lists the user's insights, most recently raised or updated first.
+ *
+ * Query Parameters:
+ * - status: "active" (default, not dismissed), "dismissed" or "all"
+ * - type: Only insights of this type ("quality-drop" or "awakenings-spike")
+ * - limit: Number (optional, default 20, max 100)
+ *
+ * Response:
+ * - Success: { count, activeCount, data: [insights] }
+ *   - insight.data: { metric, firstNight, lastNight, nightCount, nights,
+ *     recentAverage, baseline: { mean, standardDeviation, nights },
+ *     threshold, difference }
+ * - Error: 400 for invalid parameters, 500 for server errors
+ * =============================================================================
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { status = 'active', type } = req.query;
+
+    if (!INSIGHT_LIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${INSIGHT_LIST_STATUSES.join(', ')}.`
+      });
+    }
+    if (type && !Insight.INSIGHT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid insight type. Must be one of: ${Insight.INSIGHT_TYPES.join(', ')}.`
+      });
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { user: req.user.id };
+    if (status === 'active') query.dismissedAt = null;
+    if (status === 'dismissed') query.dismissedAt = { $ne: null };
+    if (type) query.type = type;
+
+    const [insights, activeCount] = await Promise.all([
+      Insight.find(query).sort({ updatedAt: -1 }).limit(limit),
+      Insight.countDocuments({ user: req.user.id, dismissedAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: insights.length,
+      activeCount,
+      data: insights
+    });
+  } catch (error) {
+    console.error('[INSIGHTS] Error fetching insights:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /:id/dismiss
+ * =============================================================================
+ * Dismisses a single insight. It stays dismissed while its episode goes on;
+ * a later episode raises a new insight.
+ *
+ * Response:
+ * - Success: The updated insight
+ * - Error: 400 for an invalid ID, 404 if not found, 500 for server errors
+ * =============================================================================
+ */
+router.post('/:id/dismiss', async (req, res, next) => {
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid insight ID format.'
+      });
+    }
+
+    // Scoping the query to the user means other users' insights are simply not found.
+    // Dismissing leaves updatedAt alone (it orders the list by when the episode last changed),
+    // and dismissing twice keeps the first dismissal time.
+    const insight = await Insight.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, dismissedAt: null },
+      { $set: { dismissedAt: new Date() } },
+      { new: true, timestamps: false }
+    ) || await Insight.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!insight) {
+      return res.status(404).json({
+        success: false,
+        error: 'Insight not found.'
+      });
+    }
+
+    console.log(`[INSIGHTS] User ${req.user.username} dismissed insight ${insight._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: insight
+    });
+  } catch (error) {
+    console.error('[INSIGHTS] Error dismissing insight:', {
+      error: error.message,
+      insightId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
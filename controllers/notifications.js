@@ -0,0 +1,176 @@
+/**
+ * =============================================================================
+ * NOTIFICATIONS CONTROLLER - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Outbox of server-generated notifications (bedtime reminders) for the
+ * authenticated user. There is no push service: clients poll this endpoint
+ * and mark notifications as read once shown.
+ *
+ * Exposed Endpoints:
+ * - GET /                - List notifications (optionally only unread ones)
+ * - POST /:id/read       - Mark one notification as read
+ * - POST /read-all       - Mark every notification as read
+ *
+ * Security Considerations:
+ * - All routes require valid JWT authentication
+ * - Users only ever see and change their own notifications
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Core Express framework for routing
+const express = require('express');
+const router = express.Router();
+
+// Data models
+const Notification = require('../models/Notification');
+
+// Authentication middleware
+const verifyToken = require('../middleware/verifyToken');
+
+// Apply JWT verification to all routes in this controller
+router.use(verifyToken);
+
+/**
+ * =============================================================================
+ * GET /
+ * =============================================================================
+ * Lists the user's notifications that are already due, newest first.
+ * 
+ * Query Parameters:
+ * - unread: "true" to return only unread notifications
+ * - since: Date (optional) - only notifications due after this time, for
+ *   cheap incremental polling
+ * - limit: Number (optional, default 20, max 100)
+ * 
+ * Response:
+ * - Success: { count, unreadCount, data: [notifications] }
+ * - Error: 400 for invalid parameters, 500 for server errors
+ * =============================================================================
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { unread, since } = req.query;
+
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid date format for since.' 
+      });
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = { user: req.user.id, dueAt: { $lte: new Date() } };
+    if (since) query.dueAt.$gt = new Date(since);
+    if (unread === 'true') query.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ dueAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user.id, dueAt: { $lte: new Date() }, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS] Error fetching notifications:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /read-all
+ * =============================================================================
+ * Marks every unread notification of the user as read.
+ * 
+ * Response:
+ * - Success: { updated: number }
+ * - Error: 500 for server errors
+ * =============================================================================
+ */
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null, dueAt: { $lte: new Date() } },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read.',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS] Error marking notifications as read:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /:id/read
+ * =============================================================================
+ * Marks a single notification as read.
+ * 
+ * Response:
+ * - Success: The updated notification
+ * - Error: 400 for an invalid ID, 404 if not found, 500 for server errors
+ * =============================================================================
+ */
+router.post('/:id/read', async (req, res, next) => {
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid notification ID format.' 
+      });
+    }
+
+    // Scoping the query to the user means other users' notifications are simply not found
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Notification not found.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS] Error marking notification as read:', {
+      error: error.message,
+      notificationId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -9,8 +9,15 @@
  * 
  * Key Features:
  * - User-specific sleep data management
+ * - Backdated manual logging of complete past nights
  * - Date-based sleep session retrieval
  * - Secure sleep data updates with field whitelisting
+ * - Per-wake-up add, edit, reorder and delete under /:id/wakeups
+ * - Rolling sleep debt against the user's sleep need
+ * - Sleep timing regularity and social jet lag
+ * - Which recorded factors go with better or worse sleep
+ * - Weekly and monthly summary reports
+ * - Per-day calendar data for a year-view heatmap
  * - Password-protected deletion for data safety
  * - Comprehensive ownership validation
  * - Detailed error handling and logging
@@ -37,6 +44,38 @@ const bcrypt = require('bcrypt'); // For password verification during deletions
 // Data models
 const SleepData = require('../models/SleepData');
 const User = require('../models/User');
+const Bedroom = require('../models/Bedroom');
+
+// Shared sleep session validation
+const {
+  isValidDate,
+  validateCuddleBuddy,
+  validateSessionType,
+  validateUtcOffset,
+  validatePreSleepFactors,
+  validateEnvironmentOverrides,
+  validateWakeUp,
+  validateSleepOnsetTimes,
+  validateCompletedTimeline,
+  validateSessionTimeline,
+  getSessionEnd,
+  findOverlappingSession
+} = require('../utils/sleepValidation');
+const { applyInferredSessionType } = require('../utils/sessionTypes');
+const { buildDreamEntries, hasDreamInput } = require('../utils/dreams');
+const { parseSearchTerms, findSessionMatches } = require('../utils/sleepSearch');
+const {
+  INTERVALS: DREAM_TAG_INTERVALS,
+  suggestDreamTags,
+  getDreamTagStats
+} = require('../utils/dreamTags');
+const { getBedtime } = require('../utils/sleepMetrics');
+const { getSleepDebt } = require('../utils/sleepDebt');
+const { getSleepRegularity } = require('../utils/sleepRegularity');
+const { getSleepFactors } = require('../utils/sleepFactors');
+const { getSleepReport } = require('../utils/sleepReports');
+const { bedtimeRangeCondition, getSleepCalendar } = require('../utils/sleepCalendar');
+const { formatZonedDate, startOfZonedDay, addDays } = require('../utils/timeZones');
 
 // Authentication middleware
 const verifyToken = require('../middleware/verifyToken');
@@ -45,6 +84,23 @@ const verifyToken = require('../middleware/verifyToken');
 // This ensures all sleep data operations require authentication
 router.use(verifyToken);
 
+// Page sizes for GET /search
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+// Window sizes, in days, for GET /debt
+const SLEEP_DEBT_DEFAULT_DAYS = 14;
+const SLEEP_DEBT_MAX_DAYS = 90;
+
+// Longest date range, in days, for GET /regularity
+const REGULARITY_MAX_DAYS = 366;
+
+// Longest date range, in days, for GET /calendar
+const CALENDAR_MAX_DAYS = 366;
+
+// Report names accepted by GET /reports/:period, and the period each covers
+const REPORT_PERIODS = { weekly: 'week', monthly: 'month' };
+
 /**
  * =============================================================================
  * OWNERSHIP VALIDATION MIDDLEWARE
@@ -136,14 +192,16 @@ async function checkOwnership(req, res, next) {
  * - Users can only access their own sleep data
  * 
  * Query Parameters:
- * - None (returns all user's sleep sessions)
+ * - type: String (optional) - only return "main", "nap" or "segmented" sessions
  * 
  * Response:
  * - Success: Array of sleep data objects, sorted by creation date (newest first)
  * - Error: 500 for server errors
  * 
  * Data Relationships:
- * - Includes referenced bedroom data if populated
+ * - Includes the bedroom's current name and description (populated)
+ * - bedroomSnapshot holds the environment on the night itself; use it rather
+ *   than the live bedroom when showing or analysing conditions
  * - Contains wake-up events and sleep quality ratings
  * 
  * Performance Notes:
@@ -155,31 +213,915 @@ router.get('/', async (req, res, next) => {
   try {
     console.log(`[SLEEP_DATA] Fetching all sleep sessions for user: ${req.user.username}`);
     
+    const typeValidation = validateSessionType(req.query.type);
+    if (!typeValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: typeValidation.error 
+      });
+    }
+
     // Find all sleep data records for the authenticated user
     // Sort by creation date descending (most recent first)
-    const sleepData = await SleepData.find({ user: req.user.id })
+    // Cancelled sessions are waiting to be purged and are never listed
+    const query = { user: req.user.id, status: { $nin: SleepData.HIDDEN_STATUSES } };
+    if (req.query.type) query.sessionType = SleepData.sessionTypeCondition(req.query.type);
+
+    const sleepData = await SleepData.find(query)
       .sort({ createdAt: -1 })
       .populate('bedroom', 'bedroomName description') // Include basic bedroom info
       .populate('user', 'username firstName lastName'); // Include basic user info
 
-    // Log successful retrieval
-    console.log(`[SLEEP_DATA] Successfully retrieved ${sleepData.length} sleep sessions for user: ${req.user.username}`);
+    // Log successful retrieval
+    console.log(`[SLEEP_DATA] Successfully retrieved ${sleepData.length} sleep sessions for user: ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      count: sleepData.length,
+      data: sleepData
+    });
+  } catch (error) {
+    // Log detailed error for debugging
+    console.error('[SLEEP_DATA] Error fetching sleep sessions:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+    
+    // Pass error to global error handler
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /manual
+ * =============================================================================
+ * Records a complete past night in one request, for users who forgot to use
+ * the live POST /gotobed → POST /gotobed/wakeup flow.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Creates a sleep session owned by the authenticated user
+ * - Bedroom must belong to the authenticated user
+ * 
+ * Request Body:
+ * - bedroom: ObjectId (required) - reference to the bedroom used
+ * - bedtime: Date (required) - when the user went to bed
+ * - wakeUps: Array (required) - at least one wake-up, in order, each with
+ *   sleepQuality, awakenAt, backToBedAt (all but the last), and dreams
+ *   (structured entries) and/or a legacy dreamJournal string
+ * - cuddleBuddy: String (optional) - what the user cuddled with
+ * - sleepyThoughts: String (optional) - pre-sleep thoughts and notes
+ * - preSleepFactors: Object (optional) - pre-sleep checklist, as for POST /gotobed
+ * - environmentOverrides: Object (optional) - that night's temperature,
+ *   lightLevel and/or noiseLevel, as for POST /gotobed
+ * - sessionType: String (optional) - "main", "nap" or "segmented" (inferred when omitted)
+ * - utcOffsetMinutes: Number (optional) - the user's UTC offset, used to infer the type
+ * 
+ * Response:
+ * - Success: 201 with the created sleep session
+ * - Error: 400 for validation errors, 404 for unknown bedroom,
+ *   409 if the night overlaps an existing session, 500 for server errors
+ * 
+ * Validation:
+ * - Each wake-up gets the same field and timeline checks as POST /gotobed/wakeup
+ * - Times must be in chronological order and not in the future
+ * - The last wake-up must be the final one (finishedSleeping=true)
+ * - The night may not overlap any other session, including an active one
+ * =============================================================================
+ */
+router.post('/manual', async (req, res, next) => {
+  try {
+    console.log(`[SLEEP_DATA] Manual sleep log entry by user: ${req.user.username}`);
+
+    const {
+      bedroom,
+      bedtime,
+      wakeUps,
+      cuddleBuddy,
+      sleepyThoughts,
+      preSleepFactors,
+      environmentOverrides,
+      sessionType,
+      utcOffsetMinutes
+    } = req.body;
+
+    // Validate bedroom reference
+    if (!bedroom || typeof bedroom !== 'string' || !bedroom.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A valid bedroom ID is required.' 
+      });
+    }
+
+    // Validate bedtime
+    if (!isValidDate(bedtime)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A valid bedtime is required.' 
+      });
+    }
+
+    // Validate cuddle buddy enum if provided
+    const cuddleValidation = validateCuddleBuddy(cuddleBuddy);
+    if (!cuddleValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: cuddleValidation.error 
+      });
+    }
+
+    // Validate optional session type and UTC offset
+    const typeValidation = validateSessionType(sessionType);
+    const offsetValidation = validateUtcOffset(utcOffsetMinutes);
+    if (!typeValidation.isValid || !offsetValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: typeValidation.error || offsetValidation.error 
+      });
+    }
+
+    // Validate the pre-sleep checklist; caffeine must have been before bedtime
+    const factorsValidation = validatePreSleepFactors(preSleepFactors, new Date(bedtime));
+    if (!factorsValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: factorsValidation.error 
+      });
+    }
+
+    // Validate per-night changes to the bedroom environment
+    const overridesValidation = validateEnvironmentOverrides(environmentOverrides);
+    if (!overridesValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: overridesValidation.error 
+      });
+    }
+
+    // Validate each wake-up the same way the live flow does
+    if (!Array.isArray(wakeUps)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Wake-ups must be an array.' 
+      });
+    }
+    for (let i = 0; i < wakeUps.length; i++) {
+      const wakeUpValidation = validateWakeUp(wakeUps[i], `Wake-up ${i + 1}: `);
+      if (!wakeUpValidation.isValid) {
+        return res.status(400).json({ 
+          success: false,
+          error: wakeUpValidation.error 
+        });
+      }
+    }
+
+    // Validate the night as a whole
+    const bedtimeDate = new Date(bedtime);
+    const timelineValidation = validateCompletedTimeline(bedtimeDate, wakeUps);
+    if (!timelineValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: timelineValidation.error 
+      });
+    }
+
+    // Confirm the bedroom exists and belongs to this user
+    const ownedBedroom = await Bedroom.findOne({ _id: bedroom, ownerId: req.user.id });
+    if (!ownedBedroom) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Bedroom not found.' 
+      });
+    }
+
+    const newSession = new SleepData({
+      user: req.user.id,
+      bedroom,
+      bedroomSnapshot: ownedBedroom.getEnvironmentSnapshot(),
+      environmentOverrides: environmentOverrides || {},
+      cuddleBuddy: cuddleBuddy || 'none',
+      sleepyThoughts: sleepyThoughts || '',
+      preSleepFactors: preSleepFactors || {},
+      wakeUps: wakeUps.map((wakeUp, index) => ({
+        sleepQuality: wakeUp.sleepQuality,
+        dreams: buildDreamEntries(wakeUp),
+        awakenAt: new Date(wakeUp.awakenAt),
+        finishedSleeping: index === wakeUps.length - 1,
+        backToBedAt: wakeUp.backToBedAt ? new Date(wakeUp.backToBedAt) : null
+      })),
+      status: 'finished',
+      entryMethod: 'manual',
+      sessionType: sessionType || 'main',
+      sessionTypeSource: sessionType ? 'user' : 'inferred',
+      utcOffsetMinutes: utcOffsetMinutes || 0,
+      createdAt: bedtimeDate
+    });
+
+    // Reject nights that overlap an existing session
+    const overlapping = await findOverlappingSession(req.user.id, bedtimeDate, getSessionEnd(newSession));
+    if (overlapping) {
+      console.warn(`[SLEEP_DATA] Manual entry by ${req.user.username} overlaps session ${overlapping._id}`);
+      return res.status(409).json({ 
+        success: false,
+        error: 'This night overlaps an existing sleep session.',
+        overlappingSessionId: overlapping._id
+      });
+    }
+
+    await applyInferredSessionType(newSession);
+
+    const savedSession = await newSession.save();
+    await savedSession.populate('bedroom', 'bedroomName description');
+
+    console.log(`[SLEEP_DATA] Manual sleep session ${savedSession._id} created for user: ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sleep session logged successfully.',
+      data: savedSession
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error creating manual sleep session:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation failed: ' + validationErrors.join(', ')
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /dream-tags
+ * =============================================================================
+ * Tag autocomplete from the user's own dream history.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's tags are suggested
+ * 
+ * Query Parameters:
+ * - prefix: String (optional) - start of the tag being typed
+ * - limit: Number (optional, default 10, max 50)
+ * 
+ * Response:
+ * - Success: Tags starting with the prefix, most used first, each with its
+ *   use count and when it was last used
+ * - Error: 400 for an over-long prefix, 500 for server errors
+ * =============================================================================
+ */
+router.get('/dream-tags', async (req, res, next) => {
+  try {
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+
+    if (prefix.length > SleepData.DREAM_LIMITS.tagMaxLength) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Prefix must be at most ${SleepData.DREAM_LIMITS.tagMaxLength} characters.` 
+      });
+    }
+
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const suggestions = await suggestDreamTags(req.user.id, prefix, limit);
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error suggesting dream tags:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /dream-tags/stats
+ * =============================================================================
+ * Reports how often each dream tag appears over time, and the average
+ * sleepQuality of the nights where it appears.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's finished sessions are counted
+ * 
+ * Query Parameters:
+ * - from, to: Date (optional) - only sessions that started in this range
+ * - interval: String (optional) - "week" or "month" (default) timeline buckets,
+ *   in the user's time zone
+ * - limit: Number (optional, default 20, max 100) - most frequent tags to report
+ * 
+ * Response:
+ * - Success: { nights, overallAverageSleepQuality, tags: [{ tag, nights,
+ *   dreams, averageSleepQuality, firstSeenAt, lastSeenAt, timeline }] }
+ * - Error: 400 for invalid parameters, 500 for server errors
+ * 
+ * Notes:
+ * - A night's quality is the average sleepQuality of its wake-ups
+ * - Compare a tag's averageSleepQuality with overallAverageSleepQuality to see
+ *   whether nights with that dream tend to be better or worse
+ * =============================================================================
+ */
+router.get('/dream-tags/stats', async (req, res, next) => {
+  try {
+    const { from, to, interval = 'month' } = req.query;
+    console.log(`[SLEEP_DATA] Computing dream tag statistics for user: ${req.user.username}`);
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid date format for from/to.' 
+      });
+    }
+
+    if (!DREAM_TAG_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Invalid interval. Must be one of: ${DREAM_TAG_INTERVALS.join(', ')}` 
+      });
+    }
+
+    const stats = await getDreamTagStats(req.user.id, {
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      interval,
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error computing dream tag statistics:', {
+      error: error.message,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /debt
+ * =============================================================================
+ * Computes the user's accumulated sleep debt over a rolling window, with a
+ * day-by-day series for charting debt building up and being repaid.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's finished sessions are counted
+ * 
+ * Query Parameters:
+ * - days: Number (optional, 1-90, default 14) - window length, ending today
+ *   in the user's time zone
+ * 
+ * Response:
+ * - Success: { needHours, needSource, window, needMinutes, currentDebtMinutes,
+ *   peakDebtMinutes, totalShortfallMinutes, totalSurplusMinutes, daysLogged,
+ *   averageSleepMinutes, series: [{ date, sleepMinutes, needMinutes,
+ *   balanceMinutes, debtMinutes, sessions, status }] }
+ * - Error: 400 for invalid parameters, 404 if the user no longer exists,
+ *   500 for server errors
+ * 
+ * Notes:
+ * - Sleep need is userPreferences.sleepNeedHours, or an age-appropriate
+ *   default when unset (needSource "user" or "age")
+ * - Each day counts the actual sleep of every session whose final wake-up
+ *   falls on it, naps included
+ * - Debt starts at zero on the first day, never drops below zero, and is
+ *   carried unchanged over days with no recorded sleep (status "no-data")
+ * =============================================================================
+ */
+router.get('/debt', async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? SLEEP_DEBT_DEFAULT_DAYS : Number(req.query.days);
+    console.log(`[SLEEP_DATA] Computing sleep debt for user: ${req.user.username}`);
+
+    if (!Number.isInteger(days) || days < 1 || days > SLEEP_DEBT_MAX_DAYS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `days must be a whole number between 1 and ${SLEEP_DEBT_MAX_DAYS}.` 
+      });
+    }
+
+    const debt = await getSleepDebt(req.user.id, { days });
+    if (!debt) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: debt
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error computing sleep debt:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /regularity
+ * =============================================================================
+ * Reports how consistent the user's sleep timing is: the spread of bedtimes
+ * and wake times, the Sleep Regularity Index and social jet lag.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's finished sessions are counted
+ * 
+ * Query Parameters:
+ * - from, to: YYYY-MM-DD (optional) - first and last night, by the local date
+ *   of the final wake-up; `to` defaults to today and `from` to 27 days before
+ *   `to`. The resulting range may cover at most 366 days
+ * 
+ * Response:
+ * - Success: { range, nights, bedtime, wakeTime, sleepRegularityIndex,
+ *   midSleep: { workDays, freeDays }, socialJetLagMinutes, workDays }
+ *   - bedtime / wakeTime: { mean (HH:MM), varianceMinutes2,
+ *     standardDeviationMinutes, nights }
+ *   - sleepRegularityIndex: { value (0-100 for realistic data, 100 = same
+ *     sleep/wake times every day), comparedDays }
+ * - Error: 400 for invalid parameters, 404 if the user no longer exists,
+ *   500 for server errors
+ * 
+ * Notes:
+ * - Bedtime, wake time and mid-sleep use finished main sleeps; naps and
+ *   segmented sleep still count as sleep for the regularity index
+ * - Times are local to userPreferences.timeZone, and clock averages wrap
+ *   around midnight (23:30 and 00:30 average to 00:00)
+ * - Social jet lag is free-day minus work-day mid-sleep, in minutes (positive
+ *   = later on free days); work days come from userPreferences.workDays
+ * - Any metric without enough nights is null
+ * =============================================================================
+ */
+router.get('/regularity', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    console.log(`[SLEEP_DATA] Computing sleep regularity for user: ${req.user.username}`);
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && (!datePattern.test(from) || !isValidDate(from))) ||
+        (to && (!datePattern.test(to) || !isValidDate(to)))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid date format for from/to. Use YYYY-MM-DD.' 
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('userPreferences.timeZone').lean();
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found.' 
+      });
+    }
+
+    // Fill in the defaults before checking the span, so a lone `from` cannot
+    // reach back decades
+    const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+    const lastDate = to || formatZonedDate(new Date(), timeZone);
+    const firstDate = from || addDays(lastDate, -27);
+    const spanDays = (Date.parse(lastDate) - Date.parse(firstDate)) / (24 * 60 * 60 * 1000) + 1;
+    if (spanDays < 1 || spanDays > REGULARITY_MAX_DAYS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `from must not be after to, and the range can cover at most ${REGULARITY_MAX_DAYS} days.` 
+      });
+    }
+
+    const report = await getSleepRegularity(req.user.id, { from: firstDate, to: lastDate });
+    if (!report) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error computing sleep regularity:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /calendar
+ * =============================================================================
+ * One cell per calendar day for a year-view heatmap: sleep quality, time
+ * asleep and whether a dream was logged.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's sessions are included
+ * 
+ * Query Parameters (either):
+ * - year: YYYY - the whole calendar year (default: the current year)
+ * - from, to: YYYY-MM-DD - an explicit range (both required, at most 366 days)
+ * 
+ * Response:
+ * - Success: { range, summary, days }
+ *   - days: [{ date, empty, sessions, quality, sleepMinutes, dreamLogged }],
+ *     one per date in range, oldest first; days without sessions have
+ *     empty: true and null quality / sleepMinutes
+ *   - summary: { days, loggedDays, emptyDays, dreamDays, minQuality,
+ *     maxQuality, maxSleepMinutes }
+ * - Error: 400 for invalid parameters, 404 if the user no longer exists,
+ *   500 for server errors
+ * 
+ * Notes:
+ * - Sessions are placed on the local date (userPreferences.timeZone) of their
+ *   bedtime, like GET /:date; naps and segmented sleep are included
+ * - quality averages the day's rated finished sessions; sleepMinutes adds up
+ *   their time asleep. A night still in progress makes a day non-empty but
+ *   contributes no numbers yet
+ * =============================================================================
+ */
+router.get('/calendar', async (req, res, next) => {
+  try {
+    const { year, from, to } = req.query;
+    console.log(`[SLEEP_DATA] Building sleep calendar for user: ${req.user.username}`);
+
+    if (year !== undefined && (from !== undefined || to !== undefined)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Use either year or from/to, not both.' 
+      });
+    }
+
+    if (year !== undefined && (!/^\d{4}$/.test(year) || Number(year) < 1900 || Number(year) > 2100)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid year. Expected YYYY between 1900 and 2100.' 
+      });
+    }
+
+    if (from !== undefined || to !== undefined) {
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      if (!from || !to ||
+          !datePattern.test(from) || !isValidDate(from) ||
+          !datePattern.test(to) || !isValidDate(to)) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Both from and to are required, as YYYY-MM-DD.' 
+        });
+      }
+
+      const spanDays = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+      if (spanDays < 1 || spanDays > CALENDAR_MAX_DAYS) {
+        return res.status(400).json({ 
+          success: false,
+          error: `from must not be after to, and the range can cover at most ${CALENDAR_MAX_DAYS} days.` 
+        });
+      }
+    }
+
+    const calendar = await getSleepCalendar(req.user.id, {
+      from: from || null,
+      to: to || null,
+      year: year !== undefined ? Number(year) : null
+    });
+    if (!calendar) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: calendar
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error building sleep calendar:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /reports/:period
+ * =============================================================================
+ * Weekly or monthly sleep summary, compared with the period before.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's finished sessions are counted
+ * 
+ * Parameters:
+ * - period: "weekly" (Monday to Sunday) or "monthly" (calendar month)
+ * 
+ * Query Parameters:
+ * - date: YYYY-MM-DD (optional) - any day in the period to report; defaults
+ *   to today in the user's time zone
+ * 
+ * Response:
+ * - Success: { period, timeZone, inProgress, current, previous, change }
+ *   - current / previous: { from, to, sessions, ratedSessions, averageQuality,
+ *     bestNight, worstNight, averageSleepMinutes, averageBedtime (HH:MM),
+ *     totalAwakenings, favoriteBedroom: { bedroomId, bedroomName, sessions },
+ *     dreamEntries }
+ *   - bestNight / worstNight: { sessionId, date, quality } (null without ratings)
+ *   - change: current minus previous for each figure (averageBedtimeMinutes
+ *     is positive when bedtime moved later), plus sameFavoriteBedroom
+ * - Error: 400 for an unknown period or invalid date, 404 if the user no
+ *   longer exists, 500 for server errors
+ * 
+ * Notes:
+ * - Counts finished main sleeps, each in the period its final wake-up falls
+ *   in (local time); naps and segmented sleep are left out
+ * - inProgress is true while the current period is not over yet
+ * - Computed by a MongoDB aggregation; sessions are not loaded into the app
+ * =============================================================================
+ */
+router.get('/reports/:period', async (req, res, next) => {
+  try {
+    const period = Object.hasOwn(REPORT_PERIODS, req.params.period) ? REPORT_PERIODS[req.params.period] : null;
+    const { date } = req.query;
+    console.log(`[SLEEP_DATA] Building ${req.params.period} report for user: ${req.user.username}`);
+
+    if (!period) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Unknown report period. Use one of: ${Object.keys(REPORT_PERIODS).join(', ')}.` 
+      });
+    }
+
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isValidDate(date))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid date format. Use YYYY-MM-DD.' 
+      });
+    }
+
+    const report = await getSleepReport(req.user.id, { period, date: date || null });
+    if (!report) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error building sleep report:', {
+      error: error.message,
+      stack: error.stack,
+      period: req.params.period,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /factors
+ * =============================================================================
+ * Measures how each recorded variable relates to sleep quality and to
+ * awakenings, so users can see which habits and conditions actually matter.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's finished sessions are analysed
+ * 
+ * Query Parameters:
+ * - from, to: YYYY-MM-DD (optional) - first and last night, by the local date
+ *   of the final wake-up; all history when omitted
+ * 
+ * Factors:
+ * - cuddleBuddy, day of week (of the evening the night began), and the night's
+ *   lightLevel, noiseLevel, bedType and mattressType - compared by one-way
+ *   ANOVA, effect size eta squared
+ * - room temperature, bedtime hour, session length (hours in bed) and the
+ *   numeric pre-sleep factors - Pearson correlation r with a 95% interval
+ * - exercise and heavyMeal pre-sleep answers - categorical, as above
+ * 
+ * Response:
+ * - Success: { range, nights, thresholds, outcomes: { sleepQuality, awakenings } }
+ *   - each outcome: { nights, mean, factors: [{ factor, label, kind, nights,
+ *     effectSize: { measure, value, confidenceInterval? }, strength, direction,
+ *     pValue, levels? (categorical), weakEvidence, reason }] }
+ *   - factors are listed best-supported first, then by effect size
+ * - Error: 400 for invalid dates, 404 if the user no longer exists,
+ *   500 for server errors
+ * 
+ * Notes:
+ * - Uses finished main sleeps, one per night; environment values are the
+ *   night's own (bedroom snapshot plus overrides)
+ * - weakEvidence is true with fewer than 10 nights, no variation, or p ≥ 0.05;
+ *   categorical values seen on fewer than 3 nights are listed but not tested
+ * - Around thirty tests run at once, so expect the odd chance "finding" -
+ *   effects that persist as more nights are logged are the ones to trust
+ * - Associations only: a factor that goes with poor sleep need not cause it
+ * =============================================================================
+ */
+router.get('/factors', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    console.log(`[SLEEP_DATA] Analysing sleep factors for user: ${req.user.username}`);
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && (!datePattern.test(from) || !isValidDate(from))) ||
+        (to && (!datePattern.test(to) || !isValidDate(to)))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid date format for from/to. Use YYYY-MM-DD.' 
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'from must not be after to.' 
+      });
+    }
+
+    const report = await getSleepFactors(req.user.id, { from: from || null, to: to || null });
+    if (!report) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found.' 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error analysing sleep factors:', {
+      error: error.message,
+      stack: error.stack,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * GET /search
+ * =============================================================================
+ * Full-text search across the user's dreams (titles, narratives, tags, legacy
+ * dream journals) and sleepy thoughts.
+ * 
+ * Access Control:
+ * - Requires valid JWT token (applied by router middleware)
+ * - Only the authenticated user's sessions are searched
+ * 
+ * Query Parameters:
+ * - q: String (required, 2-200 characters) - words to match; "quoted phrases"
+ *   must match exactly and -word excludes sessions containing that word
+ * - from, to: Date (optional) - only sessions that started in this range
+ * - bedroom: ObjectId (optional) - only sessions in this bedroom
+ * - page: Number (optional, default 1), limit: Number (optional, default 20, max 50)
+ * 
+ * Response:
+ * - Success: Sessions ranked by relevance; each lists its matches with the
+ *   field, wakeUpId and dreamId, a snippet and the highlight offsets in it
+ * - Error: 400 for invalid parameters, 500 for server errors
+ * 
+ * Notes:
+ * - Matching uses MongoDB's text index (stemmed, case-insensitive)
+ * - Highlights mark words starting with a search term inside the snippet
+ * =============================================================================
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    const { q, from, to, bedroom } = req.query;
+    console.log(`[SLEEP_DATA] Searching sleep journals for user: ${req.user.username}`);
+
+    if (typeof q !== 'string' || q.trim().length < 2 || q.length > 200) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Search text (q) must be between 2 and 200 characters.' 
+      });
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid date format for from/to.' 
+      });
+    }
+
+    if (bedroom && !/^[0-9a-fA-F]{24}$/.test(bedroom)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid bedroom ID format.' 
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(SEARCH_MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || SEARCH_DEFAULT_LIMIT));
+
+    // Always scoped to the requesting user, like checkOwnership
+    const query = {
+      user: req.user.id,
+      status: { $nin: SleepData.HIDDEN_STATUSES },
+      $text: { $search: q.trim() }
+    };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    if (bedroom) query.bedroom = bedroom;
+
+    const [total, sessions] = await Promise.all([
+      SleepData.countDocuments(query),
+      SleepData.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('createdAt lightsOutAt bedroom sessionType status sleepyThoughts wakeUps')
+        .populate('bedroom', 'bedroomName')
+        .lean()
+    ]);
+
+    const terms = parseSearchTerms(q);
+    const results = sessions.map(session => ({
+      sessionId: session._id,
+      bedtime: getBedtime(session),
+      bedroom: session.bedroom,
+      sessionType: session.sessionType,
+      status: session.status,
+      score: Math.round(session.score * 100) / 100,
+      matches: findSessionMatches(session, terms)
+    }));
+
+    console.log(`[SLEEP_DATA] Search returned ${results.length} of ${total} sessions for user: ${req.user.username}`);
 
     res.status(200).json({
       success: true,
-      count: sleepData.length,
-      data: sleepData
+      count: results.length,
+      total,
+      page,
+      limit,
+      data: results
     });
   } catch (error) {
-    // Log detailed error for debugging
-    console.error('[SLEEP_DATA] Error fetching sleep sessions:', {
+    console.error('[SLEEP_DATA] Error searching sleep journals:', {
       error: error.message,
-      stack: error.stack,
       username: req.user.username,
       timestamp: new Date().toISOString()
     });
-    
-    // Pass error to global error handler
+
     next(error);
   }
 });
@@ -188,7 +1130,8 @@ router.get('/', async (req, res, next) => {
  * =============================================================================
  * GET /:date
  * =============================================================================
- * Retrieves a specific sleep session by date.
+ * Retrieves every sleep session (main sleep, naps, segmented sleep) whose
+ * bedtime falls on a date.
  * 
  * Access Control:
  * - Requires valid JWT token
@@ -198,24 +1141,27 @@ router.get('/', async (req, res, next) => {
  * - date: String in YYYYMMDD format (e.g., "20231225" for December 25, 2023)
  * 
  * Response:
- * - Success: Sleep data object for the specified date
+ * - Success: Array of sleep data objects for the specified date, ordered by
+ *   bedtime, plus a count
  * - Error: 400 for invalid date format, 404 for no data found, 500 for server errors
  * 
  * Date Handling:
- * - Expects UTC date in YYYYMMDD format
- * - Searches for sleep sessions created within the specified 24-hour period
- * - Accounts for timezone differences by using UTC date ranges
+ * - Expects a local date in YYYYMMDD format
+ * - Searches for sleep sessions whose bedtime falls on that date in the user's
+ *   time zone (userPreferences.timeZone, UTC when unset): lightsOutAt when
+ *   recorded, otherwise createdAt
  * 
  * Use Cases:
  * - Mobile app requesting specific day's sleep data
- * - Calendar view showing sleep information for selected dates
+ * - Calendar view showing sleep information for selected dates (GET /calendar
+ *   returns the per-day overview, bucketed the same way)
  * - Sleep pattern analysis for specific time periods
  * =============================================================================
  */
 router.get('/:date', async (req, res, next) => {
   try {
     const dateStr = req.params.date;
-    console.log(`[SLEEP_DATA] Fetching sleep session for date: ${dateStr} by user: ${req.user.username}`);
+    console.log(`[SLEEP_DATA] Fetching sleep sessions for date: ${dateStr} by user: ${req.user.username}`);
 
     // Validate date format - must be exactly 8 digits (YYYYMMDD)
     if (!/^\d{8}$/.test(dateStr)) {
@@ -238,31 +1184,28 @@ router.get('/:date', async (req, res, next) => {
       });
     }
 
-    // Create UTC date range for the entire specified day (midnight to midnight)
-    const startOfDay = new Date(Date.UTC(year, month, day, 0, 0, 0, 0));
-    const endOfDay = new Date(Date.UTC(year, month, day + 1, 0, 0, 0, 0));
-
-    // Validate that the created date is valid
-    if (isNaN(startOfDay.getTime()) || isNaN(endOfDay.getTime())) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Invalid date. Please check the date format and values.' 
-      });
-    }
+    // The day runs from local midnight to local midnight in the user's time zone,
+    // the same buckets as GET /calendar
+    const user = await User.findById(req.user.id).select('userPreferences.timeZone').lean();
+    const timeZone = (user && user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+    const date = new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+    const startOfDay = startOfZonedDay(date, timeZone);
+    const endOfDay = startOfZonedDay(addDays(date, 1), timeZone);
 
-    // Find sleep data for the user within the specified date range
-    const sleepData = await SleepData.findOne({
+    // Find sleep data for the user whose real bedtime is within the date range
+    const sleepData = await SleepData.find({
       user: req.user.id,
-      createdAt: { 
-        $gte: startOfDay,  // Greater than or equal to start of day
-        $lt: endOfDay      // Less than start of next day
-      },
+      status: { $nin: SleepData.HIDDEN_STATUSES },
+      ...bedtimeRangeCondition(startOfDay, endOfDay)
     })
     .populate('bedroom', 'bedroomName description') // Include bedroom details
     .populate('user', 'username firstName lastName'); // Include user details
 
+    // Order by real bedtime - lightsOutAt can move a session earlier than its createdAt
+    sleepData.sort((a, b) => getBedtime(a) - getBedtime(b));
+
     // Return 404 if no sleep data found for the specified date
-    if (!sleepData) {
+    if (sleepData.length === 0) {
       console.log(`[SLEEP_DATA] No sleep session found for date: ${dateStr} by user: ${req.user.username}`);
       return res.status(404).json({ 
         success: false,
@@ -271,10 +1214,11 @@ router.get('/:date', async (req, res, next) => {
     }
 
     // Log successful retrieval
-    console.log(`[SLEEP_DATA] Sleep session found for date: ${dateStr} by user: ${req.user.username}`);
+    console.log(`[SLEEP_DATA] ${sleepData.length} sleep sessions found for date: ${dateStr} by user: ${req.user.username}`);
 
     res.status(200).json({
       success: true,
+      count: sleepData.length,
       data: sleepData
     });
   } catch (error) {
@@ -306,11 +1250,23 @@ router.get('/:date', async (req, res, next) => {
  * - id: MongoDB ObjectId of the sleep session to update
  * 
  * Request Body (all optional):
- * - bedroom: ObjectId reference to a bedroom
+ * - bedroom: ObjectId reference to one of the user's bedrooms; moving the
+ *   session copies that bedroom's current environment into bedroomSnapshot
  * - sleepyThoughts: String - thoughts before sleeping
- * - wakeUps: Array - wake-up events with quality ratings and notes
+ * - wakeUps: Array - replaces every wake-up event (each may use `dreams` and/or
+ *   a legacy `dreamJournal`; an entry with an existing _id and neither keeps its
+ *   stored dreams). The night is checked like the /:id/wakeups routes: time
+ *   order, no future times, and a final wake-up only on finished sessions.
+ *   Prefer /:id/wakeups for single changes
  * - cuddleBuddy: String - what the user cuddled with
  * - createdAt: Date - when the sleep session occurred
+ * - lightsOutAt: Date|null - when the user turned out the lights (null clears it)
+ * - sleepOnsetAt: Date|null - estimate of when the user fell asleep (null clears it)
+ * - preSleepFactors: Object|null - replaces the whole pre-sleep checklist (null clears it)
+ * - environmentOverrides: Object|null - merged into that night's overrides;
+ *   a field set to null goes back to the bedroom's value, and null clears them all
+ * - sessionType: String|null - "main", "nap" or "segmented"; null goes back to
+ *   inferring the type from the session's times
  * 
  * Field Restrictions:
  * - Only whitelisted fields can be updated for security
@@ -319,7 +1275,8 @@ router.get('/:date', async (req, res, next) => {
  * 
  * Response:
  * - Success: Updated sleep data object
- * - Error: 400 for validation errors, 403 for unauthorized access, 404 for not found
+ * - Error: 400 for validation errors, 403 for unauthorized access, 404 for not
+ *   found (including cancelled sessions), 409 if new times overlap another session
  * 
  * Validation:
  * - Mongoose schema validation is applied
@@ -327,7 +1284,7 @@ router.get('/:date', async (req, res, next) => {
  * - Invalid data is rejected with detailed error messages
  * =============================================================================
  */
-router.put('/:id', checkOwnership, async (req, res, next) => {
+router.put('/:id', checkOwnership, requireEditableSession, async (req, res, next) => {
   try {
     const updates = req.body;
     console.log(`[SLEEP_DATA] Updating sleep session ${req.params.id} for user: ${req.user.username}`);
@@ -339,7 +1296,12 @@ router.put('/:id', checkOwnership, async (req, res, next) => {
       'sleepyThoughts', // Pre-sleep thoughts and notes
       'wakeUps',        // Array of wake-up events and quality ratings
       'cuddleBuddy',    // What the user cuddled with during sleep
-      'createdAt'       // When the sleep session occurred (for data correction)
+      'createdAt',      // When the sleep session occurred (for data correction)
+      'lightsOutAt',    // When the user turned out the lights
+      'sleepOnsetAt',   // When the user thinks they fell asleep
+      'sessionType',    // Main sleep, nap or segmented sleep
+      'preSleepFactors', // Caffeine, alcohol, exercise, stress, ... before bed
+      'environmentOverrides' // That night's temperature / light / noise
     ];
 
     // Filter out any fields that are not in the allowed list
@@ -367,12 +1329,24 @@ router.put('/:id', checkOwnership, async (req, res, next) => {
     // Validate specific field types and constraints
     if (filteredUpdates.bedroom) {
       // Validate bedroom ID format if provided
-      if (!filteredUpdates.bedroom.match(/^[0-9a-fA-F]{24}$/)) {
+      if (typeof filteredUpdates.bedroom !== 'string' || !filteredUpdates.bedroom.match(/^[0-9a-fA-F]{24}$/)) {
         return res.status(400).json({ 
           success: false,
           error: 'Invalid bedroom ID format.' 
         });
       }
+
+      // Moving the session to another bedroom replaces its environment snapshot
+      if (String(filteredUpdates.bedroom) !== String(req.sleepData.bedroom)) {
+        const newBedroom = await Bedroom.findOne({ _id: filteredUpdates.bedroom, ownerId: req.user.id });
+        if (!newBedroom) {
+          return res.status(404).json({ 
+            success: false,
+            error: 'Bedroom not found.' 
+          });
+        }
+        req.sleepData.set('bedroomSnapshot', newBedroom.getEnvironmentSnapshot(), { overwriteImmutable: true });
+      }
     }
 
     if (filteredUpdates.wakeUps) {
@@ -384,16 +1358,25 @@ router.put('/:id', checkOwnership, async (req, res, next) => {
         });
       }
       
-      // Validate each wake-up entry
+      // Validate each wake-up entry the same way as the /:id/wakeups routes
       for (let i = 0; i < filteredUpdates.wakeUps.length; i++) {
-        const wakeUp = filteredUpdates.wakeUps[i];
-        if (wakeUp.sleepQuality && (wakeUp.sleepQuality < 1 || wakeUp.sleepQuality > 10)) {
+        const wakeUpValidation = validateWakeUp(filteredUpdates.wakeUps[i], `Wake-up ${i + 1}: `);
+        if (!wakeUpValidation.isValid) {
           return res.status(400).json({ 
             success: false,
-            error: `Wake-up ${i + 1}: Sleep quality must be between 1 and 10.` 
+            error: wakeUpValidation.error 
           });
         }
       }
+
+      // Store dreams in the structured shape, keeping those of untouched wake-ups
+      filteredUpdates.wakeUps = filteredUpdates.wakeUps.map((wakeUp) => {
+        if (hasDreamInput(wakeUp)) {
+          return { ...wakeUp, dreams: buildDreamEntries(wakeUp), dreamJournal: '' };
+        }
+        const existing = wakeUp._id ? req.sleepData.wakeUps.id(wakeUp._id) : null;
+        return existing ? { ...wakeUp, dreams: existing.dreams.map(dream => dream.toObject()) } : wakeUp;
+      });
     }
 
     if (filteredUpdates.cuddleBuddy) {
@@ -418,9 +1401,94 @@ router.put('/:id', checkOwnership, async (req, res, next) => {
       }
     }
 
+    const typeValidation = validateSessionType(filteredUpdates.sessionType);
+    if (!typeValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: typeValidation.error 
+      });
+    }
+
+    // Check lights-out and sleep onset against the session as it will be saved
+    const onsetValidation = validateSleepOnsetTimes({
+      createdAt: filteredUpdates.createdAt || req.sleepData.createdAt,
+      lightsOutAt: 'lightsOutAt' in filteredUpdates ? filteredUpdates.lightsOutAt : req.sleepData.lightsOutAt,
+      sleepOnsetAt: 'sleepOnsetAt' in filteredUpdates ? filteredUpdates.sleepOnsetAt : req.sleepData.sleepOnsetAt,
+      wakeUps: filteredUpdates.wakeUps || req.sleepData.wakeUps
+    });
+    if (!onsetValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: onsetValidation.error 
+      });
+    }
+
+    if ('preSleepFactors' in filteredUpdates) {
+      const factorsValidation = validatePreSleepFactors(
+        filteredUpdates.preSleepFactors,
+        getBedtime({ ...req.sleepData.toObject(), ...filteredUpdates })
+      );
+      if (!factorsValidation.isValid) {
+        return res.status(400).json({ 
+          success: false,
+          error: factorsValidation.error 
+        });
+      }
+      filteredUpdates.preSleepFactors = filteredUpdates.preSleepFactors || {};
+    }
+
+    if ('environmentOverrides' in filteredUpdates) {
+      const overridesValidation = validateEnvironmentOverrides(filteredUpdates.environmentOverrides);
+      if (!overridesValidation.isValid) {
+        return res.status(400).json({ 
+          success: false,
+          error: overridesValidation.error 
+        });
+      }
+      // Partial: fields not sent keep their override; null clears one, or all of them
+      filteredUpdates.environmentOverrides = filteredUpdates.environmentOverrides === null
+        ? {}
+        : { ...req.sleepData.environmentOverrides.toObject(), ...filteredUpdates.environmentOverrides };
+    }
+
+    // A type set here is the user's choice; clearing it hands it back to inference
+    if ('sessionType' in filteredUpdates) {
+      req.sleepData.sessionTypeSource = filteredUpdates.sessionType ? 'user' : 'inferred';
+      if (!filteredUpdates.sessionType) delete filteredUpdates.sessionType;
+    }
+
     // Apply the filtered updates to the sleep data document
     Object.assign(req.sleepData, filteredUpdates);
 
+    // Replaced wake-ups or a moved bedtime must still make a valid night for the
+    // session's status, exactly as with the /:id/wakeups routes
+    if ('wakeUps' in filteredUpdates || 'createdAt' in filteredUpdates) {
+      syncOpenSessionStatus(req.sleepData);
+      const timelineValidation = validateSessionTimeline(req.sleepData);
+      if (!timelineValidation.isValid) {
+        return res.status(400).json({ 
+          success: false,
+          error: timelineValidation.error 
+        });
+      }
+
+      // The moved night must not overlap another session, as with /manual
+      const sessionStart = new Date(req.sleepData.createdAt);
+      const sessionEnd = SleepData.OPEN_STATUSES.includes(req.sleepData.status)
+        ? new Date()
+        : getSessionEnd(req.sleepData) || sessionStart;
+      const overlapping = await findOverlappingSession(req.user.id, sessionStart, sessionEnd, req.sleepData._id);
+      if (overlapping) {
+        console.warn(`[SLEEP_DATA] Update by ${req.user.username} makes session ${req.params.id} overlap session ${overlapping._id}`);
+        return res.status(409).json({ 
+          success: false,
+          error: 'This night overlaps an existing sleep session.',
+          overlappingSessionId: overlapping._id
+        });
+      }
+    }
+    await applyInferredSessionType(req.sleepData);
+
     // Save the updated document with validation
     const updatedSleepData = await req.sleepData.save();
 
@@ -456,6 +1524,336 @@ router.put('/:id', checkOwnership, async (req, res, next) => {
   }
 });
 
+/**
+ * =============================================================================
+ * WAKE-UP EDITING HELPERS
+ * =============================================================================
+ * Shared by the /:id/wakeups routes. Each route changes req.sleepData.wakeUps
+ * and then hands off to saveWakeUpChanges, which validates the whole night,
+ * keeps the session status in step and saves with optimistic concurrency.
+ * =============================================================================
+ */
+
+// Wake-up fields that may be set through the per-wake-up routes
+const EDITABLE_WAKEUP_FIELDS = ['sleepQuality', 'dreams', 'dreamJournal', 'awakenAt', 'finishedSleeping', 'backToBedAt'];
+
+/**
+ * Middleware that hides cancelled sessions from PUT /:id and the wake-up routes.
+ * Must run after checkOwnership.
+ */
+function requireEditableSession(req, res, next) {
+  if (SleepData.HIDDEN_STATUSES.includes(req.sleepData.status)) {
+    return res.status(404).json({ 
+      success: false,
+      error: 'Sleep session not found.' 
+    });
+  }
+  next();
+}
+
+/**
+ * Looks up a wake-up by its _id on the session loaded by checkOwnership.
+ * Sends a 400/404 response itself and returns null if it cannot be found.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The wake-up subdocument
+ */
+function findWakeUp(req, res) {
+  const { wakeUpId } = req.params;
+
+  if (!wakeUpId || !wakeUpId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ 
+      success: false,
+      error: 'Invalid wake-up ID format.' 
+    });
+    return null;
+  }
+
+  const wakeUp = req.sleepData.wakeUps.id(wakeUpId);
+  if (!wakeUp) {
+    res.status(404).json({ 
+      success: false,
+      error: 'Wake-up not found in this sleep session.' 
+    });
+    return null;
+  }
+
+  return wakeUp;
+}
+
+/**
+ * Sorts wake-ups by awakenAt, keeping undated entries in place at the end.
+ * @param {Object} session - SleepData document
+ */
+function sortWakeUpsByTime(session) {
+  const sorted = [...session.wakeUps].sort((a, b) => {
+    const aTime = a.awakenAt ? new Date(a.awakenAt).getTime() : Infinity;
+    const bTime = b.awakenAt ? new Date(b.awakenAt).getTime() : Infinity;
+    return aTime - bTime;
+  });
+  session.wakeUps = sorted.map(wakeUp => wakeUp.toObject());
+}
+
+/**
+ * Keeps an open session's status in step with its wake-ups: "sleeping" until
+ * it has a night-time wake-up, "awake-in-night" after. Finishing a session is
+ * left to POST /gotobed/wakeup.
+ * @param {Object} session - SleepData document
+ */
+function syncOpenSessionStatus(session) {
+  if (session.isActive()) {
+    session.status = session.wakeUps.length > 0 ? 'awake-in-night' : 'sleeping';
+  }
+}
+
+/**
+ * Validates and saves a session after its wake-ups were changed.
+ * @param {Object} req - Express request object (req.sleepData already modified)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {Object} options
+ * @param {number} options.statusCode - HTTP status for success
+ * @param {string} options.message - Success message
+ */
+async function saveWakeUpChanges(req, res, next, { statusCode, message }) {
+  const session = req.sleepData;
+  syncOpenSessionStatus(session);
+
+  const timelineValidation = validateSessionTimeline(session);
+  if (!timelineValidation.isValid) {
+    return res.status(400).json({ 
+      success: false,
+      error: timelineValidation.error 
+    });
+  }
+
+  try {
+    // Changed wake-up times can turn a nap into a main sleep or back
+    await applyInferredSessionType(session);
+
+    const savedSession = await session.save();
+    console.log(`[SLEEP_DATA] Wake-ups updated for sleep session ${savedSession._id} by user: ${req.user.username}`);
+
+    res.status(statusCode).json({
+      success: true,
+      message,
+      data: savedSession
+    });
+  } catch (error) {
+    console.error('[SLEEP_DATA] Error saving wake-up changes:', {
+      error: error.message,
+      sleepDataId: req.params.id,
+      username: req.user.username,
+      timestamp: new Date().toISOString()
+    });
+
+    // Another request (e.g. POST /gotobed/wakeup) saved this session first
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ 
+        success: false,
+        error: 'This sleep session was changed by another request. Please reload and try again.' 
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        success: false,
+        error: 'Validation failed: ' + validationErrors.join(', ')
+      });
+    }
+
+    next(error);
+  }
+}
+
+/**
+ * =============================================================================
+ * POST /:id/wakeups
+ * =============================================================================
+ * Adds a single wake-up event to a sleep session.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Uses ownership validation middleware
+ * 
+ * Request Body:
+ * - sleepQuality: Number (required) - rating from 1-10
+ * - awakenAt: Date (required) - when the user woke up
+ * - backToBedAt: Date (required unless this is the final wake-up)
+ * - finishedSleeping: Boolean (optional) - whether this is the final wake-up
+ * - dreams: Array (optional) - dream entries, as for POST /gotobed/wakeup
+ * - dreamJournal: String (optional, legacy) - free-text dream notes
+ * 
+ * Response:
+ * - Success: 201 with the updated sleep session; the new wake-up has an _id
+ * - Error: 400 for validation errors, 404 if not found, 409 on a concurrent edit
+ * 
+ * Notes:
+ * - The wake-up is placed in time order among the existing ones
+ * - The whole night is re-validated after the change
+ * =============================================================================
+ */
+router.post('/:id/wakeups', checkOwnership, requireEditableSession, async (req, res, next) => {
+  try {
+    console.log(`[SLEEP_DATA] Adding wake-up to sleep session ${req.params.id} for user: ${req.user.username}`);
+
+    const wakeUpValidation = validateWakeUp(req.body);
+    if (!wakeUpValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: wakeUpValidation.error 
+      });
+    }
+
+    const { sleepQuality, awakenAt, finishedSleeping, backToBedAt } = req.body;
+
+    if (!isValidDate(awakenAt)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'awakenAt is required when adding a wake-up.' 
+      });
+    }
+
+    req.sleepData.wakeUps.push({
+      sleepQuality,
+      dreams: buildDreamEntries(req.body),
+      awakenAt: new Date(awakenAt),
+      finishedSleeping: Boolean(finishedSleeping),
+      backToBedAt: backToBedAt ? new Date(backToBedAt) : null
+    });
+    sortWakeUpsByTime(req.sleepData);
+
+    await saveWakeUpChanges(req, res, next, { statusCode: 201, message: 'Wake-up added successfully.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * POST /:id/wakeups/reorder
+ * =============================================================================
+ * Re-sorts a session's wake-ups into chronological order by awakenAt.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Uses ownership validation middleware
+ * 
+ * Response:
+ * - Success: The updated sleep session
+ * - Error: 400 if the sorted night is not valid, 404 if not found, 409 on a concurrent edit
+ * =============================================================================
+ */
+router.post('/:id/wakeups/reorder', checkOwnership, requireEditableSession, async (req, res, next) => {
+  try {
+    console.log(`[SLEEP_DATA] Reordering wake-ups for sleep session ${req.params.id} for user: ${req.user.username}`);
+
+    sortWakeUpsByTime(req.sleepData);
+
+    await saveWakeUpChanges(req, res, next, { statusCode: 200, message: 'Wake-ups reordered by time.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * PUT /:id/wakeups/:wakeUpId
+ * =============================================================================
+ * Edits a single wake-up event.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Uses ownership validation middleware
+ * 
+ * Request Body (all optional, at least one required):
+ * - sleepQuality, dreams, dreamJournal, awakenAt, finishedSleeping, backToBedAt
+ * - Sending `dreams` and/or `dreamJournal` replaces the wake-up's dreams
+ * 
+ * Response:
+ * - Success: The updated sleep session
+ * - Error: 400 for validation errors, 404 if not found, 409 on a concurrent edit
+ * =============================================================================
+ */
+router.put('/:id/wakeups/:wakeUpId', checkOwnership, requireEditableSession, async (req, res, next) => {
+  try {
+    console.log(`[SLEEP_DATA] Editing wake-up ${req.params.wakeUpId} in sleep session ${req.params.id} for user: ${req.user.username}`);
+
+    const wakeUp = findWakeUp(req, res);
+    if (!wakeUp) return;
+
+    const updates = {};
+    EDITABLE_WAKEUP_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'No valid fields provided for update. Allowed fields: ' + EDITABLE_WAKEUP_FIELDS.join(', ')
+      });
+    }
+
+    // Validate the wake-up as it will look after the edit
+    const merged = { ...wakeUp.toObject(), ...updates };
+    if (hasDreamInput(updates)) {
+      merged.dreams = updates.dreams;
+      merged.dreamJournal = updates.dreamJournal;
+    }
+    const wakeUpValidation = validateWakeUp(merged);
+    if (!wakeUpValidation.isValid) {
+      return res.status(400).json({ 
+        success: false,
+        error: wakeUpValidation.error 
+      });
+    }
+
+    // Either dream shape replaces the stored dreams
+    if (hasDreamInput(updates)) {
+      updates.dreams = buildDreamEntries(updates);
+      updates.dreamJournal = '';
+    }
+
+    wakeUp.set(updates);
+
+    await saveWakeUpChanges(req, res, next, { statusCode: 200, message: 'Wake-up updated successfully.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * =============================================================================
+ * DELETE /:id/wakeups/:wakeUpId
+ * =============================================================================
+ * Removes a single wake-up event.
+ * 
+ * Access Control:
+ * - Requires valid JWT token
+ * - Uses ownership validation middleware
+ * 
+ * Response:
+ * - Success: The updated sleep session
+ * - Error: 400 if the night would no longer be valid (e.g. deleting the final
+ *   wake-up of a finished session), 404 if not found, 409 on a concurrent edit
+ * =============================================================================
+ */
+router.delete('/:id/wakeups/:wakeUpId', checkOwnership, requireEditableSession, async (req, res, next) => {
+  try {
+    console.log(`[SLEEP_DATA] Deleting wake-up ${req.params.wakeUpId} from sleep session ${req.params.id} for user: ${req.user.username}`);
+
+    const wakeUp = findWakeUp(req, res);
+    if (!wakeUp) return;
+
+    wakeUp.deleteOne();
+
+    await saveWakeUpChanges(req, res, next, { statusCode: 200, message: 'Wake-up deleted successfully.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * =============================================================================
  * DELETE /:id
@@ -33,6 +33,7 @@ const User = require('../models/User');        // User account management
 // Authentication middleware
 const verifyToken = require('../middleware/verifyToken');   // JWT verification
 const jwtUtils = require('../utils/jwt');
+const { REMINDER_PREFERENCE_FIELDS, validateReminderPreferences } = require('../utils/reminders');
 
 // Apply JWT verification to all routes in this controller
 // This ensures all user operations require authentication
@@ -88,7 +89,13 @@ router.get('/profile', async (req, res) => {
  * - lastName: String - user's last name (empty string clears field)
  * - email: String - user's email address (empty string clears field)
  * - dateOfBirth: Date - user's date of birth
- * - userPreferences: Object - user preference settings
+ * - userPreferences: Object - user preference settings (merged into the stored ones)
+ * - timeZone, sleepReminderEnabled, sleepReminderHours, sleepReminderBedtime,
+ *   sleepReminderDays: bedtime reminder settings, also accepted at the top level
+ * - sleepNeedHours: hours of sleep needed per night (4-14, null for the
+ *   age-appropriate default), also accepted at the top level
+ * - workDays: days of the week the user works (0 = Sunday ... 6 = Saturday),
+ *   also accepted at the top level
  * 
  * Protected Fields:
  * - username: Cannot be changed after account creation
@@ -179,8 +186,8 @@ router.patch('/profile', async (req, res) => {
     
     // Handle individual preference fields by building userPreferences object
     const preferenceFields = [
-      'prefersImperial', 'theme', 'dateFormat', 'timeFormat', 
-      'sleepReminderEnabled', 'sleepReminderHours'
+      'prefersImperial', 'theme', 'dateFormat', 'timeFormat', 'sleepNeedHours', 'workDays',
+      ...REMINDER_PREFERENCE_FIELDS
     ];
     
     const hasPreferenceFields = preferenceFields.some(field => updateData[field] !== undefined);
@@ -208,6 +215,19 @@ router.patch('/profile', async (req, res) => {
           error: 'User preferences must be a valid object.' 
         });
       }
+
+      // Merge with the stored preferences so a partial update keeps the rest
+      const currentUser = await User.findById(userId).select('userPreferences').lean();
+      const currentPreferences = currentUser && currentUser.userPreferences ? currentUser.userPreferences : {};
+      updateData.userPreferences = { ...currentPreferences, ...updateData.userPreferences };
+
+      const reminderValidation = validateReminderPreferences(updateData.userPreferences);
+      if (!reminderValidation.isValid) {
+        return res.status(400).json({ 
+          success: false,
+          error: reminderValidation.error 
+        });
+      }
     }
     
     // Validate name fields - allow empty strings to clear fields
@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * ACHIEVEMENT MODEL
+ * ============================================================================
+ *
+ * Records the badges a user has earned. Badge definitions (names, what earns
+ * them) live in utils/achievements.js; this collection only stores who earned
+ * which badge, when, and on which sleep session. Streaks are not stored: they
+ * are computed from the user's sleep data whenever they are needed.
+ *
+ * Features:
+ * - One record per user and badge, so a badge is never awarded twice even
+ *   when two wake-ups are evaluated at the same time
+ *
+ * Relationships:
+ * - User: Each achievement belongs to one user (many-to-one)
+ * - SleepData: The session whose completion earned the badge (optional)
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Achievement Schema Definition
+ */
+const achievementSchema = new mongoose.Schema({
+    /**
+     * Owner Reference
+     * The user who earned the badge
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Achievement must belong to a user']
+    },
+
+    /**
+     * Badge Key
+     * Identifies the badge (see BADGES in utils/achievements.js)
+     */
+    badge: {
+        type: String,
+        required: [true, 'Badge is required'],
+        trim: true
+    },
+
+    /**
+     * When the badge was earned
+     */
+    awardedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    /**
+     * Triggering Session
+     * The finished session that completed the badge, when there was one
+     */
+    sleepSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SleepData',
+        default: null
+    },
+
+    /**
+     * Progress Value
+     * The figure that reached the badge's target (e.g. 30 nights logged)
+     */
+    value: {
+        type: Number,
+        default: null
+    }
+}, {
+    // Improve JSON output
+    toJSON: {
+        transform: function(doc, ret) {
+            // Remove internal versioning field
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Indexes
+ * - One record per user and badge
+ */
+achievementSchema.index({ user: 1, badge: 1 }, { unique: true });
+
+/**
+ * Awards a badge unless the user already has it.
+ * @param {Object} achievement - Achievement fields (user, badge, sleepSession, value)
+ * @returns {Promise<boolean>} True if the badge was newly awarded
+ */
+achievementSchema.statics.award = async function(achievement) {
+    try {
+        const result = await this.updateOne(
+            { user: achievement.user, badge: achievement.badge },
+            { $setOnInsert: { ...achievement, awardedAt: achievement.awardedAt || new Date() } },
+            { upsert: true }
+        );
+        return result.upsertedCount > 0;
+    } catch (error) {
+        // A concurrent evaluation awarded the same badge first
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('Achievement', achievementSchema);
@@ -22,6 +22,18 @@
 
 const mongoose = require('mongoose');
 
+// Fields copied onto each sleep session when it starts, so later edits to the
+// bedroom do not change the recorded conditions of past nights
+const ENVIRONMENT_FIELDS = [
+    'bedType',
+    'mattressType',
+    'bedSize',
+    'temperature',
+    'lightLevel',
+    'noiseLevel',
+    'pillows'
+];
+
 /**
  * Bedroom Schema Definition
  * 
@@ -336,6 +348,20 @@ bedroomSchema.methods.getEnvironmentAnalysis = function() {
     return analysis;
 };
 
+/**
+ * Instance method to capture the current environment for a sleep session
+ * @returns {object} Bedroom name and ENVIRONMENT_FIELDS, stamped with capturedAt
+ */
+bedroomSchema.methods.getEnvironmentSnapshot = function() {
+    const snapshot = { bedroomName: this.bedroomName, capturedAt: new Date() };
+    ENVIRONMENT_FIELDS.forEach(field => {
+        snapshot[field] = this[field] !== undefined ? this[field] : null;
+    });
+    return snapshot;
+};
+
+bedroomSchema.statics.ENVIRONMENT_FIELDS = ENVIRONMENT_FIELDS;
+
 /**
  * Static method to find bedrooms by owner
  * @param {string} ownerId - The user's ObjectId
@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * INSIGHT MODEL
+ * ============================================================================
+ *
+ * Stores insights raised about a user's sleep trends: nights whose quality
+ * fell well below the user's own rolling baseline, or whose awakenings
+ * spiked above it. Insights are generated when a wake-up finishes a session
+ * (see utils/sleepInsights.js) and stay listed until the user dismisses them.
+ *
+ * Features:
+ * - One insight per user and episode (dedupe key), so a run of bad nights
+ *   updates its insight as it grows instead of raising a new one every night
+ *
+ * Relationships:
+ * - User: Each insight belongs to one user (many-to-one)
+ * - SleepData: The session that last raised or updated the insight
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Kinds of insight the server can raise
+const INSIGHT_TYPES = ['quality-drop', 'awakenings-spike'];
+
+/**
+ * Insight Schema Definition
+ */
+const insightSchema = new mongoose.Schema({
+    /**
+     * Owner Reference
+     * The user the insight is about
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Insight must belong to a user']
+    },
+
+    /**
+     * Insight Type
+     * What was detected (see INSIGHT_TYPES)
+     */
+    type: {
+        type: String,
+        enum: {
+            values: INSIGHT_TYPES,
+            message: 'Insight type must be one of: ' + INSIGHT_TYPES.join(', ')
+        },
+        required: true
+    },
+
+    /**
+     * Dedupe Key
+     * Identifies the episode (type and first night of the run); unique per user
+     */
+    dedupeKey: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Display Text
+     */
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100
+    },
+    message: {
+        type: String,
+        default: '',
+        maxlength: 500
+    },
+
+    /**
+     * Extra Data
+     * Figures behind the insight: the nights in the run, the baseline and
+     * the recent average
+     */
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    /**
+     * Triggering Session
+     * The finished session that last raised or updated the insight
+     */
+    sleepSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SleepData',
+        default: null
+    },
+
+    /**
+     * When the user dismissed the insight (null while it is shown)
+     */
+    dismissedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    // Automatically manage createdAt and updatedAt timestamps
+    timestamps: true,
+
+    // Improve JSON output
+    toJSON: {
+        transform: function(doc, ret) {
+            // Remove internal versioning field
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Indexes
+ * - Listing: a user's insights, newest first
+ * - Dedupe: one insight per user and episode
+ */
+insightSchema.index({ user: 1, updatedAt: -1 });
+insightSchema.index({ user: 1, dedupeKey: 1 }, { unique: true });
+
+/**
+ * Raises an insight, or refreshes the existing one for the same episode.
+ * A dismissed insight stays dismissed while its episode goes on.
+ * @param {Object} insight - Insight fields (user, type, dedupeKey, title, message, data, sleepSession)
+ * @returns {Promise<Object>} The created or updated insight
+ */
+insightSchema.statics.raise = async function(insight) {
+    const { user, dedupeKey, ...fields } = insight;
+    const options = { new: true, runValidators: true };
+    try {
+        return await this.findOneAndUpdate(
+            { user, dedupeKey },
+            { $set: fields },
+            { ...options, upsert: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // A concurrent evaluation created the insight first; update theirs
+        if (error.code === 11000) {
+            return this.findOneAndUpdate({ user, dedupeKey }, { $set: fields }, options);
+        }
+        throw error;
+    }
+};
+
+// Expose the type list for validation elsewhere
+insightSchema.statics.INSIGHT_TYPES = INSIGHT_TYPES;
+
+module.exports = mongoose.model('Insight', insightSchema);
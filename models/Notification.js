@@ -0,0 +1,143 @@
+/**
+ * ============================================================================
+ * NOTIFICATION OUTBOX MODEL
+ * ============================================================================
+ *
+ * Stores notifications produced by the server (currently bedtime reminders)
+ * until the user's client picks them up. There is no push service: clients
+ * poll GET /notifications and mark what they have shown as read.
+ *
+ * Features:
+ * - One notification per user and dedupe key, so a reminder is never queued
+ *   twice even when several server instances run the scheduler
+ * - Old notifications expire automatically
+ *
+ * Relationships:
+ * - User: Each notification belongs to one user (many-to-one)
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Kinds of notification the server can produce
+const NOTIFICATION_TYPES = ['bedtime-reminder'];
+
+// How long notifications are kept, read or not
+const NOTIFICATION_RETENTION_DAYS = 30;
+
+/**
+ * Notification Schema Definition
+ */
+const notificationSchema = new mongoose.Schema({
+    /**
+     * Recipient
+     * The user this notification is for
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    /**
+     * Notification Type
+     * What produced the notification (see NOTIFICATION_TYPES)
+     */
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+
+    /**
+     * Dedupe Key
+     * Identifies the event the notification is about (e.g. the night of a
+     * bedtime reminder); unique per user
+     */
+    dedupeKey: {
+        type: String,
+        required: true
+    },
+
+    /**
+     * Display Text
+     */
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100
+    },
+    message: {
+        type: String,
+        default: '',
+        maxlength: 500
+    },
+
+    /**
+     * Extra Data
+     * Type-specific details for the client (e.g. the target bedtime)
+     */
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    /**
+     * When the notification should be shown
+     */
+    dueAt: {
+        type: Date,
+        required: true
+    },
+
+    /**
+     * When the user's client marked it as read (null while unread)
+     */
+    readAt: {
+        type: Date,
+        default: null
+    },
+
+    /**
+     * Creation Timestamp
+     * Also drives expiry of old notifications
+     */
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * Indexes
+ * - Polling: a user's notifications, newest first
+ * - Dedupe: one notification per user and event
+ * - Expiry: notifications are removed NOTIFICATION_RETENTION_DAYS after creation
+ */
+notificationSchema.index({ user: 1, dueAt: -1 });
+notificationSchema.index({ user: 1, dedupeKey: 1 }, { unique: true });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+/**
+ * Queues a notification unless one with the same dedupe key already exists.
+ * @param {Object} notification - Notification fields (user, type, dedupeKey, ...)
+ * @returns {Promise<boolean>} True if a new notification was queued
+ */
+notificationSchema.statics.enqueue = async function(notification) {
+    try {
+        const result = await this.updateOne(
+            { user: notification.user, dedupeKey: notification.dedupeKey },
+            { $setOnInsert: { ...notification, readAt: null, createdAt: new Date() } },
+            { upsert: true }
+        );
+        return result.upsertedCount > 0;
+    } catch (error) {
+        // Another scheduler instance inserted the same notification first
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,10 +1,127 @@
 // Import mongoose and extract Schema constructor
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { computeSleepMetrics } = require('../utils/sleepMetrics');
+const { getSessionEnvironment, ENVIRONMENT_OVERRIDE_FIELDS } = require('../utils/sleepEnvironment');
+const {
+  VALID_LIGHT_LEVELS,
+  VALID_NOISE_LEVELS,
+  MIN_TEMPERATURE,
+  MAX_TEMPERATURE
+} = require('../utils/bedroomValidation');
+
+/**
+ * Sleep session lifecycle states.
+ * - sleeping: in bed, no wake-ups recorded yet
+ * - awake-in-night: at least one middle-of-the-night wake-up recorded, session
+ *   still open; it stays in this status after going back to bed, and only
+ *   returns to "sleeping" if every wake-up is deleted
+ * - finished: final wake-up recorded, session closed
+ * - abandoned: session was left open and closed without a final wake-up
+ * - cancelled: session was started by mistake; purged after a short undo window
+ */
+const SESSION_STATUSES = ['sleeping', 'awake-in-night', 'finished', 'abandoned', 'cancelled'];
+
+// Statuses that count as the user's one "active" session
+const OPEN_STATUSES = ['sleeping', 'awake-in-night'];
+
+// Statuses hidden from listings and analytics
+const HIDDEN_STATUSES = ['cancelled'];
+
+/**
+ * Session types
+ * - main: the main sleep of the night
+ * - nap: a short daytime sleep
+ * - segmented: a second (or later) sleep in the same night, after a long awake gap
+ */
+const SESSION_TYPES = ['main', 'nap', 'segmented'];
+
+// How hard the user exercised before bed
+const EXERCISE_LEVELS = ['none', 'light', 'moderate', 'intense'];
+
+// Allowed status changes, keyed by the current status
+const STATUS_TRANSITIONS = {
+  sleeping: ['awake-in-night', 'finished', 'abandoned', 'cancelled'],
+  // Back to "sleeping" only when every night-time wake-up is deleted
+  'awake-in-night': ['sleeping', 'awake-in-night', 'finished', 'abandoned', 'cancelled'],
+  finished: [],
+  abandoned: ['finished'],
+  // Undoing a cancellation restores the session's previous open status
+  cancelled: ['sleeping', 'awake-in-night'],
+};
+
+// Limits for dream journal entries (mirrored by utils/sleepValidation.js)
+const DREAM_LIMITS = {
+  maxDreamsPerWakeUp: 10,
+  titleMaxLength: 120,
+  narrativeMaxLength: 5000,
+  maxTags: 20,
+  tagMaxLength: 30,
+};
+
+/**
+ * Subdocument schema for a single remembered dream.
+ * A wake-up can hold several; each has its own _id.
+ */
+const dreamSchema = new Schema(
+  {
+    // Short name for the dream ("Flying over the old school")
+    title: {
+      type: String,
+      trim: true,
+      maxlength: DREAM_LIMITS.titleMaxLength,
+      default: '',
+    },
+    // What happened in the dream
+    narrative: {
+      type: String,
+      maxlength: DREAM_LIMITS.narrativeMaxLength,
+      default: '',
+    },
+    // The dreamer knew they were dreaming
+    lucid: {
+      type: Boolean,
+      default: false,
+    },
+    // The dream was frightening or distressing
+    nightmare: {
+      type: Boolean,
+      default: false,
+    },
+    // The dream has come up before
+    recurring: {
+      type: Boolean,
+      default: false,
+    },
+    // How vivid the dream was (1-10)
+    vividness: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: null,
+    },
+    // Emotional tone from -5 (very negative) through 0 (neutral) to 5 (very positive)
+    emotionalTone: {
+      type: Number,
+      min: -5,
+      max: 5,
+      default: null,
+    },
+    // Free-form tags, stored lowercase ("falling", "family", ...)
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: DREAM_LIMITS.tagMaxLength }],
+      default: [],
+    },
+  },
+  {
+    _id: true,
+  }
+);
 
 /**
  * Subdocument schema for individual wake-up entries during a sleep session.
- * Each wake-up can record sleep quality, dream notes, and timing.
+ * Each wake-up can record sleep quality, dreams, and timing, and is
+ * addressable by its _id under /sleep-data/:id/wakeups/:wakeUpId.
  */
 const wakeUpSchema = new Schema(
   {
@@ -15,11 +132,18 @@ const wakeUpSchema = new Schema(
       max: 10,
       required: true,
     },
-    // Optional dream journal entry for this wake-up
+    // Deprecated free-text dream journal from before structured dreams.
+    // New text is stored in `dreams`; `npm run migrate:dreams` moves old entries.
+    // Kept in the schema so saving a not-yet-migrated session cannot drop it.
     dreamJournal: {
       type: String,
       default: '',
     },
+    // Dreams remembered at this wake-up
+    dreams: {
+      type: [dreamSchema],
+      default: [],
+    },
     // Timestamp for when the user woke up
     awakenAt: {
       type: Date,
@@ -37,7 +161,194 @@ const wakeUpSchema = new Schema(
     },
   },
   {
-    // Prevent Mongoose from creating an _id for each wakeUp subdocument
+    // Each wake-up gets its own _id so it can be edited or deleted on its own
+    _id: true,
+  }
+);
+
+/**
+ * Subdocument schema describing why and when a session was abandoned.
+ * Only set on sessions whose status is (or was) "abandoned".
+ */
+const abandonmentSchema = new Schema(
+  {
+    // When the session was marked abandoned
+    abandonedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Which staleness rule caught the session
+    reason: {
+      type: String,
+      default: '',
+    },
+    // Has the user finalized or dismissed this abandoned session?
+    reviewed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Subdocument schema for the pre-sleep factors checklist.
+ * Every factor is optional; null means the user did not answer, which is
+ * different from answering zero.
+ */
+const preSleepFactorsSchema = new Schema(
+  {
+    // Cups of coffee, tea, energy drinks, ... during the day
+    caffeineServings: {
+      type: Number,
+      min: 0,
+      max: 20,
+      default: null,
+    },
+    // When the last caffeinated drink was had
+    lastCaffeineAt: {
+      type: Date,
+      default: null,
+    },
+    // Alcoholic drinks during the evening
+    alcoholDrinks: {
+      type: Number,
+      min: 0,
+      max: 20,
+      default: null,
+    },
+    // How hard the user exercised during the day
+    exercise: {
+      type: String,
+      enum: EXERCISE_LEVELS,
+      default: null,
+    },
+    // Whether the user ate a heavy meal shortly before bed
+    heavyMeal: {
+      type: Boolean,
+      default: null,
+    },
+    // Minutes spent on screens in the hour(s) before bed
+    screenTimeMinutes: {
+      type: Number,
+      min: 0,
+      max: 24 * 60,
+      default: null,
+    },
+    // Self-reported stress level
+    stressLevel: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: null,
+    },
+    // Medications or supplements taken before bed (e.g. "melatonin 3mg")
+    medications: {
+      type: [{ type: String, trim: true, maxlength: 100 }],
+      default: [],
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Subdocument schema holding a copy of the bedroom's environment taken when
+ * the session started (see Bedroom#getEnvironmentSnapshot). Values are stored
+ * as they were, without the Bedroom enums, so later schema changes cannot
+ * invalidate history.
+ */
+const bedroomSnapshotSchema = new Schema(
+  {
+    bedroomName: { type: String, default: null },
+    bedType: { type: String, default: null },
+    mattressType: { type: String, default: null },
+    bedSize: { type: String, default: null },
+    // Degrees Fahrenheit, like Bedroom.temperature
+    temperature: { type: Number, default: null },
+    lightLevel: { type: String, default: null },
+    noiseLevel: { type: String, default: null },
+    pillows: { type: String, default: null },
+    // When the copy was taken
+    capturedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // True when the copy was taken later by the backfill script, so it shows
+    // the bedroom as it was then rather than on the night itself
+    backfilled: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Subdocument schema for per-night changes to the bedroom environment (the
+ * heater was on, there was a storm). null means "as in the bedroom snapshot".
+ * The bedroom itself is never changed.
+ */
+const environmentOverridesSchema = new Schema(
+  {
+    // Degrees Fahrenheit, like Bedroom.temperature
+    temperature: {
+      type: Number,
+      min: MIN_TEMPERATURE,
+      max: MAX_TEMPERATURE,
+      default: null,
+    },
+    lightLevel: {
+      type: String,
+      enum: [...VALID_LIGHT_LEVELS, null],
+      default: null,
+    },
+    noiseLevel: {
+      type: String,
+      enum: [...VALID_NOISE_LEVELS, null],
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Subdocument schema recording a user cancelling their active session.
+ * The session is deleted by a TTL index once purgeAt passes.
+ */
+const cancellationSchema = new Schema(
+  {
+    // When the user cancelled the session
+    cancelledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Optional user-provided reason ("started by accident", ...)
+    reason: {
+      type: String,
+      default: '',
+      maxlength: 200,
+    },
+    // Status to restore if the cancellation is undone
+    previousStatus: {
+      type: String,
+      enum: OPEN_STATUSES,
+      required: true,
+    },
+    // End of the undo window; MongoDB removes the session after this time
+    purgeAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
     _id: false,
   }
 );
@@ -59,6 +370,28 @@ const sleepDataSchema = new Schema({
     ref: 'Bedroom',
     required: true,
   },
+  // The bedroom's environment when the session started. Never edited; only
+  // replaced when the session is moved to a different bedroom
+  bedroomSnapshot: {
+    type: bedroomSnapshotSchema,
+    default: null,
+    immutable: true,
+  },
+  // Per-night changes to the snapshot's temperature / light / noise
+  environmentOverrides: {
+    type: environmentOverridesSchema,
+    default: () => ({}),
+  },
+  // When the user turned out the lights (optional; the real bedtime when set)
+  lightsOutAt: {
+    type: Date,
+    default: null,
+  },
+  // User's estimate of when they actually fell asleep (optional)
+  sleepOnsetAt: {
+    type: Date,
+    default: null,
+  },
   // What (if anything) did the user cuddle with?
   cuddleBuddy: {
     type: String,
@@ -70,18 +403,217 @@ const sleepDataSchema = new Schema({
     type: String,
     default: '',
   },
+  // Structured checklist of things that may affect sleep (caffeine, stress, ...)
+  preSleepFactors: {
+    type: preSleepFactorsSchema,
+    default: () => ({}),
+  },
   // Array of wake-up events during this sleep session
   wakeUps: {
     type: [wakeUpSchema],
     default: [],
   },
-  // When was this sleep data entry created?
+  // Where the session is in its lifecycle (see SESSION_STATUSES above)
+  status: {
+    type: String,
+    enum: SESSION_STATUSES,
+    default: 'sleeping',
+    required: true,
+  },
+  // How the session was recorded: live via /gotobed, or backdated after the fact
+  entryMethod: {
+    type: String,
+    enum: ['live', 'manual'],
+    default: 'live',
+  },
+  // What kind of sleep this is (see SESSION_TYPES above)
+  sessionType: {
+    type: String,
+    enum: SESSION_TYPES,
+    default: 'main',
+  },
+  // Whether the user picked the type or it was inferred (inferred types are
+  // re-evaluated when the session's times change)
+  sessionTypeSource: {
+    type: String,
+    enum: ['user', 'inferred'],
+    default: 'inferred',
+  },
+  // The user's UTC offset in minutes when the session started (e.g. -300 for
+  // UTC-5), used to work out the local time of day
+  utcOffsetMinutes: {
+    type: Number,
+    min: -14 * 60,
+    max: 14 * 60,
+    default: 0,
+  },
+  // Set when a stale session is closed without a final wake-up
+  abandonment: {
+    type: abandonmentSchema,
+    default: null,
+  },
+  // Set while a cancelled session is waiting out its undo window
+  cancellation: {
+    type: cancellationSchema,
+    default: null,
+  },
+  // Derived from status; backs the one-open-session-per-user unique index
+  isOpen: {
+    type: Boolean,
+    default: true,
+  },
+  // When was this sleep data entry created? Also the bedtime unless lightsOutAt is set
   createdAt: {
     type: Date,
     default: Date.now,
   },
+}, {
+  // Reject saves made from a stale copy of the document, so per-wake-up edits
+  // and the live wake-up flow cannot silently overwrite each other
+  optimisticConcurrency: true,
+  // Include the computed sleep metrics and environment in every API response
+  toJSON: {
+    virtuals: ['metrics', 'environment'],
+  },
+});
+
+/**
+ * Virtual: computed sleep metrics (time in bed, total sleep, awakenings,
+ * WASO, time out of bed, efficiency). See utils/sleepMetrics.js.
+ */
+sleepDataSchema.virtual('metrics').get(function () {
+  return computeSleepMetrics(this);
+});
+
+/**
+ * Virtual: the environment the night was slept in - the bedroom snapshot with
+ * per-night overrides applied. See utils/sleepEnvironment.js.
+ */
+sleepDataSchema.virtual('environment').get(function () {
+  return getSessionEnvironment(this);
+});
+
+/**
+ * Works out the status a session should have from its wake-ups alone.
+ * Used when backfilling legacy documents that predate the status field.
+ * @param {Array} wakeUps - The session's wake-up events
+ * @returns {string} 'sleeping', 'awake-in-night' or 'finished'
+ */
+function deriveStatusFromWakeUps(wakeUps) {
+  if (!wakeUps || wakeUps.length === 0) return 'sleeping';
+  const lastWakeUp = wakeUps[wakeUps.length - 1];
+  return lastWakeUp.finishedSleeping === false ? 'awake-in-night' : 'finished';
+}
+
+// Remember the status loaded from the database so transitions can be checked
+sleepDataSchema.post('init', function () {
+  this.$locals.loadedStatus = this.status;
+});
+
+/**
+ * Pre-validation middleware
+ * Rejects status changes that are not allowed by STATUS_TRANSITIONS and keeps
+ * isOpen in step with status.
+ */
+sleepDataSchema.pre('validate', function (next) {
+  const fromStatus = this.$locals.loadedStatus;
+  if (!this.isNew && fromStatus && this.isModified('status') && fromStatus !== this.status) {
+    const allowed = STATUS_TRANSITIONS[fromStatus] || [];
+    if (!allowed.includes(this.status)) {
+      this.invalidate('status', `Cannot change sleep session status from "${fromStatus}" to "${this.status}"`);
+    }
+  }
+  this.isOpen = OPEN_STATUSES.includes(this.status);
+  next();
 });
 
+// Refresh the remembered status once a save succeeds
+sleepDataSchema.post('save', function () {
+  this.$locals.loadedStatus = this.status;
+});
+
+/**
+ * Instance method to check whether a status change is allowed
+ * @param {string} status - The status to move to
+ * @returns {boolean} True if the transition is allowed from the current status
+ */
+sleepDataSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Instance method to check whether the session is still open
+ * @returns {boolean} True if the session is sleeping or awake-in-night
+ */
+sleepDataSchema.methods.isActive = function () {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+/**
+ * Static method to find a user's open sleep session
+ * @param {string} userId - The user's ObjectId
+ * @returns {Query} Query resolving to the open session, or null
+ */
+sleepDataSchema.statics.findActiveSession = function (userId) {
+  return this.findOne({ user: userId, status: { $in: OPEN_STATUSES } });
+};
+
+/**
+ * Query condition matching sessions of the given type. Sessions saved before
+ * session types existed have no sessionType and count as main sleeps.
+ * @param {string} sessionType - One of SESSION_TYPES
+ * @returns {Object} Value for the sessionType field of a query
+ */
+sleepDataSchema.statics.sessionTypeCondition = function (sessionType) {
+  return sessionType === 'main' ? { $in: ['main', null] } : sessionType;
+};
+
+/**
+ * Indexes
+ * The partial unique index guarantees at most one open session per user,
+ * even when two "go to bed" requests race each other.
+ */
+sleepDataSchema.index({ user: 1, createdAt: -1 });
+sleepDataSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true }, name: 'one_open_session_per_user' }
+);
+// Dream tag autocomplete and statistics (GET /sleep-data/dream-tags)
+sleepDataSchema.index({ user: 1, 'wakeUps.dreams.tags': 1 });
+// Full-text search over the user's journals (GET /sleep-data/search).
+// MongoDB allows one text index per collection, so every searchable field is here.
+sleepDataSchema.index(
+  {
+    sleepyThoughts: 'text',
+    'wakeUps.dreams.title': 'text',
+    'wakeUps.dreams.narrative': 'text',
+    'wakeUps.dreams.tags': 'text',
+    'wakeUps.dreamJournal': 'text',
+  },
+  {
+    name: 'journal_text_search',
+    weights: {
+      'wakeUps.dreams.title': 5,
+      'wakeUps.dreams.tags': 3,
+      'wakeUps.dreams.narrative': 2,
+      'wakeUps.dreamJournal': 2,
+      sleepyThoughts: 1,
+    },
+  }
+);
+// Cancelled sessions are purged once their undo window has passed
+sleepDataSchema.index({ 'cancellation.purgeAt': 1 }, { expireAfterSeconds: 0 });
+
+sleepDataSchema.statics.SESSION_STATUSES = SESSION_STATUSES;
+sleepDataSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+sleepDataSchema.statics.HIDDEN_STATUSES = HIDDEN_STATUSES;
+sleepDataSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+sleepDataSchema.statics.SESSION_TYPES = SESSION_TYPES;
+sleepDataSchema.statics.EXERCISE_LEVELS = EXERCISE_LEVELS;
+sleepDataSchema.statics.DREAM_LIMITS = DREAM_LIMITS;
+sleepDataSchema.statics.ENVIRONMENT_OVERRIDE_FIELDS = ENVIRONMENT_OVERRIDE_FIELDS;
+sleepDataSchema.statics.deriveStatusFromWakeUps = deriveStatusFromWakeUps;
+
 /**
  * Export the SleepData model.
  * Use mongoose.models to avoid OverwriteModelError in development.
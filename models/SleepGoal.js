@@ -0,0 +1,200 @@
+/**
+ * ============================================================================
+ * SLEEP GOAL MODEL
+ * ============================================================================
+ *
+ * Defines the goals a user sets for their sleep (a target bedtime or wake
+ * time, a minimum amount of sleep, a minimum sleep quality) and how many
+ * nights a week they aim to meet each one. Adherence is not stored: it is
+ * evaluated on demand against finished main sleep sessions (see
+ * utils/sleepGoals.js).
+ *
+ * Goal Types:
+ * - bedtime: go to bed within toleranceMinutes of targetTime
+ * - wake-time: get up within toleranceMinutes of targetTime
+ * - min-duration: sleep at least targetHours
+ * - min-quality: rate the night at least targetQuality
+ *
+ * Relationships:
+ * - User: Each goal belongs to one user (many-to-one)
+ * ============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Kinds of goal a user can set
+const GOAL_TYPES = ['bedtime', 'wake-time', 'min-duration', 'min-quality'];
+
+// Goal types measured against a clock time
+const TIME_GOAL_TYPES = ['bedtime', 'wake-time'];
+
+// Upper bound on goals per user, active or not
+const MAX_GOALS_PER_USER = 20;
+
+/**
+ * Sleep Goal Schema Definition
+ */
+const sleepGoalSchema = new mongoose.Schema({
+    /**
+     * Owner Reference
+     * The user who set this goal
+     */
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Goal must belong to a user'],
+        index: true
+    },
+
+    /**
+     * Goal Type
+     * What is being measured (see GOAL_TYPES)
+     */
+    goalType: {
+        type: String,
+        required: [true, 'Goal type is required'],
+        enum: {
+            values: GOAL_TYPES,
+            message: `Goal type must be one of: ${GOAL_TYPES.join(', ')}`
+        }
+    },
+
+    /**
+     * Display Name
+     * Optional label chosen by the user (e.g. "Lights out by 11")
+     */
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [60, 'Goal name cannot exceed 60 characters'],
+        default: ''
+    },
+
+    /**
+     * Target Clock Time
+     * Local HH:MM (24-hour) for bedtime and wake-time goals
+     */
+    targetTime: {
+        type: String,
+        default: null,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Target time must be in HH:MM (24-hour) format']
+    },
+
+    /**
+     * Tolerance
+     * Minutes either side of targetTime that still count as on target
+     */
+    toleranceMinutes: {
+        type: Number,
+        min: [0, 'Tolerance cannot be negative'],
+        max: [180, 'Tolerance cannot exceed 180 minutes'],
+        default: 30
+    },
+
+    /**
+     * Minimum Sleep
+     * Hours of actual sleep for min-duration goals
+     */
+    targetHours: {
+        type: Number,
+        min: [1, 'Target hours must be at least 1'],
+        max: [16, 'Target hours cannot exceed 16'],
+        default: null
+    },
+
+    /**
+     * Minimum Quality
+     * Night's sleep quality (1-10) for min-quality goals
+     */
+    targetQuality: {
+        type: Number,
+        min: [1, 'Target quality must be at least 1'],
+        max: [10, 'Target quality cannot exceed 10'],
+        default: null
+    },
+
+    /**
+     * Weekly Target
+     * Nights per week the goal should be met (7 = every night)
+     */
+    nightsPerWeek: {
+        type: Number,
+        min: [1, 'Nights per week must be at least 1'],
+        max: [7, 'Nights per week cannot exceed 7'],
+        default: 7,
+        validate: {
+            validator: Number.isInteger,
+            message: 'Nights per week must be a whole number'
+        }
+    },
+
+    /**
+     * Active Flag
+     * Paused goals are kept but left out of adherence reports
+     */
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    // Schema options
+    timestamps: true, // Automatically add createdAt and updatedAt
+
+    // Improve JSON output
+    toJSON: {
+        transform: function(doc, ret) {
+            // Remove internal versioning field
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Pre-validation middleware
+ * Requires the target field that matches the goal type
+ */
+sleepGoalSchema.pre('validate', function(next) {
+    try {
+        if (TIME_GOAL_TYPES.includes(this.goalType) && !this.targetTime) {
+            this.invalidate('targetTime', `Target time is required for ${this.goalType} goals`);
+        }
+
+        if (this.goalType === 'min-duration' && (this.targetHours === null || this.targetHours === undefined)) {
+            this.invalidate('targetHours', 'Target hours are required for min-duration goals');
+        }
+
+        if (this.goalType === 'min-quality' && (this.targetQuality === null || this.targetQuality === undefined)) {
+            this.invalidate('targetQuality', 'Target quality is required for min-quality goals');
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Instance method to describe the goal in words
+ * @returns {string} A human-readable summary of the goal
+ */
+sleepGoalSchema.methods.getSummary = function() {
+    const frequency = this.nightsPerWeek === 7 ? 'every night' : `${this.nightsPerWeek} nights a week`;
+
+    switch (this.goalType) {
+        case 'bedtime':
+            return `In bed by ${this.targetTime} (±${this.toleranceMinutes} min), ${frequency}`;
+        case 'wake-time':
+            return `Up at ${this.targetTime} (±${this.toleranceMinutes} min), ${frequency}`;
+        case 'min-duration':
+            return `At least ${this.targetHours} hours of sleep, ${frequency}`;
+        default:
+            return `Sleep quality of ${this.targetQuality} or better, ${frequency}`;
+    }
+};
+
+sleepGoalSchema.statics.GOAL_TYPES = GOAL_TYPES;
+sleepGoalSchema.statics.TIME_GOAL_TYPES = TIME_GOAL_TYPES;
+sleepGoalSchema.statics.MAX_GOALS_PER_USER = MAX_GOALS_PER_USER;
+
+module.exports = mongoose.model('SleepGoal', sleepGoalSchema);
@@ -22,6 +22,17 @@
  */
 
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timeZones');
+
+/**
+ * Recommended nightly sleep by age, used when a user has not set their own
+ * sleep need. Midpoints of the National Sleep Foundation ranges
+ * (18-25 and 26-64: 7-9 hours, 65+: 7-8 hours).
+ */
+const SLEEP_NEED_BY_AGE = [
+    { maxAge: 64, hours: 8 },
+    { maxAge: Infinity, hours: 7.5 }
+];
 
 /**
  * Sub-schema for user preferences and personalization settings
@@ -80,6 +91,90 @@ const userPreferencesSchema = new mongoose.Schema({
         },
         default: 'dark', // Dark theme as default for sleep app
         required: false
+    },
+
+    /**
+     * Time Zone Preference
+     * IANA time zone name (e.g. "America/New_York") used to work out the
+     * user's local bedtime for reminders
+     */
+    timeZone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Time zone must be a valid IANA time zone name (e.g. "America/New_York")'
+        },
+        required: false
+    },
+
+    /**
+     * Bedtime Reminder Toggle
+     * When enabled, the reminder scheduler posts a notification before the
+     * target bedtime on the selected days
+     */
+    sleepReminderEnabled: {
+        type: Boolean,
+        default: false,
+        required: false
+    },
+
+    /**
+     * Bedtime Reminder Lead Time
+     * How many hours before the target bedtime the reminder is sent
+     * (fractions allowed, e.g. 0.5 for 30 minutes)
+     */
+    sleepReminderHours: {
+        type: Number,
+        min: [0, 'Reminder lead time cannot be negative'],
+        max: [12, 'Reminder lead time cannot exceed 12 hours'],
+        default: 1,
+        required: false
+    },
+
+    /**
+     * Target Bedtime
+     * Local time the user wants to be in bed, as HH:MM (24-hour)
+     */
+    sleepReminderBedtime: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Target bedtime must be in HH:MM (24-hour) format'],
+        default: null,
+        required: false
+    },
+
+    /**
+     * Reminder Days
+     * Days of the week the target bedtime applies to, 0 (Sunday) to 6 (Saturday)
+     */
+    sleepReminderDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: () => [0, 1, 2, 3, 4, 5, 6],
+        required: false
+    },
+
+    /**
+     * Personal Sleep Need
+     * Hours of sleep the user needs per night; when not set, an
+     * age-appropriate default is used (see getSleepNeedHours)
+     */
+    sleepNeedHours: {
+        type: Number,
+        min: [4, 'Sleep need must be at least 4 hours'],
+        max: [14, 'Sleep need cannot exceed 14 hours'],
+        default: null,
+        required: false
+    },
+
+    /**
+     * Work Days
+     * Days of the week the user works, 0 (Sunday) to 6 (Saturday); the
+     * other days are free days for the social jet lag calculation
+     */
+    workDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: () => [1, 2, 3, 4, 5],
+        required: false
     }
 }, {
     // Don't create a separate _id for this sub-document
@@ -396,6 +491,23 @@ userSchema.methods.getAge = function() {
     return age;
 };
 
+/**
+ * Instance method to get how many hours of sleep the user needs per night:
+ * their own setting if present, otherwise the recommended amount for their
+ * age (see SLEEP_NEED_BY_AGE)
+ * @returns {{ hours: number, source: string }} source is "user" or "age"
+ */
+userSchema.methods.getSleepNeedHours = function() {
+    const preferences = this.userPreferences || {};
+    if (typeof preferences.sleepNeedHours === 'number') {
+        return { hours: preferences.sleepNeedHours, source: 'user' };
+    }
+
+    const age = this.dateOfBirth ? this.getAge() : null;
+    const band = SLEEP_NEED_BY_AGE.find(entry => age === null || age <= entry.maxAge);
+    return { hours: band.hours, source: 'age' };
+};
+
 /**
  * Instance method to check if user is an administrator
  * @returns {boolean} True if user has admin role, false otherwise
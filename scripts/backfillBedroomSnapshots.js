@@ -0,0 +1,125 @@
+/**
+ * =============================================================================
+ * BEDROOM SNAPSHOT BACKFILL - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Gives every sleep session saved before bedroom snapshots existed a
+ * `bedroomSnapshot`. The true conditions of those nights were never recorded,
+ * so the copy is taken from the bedroom as it is now and marked
+ * `backfilled: true`; capturedAt is set to the session's start so it sorts
+ * with the night it describes.
+ *
+ * Sessions whose bedroom has since been deleted are left without a snapshot
+ * and reported.
+ *
+ * Usage:
+ * - Run from project root: `npm run migrate:bedroom-snapshots`
+ * - Requires valid MONGODB_URI in environment variables
+ * - Safe to run more than once (sessions with a snapshot are skipped)
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Environment configuration and third-party dependencies
+require('dotenv').config();              // Load environment variables
+const mongoose = require('mongoose');    // MongoDB object modeling
+
+// Application data models
+const SleepData = require('../models/SleepData');
+const Bedroom = require('../models/Bedroom');
+
+const MONGO_URL = process.env.MONGODB_URI;
+const BATCH_SIZE = 500; // Number of sessions updated per bulkWrite
+
+if (!MONGO_URL) {
+  console.error('❌ ERROR: MONGODB_URI not set in environment variables');
+  console.error('💡 Please add MONGODB_URI to your .env file');
+  process.exit(1);
+}
+
+/**
+ * =============================================================================
+ * MAIN MIGRATION FUNCTION
+ * =============================================================================
+ */
+async function migrate() {
+  try {
+    console.log('🚀 DreamWeaver Bedroom Snapshot Backfill');
+    console.log('='.repeat(50));
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URL);
+    console.log(`✅ Connected to database: ${mongoose.connection.name}`);
+
+    // Bedrooms are looked up once each; a user rarely has more than a handful
+    const bedrooms = new Map();
+    const getBedroom = async (bedroomId) => {
+      const key = String(bedroomId);
+      if (!bedrooms.has(key)) bedrooms.set(key, await Bedroom.findById(bedroomId));
+      return bedrooms.get(key);
+    };
+
+    // Raw documents: the snapshot field is immutable on the model
+    const cursor = SleepData.collection.find(
+      { $or: [{ bedroomSnapshot: null }, { bedroomSnapshot: { $exists: false } }] },
+      { projection: { bedroom: 1, createdAt: 1 } }
+    );
+
+    let operations = [];
+    let backfilledCount = 0;
+    let missingBedroomCount = 0;
+
+    for await (const session of cursor) {
+      const bedroom = session.bedroom ? await getBedroom(session.bedroom) : null;
+      if (!bedroom) {
+        missingBedroomCount++;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: session._id },
+          update: {
+            $set: {
+              bedroomSnapshot: {
+                ...bedroom.getEnvironmentSnapshot(),
+                capturedAt: session.createdAt || new Date(),
+                backfilled: true
+              }
+            }
+          }
+        }
+      });
+      backfilledCount++;
+
+      if (operations.length >= BATCH_SIZE) {
+        await SleepData.collection.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await SleepData.collection.bulkWrite(operations, { ordered: false });
+    }
+
+    console.log(`   ✅ Backfilled bedroom snapshots on ${backfilledCount} sessions`);
+    if (missingBedroomCount > 0) {
+      console.log(`   ⚠️  Skipped ${missingBedroomCount} sessions whose bedroom no longer exists`);
+    }
+    console.log('\n🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('\n💥 MIGRATION FAILED!');
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+// Run the migration
+migrate();
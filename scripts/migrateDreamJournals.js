@@ -0,0 +1,117 @@
+/**
+ * =============================================================================
+ * DREAM JOURNAL MIGRATION - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Moves the free-text `dreamJournal` of every stored wake-up into the
+ * structured `dreams` array. Each non-empty journal becomes one dream entry
+ * whose narrative is the old text; the dreamJournal string is then cleared.
+ *
+ * Usage:
+ * - Run from project root: `npm run migrate:dreams`
+ * - Requires valid MONGODB_URI in environment variables
+ * - Safe to run more than once (cleared journals are not migrated again)
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Environment configuration and third-party dependencies
+require('dotenv').config();              // Load environment variables
+const mongoose = require('mongoose');    // MongoDB object modeling
+
+// Application data models and helpers
+const SleepData = require('../models/SleepData');
+const { dreamFromJournal } = require('../utils/dreams');
+
+const MONGO_URL = process.env.MONGODB_URI;
+const BATCH_SIZE = 500; // Number of sessions updated per bulkWrite
+
+if (!MONGO_URL) {
+  console.error('❌ ERROR: MONGODB_URI not set in environment variables');
+  console.error('💡 Please add MONGODB_URI to your .env file');
+  process.exit(1);
+}
+
+/**
+ * Checks whether a raw wake-up still holds journal text to migrate.
+ * @param {Object} wakeUp - Wake-up as stored in MongoDB
+ * @returns {boolean} True if dreamJournal has non-blank text
+ */
+function hasJournalText(wakeUp) {
+  return typeof wakeUp.dreamJournal === 'string' && wakeUp.dreamJournal.trim() !== '';
+}
+
+/**
+ * =============================================================================
+ * MAIN MIGRATION FUNCTION
+ * =============================================================================
+ */
+async function migrate() {
+  try {
+    console.log('🚀 DreamWeaver Dream Journal Migration');
+    console.log('='.repeat(50));
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URL);
+    console.log(`✅ Connected to database: ${mongoose.connection.name}`);
+
+    // Work on raw documents so wake-ups are rewritten exactly as stored
+    const cursor = SleepData.collection.find(
+      { wakeUps: { $elemMatch: { dreamJournal: { $type: 'string', $regex: /\S/ } } } },
+      { projection: { wakeUps: 1 } }
+    );
+
+    let operations = [];
+    let sessionCount = 0;
+    let dreamCount = 0;
+
+    for await (const session of cursor) {
+      const wakeUps = session.wakeUps.map((wakeUp) => {
+        if (!hasJournalText(wakeUp)) return wakeUp;
+        dreamCount++;
+        return {
+          ...wakeUp,
+          dreams: [
+            ...(wakeUp.dreams || []),
+            { _id: new mongoose.Types.ObjectId(), ...dreamFromJournal(wakeUp.dreamJournal) }
+          ],
+          dreamJournal: ''
+        };
+      });
+
+      operations.push({
+        updateOne: {
+          filter: { _id: session._id },
+          update: { $set: { wakeUps } }
+        }
+      });
+      sessionCount++;
+
+      if (operations.length >= BATCH_SIZE) {
+        await SleepData.collection.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await SleepData.collection.bulkWrite(operations, { ordered: false });
+    }
+
+    console.log(`   ✅ Moved ${dreamCount} dream journals into dream entries across ${sessionCount} sessions`);
+    console.log('\n🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('\n💥 MIGRATION FAILED!');
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+// Run the migration
+migrate();
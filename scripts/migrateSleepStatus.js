@@ -0,0 +1,142 @@
+/**
+ * =============================================================================
+ * SLEEP SESSION STATUS MIGRATION - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Backfills the explicit `status` field on SleepData documents created before
+ * sessions carried a lifecycle state, then builds the one-open-session-per-user
+ * unique index.
+ *
+ * Migration Rules:
+ * - No wake-ups → "sleeping"
+ * - Last wake-up has finishedSleeping=false → "awake-in-night"
+ * - Last wake-up has finishedSleeping=true → "finished"
+ * - If a user ends up with more than one open session, only the most recent
+ *   stays open; older ones are marked "abandoned" (reason "migrated") and
+ *   show up in GET /gotobed/abandoned for the user to finalize or dismiss
+ *
+ * Usage:
+ * - Run from project root: `npm run migrate:sleep-status`
+ * - Requires valid MONGODB_URI in environment variables
+ * - Safe to run more than once (documents that already have a status are skipped)
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Environment configuration and third-party dependencies
+require('dotenv').config();              // Load environment variables
+const mongoose = require('mongoose');    // MongoDB object modeling
+
+// Application data models
+const SleepData = require('../models/SleepData');
+
+const MONGO_URL = process.env.MONGODB_URI;
+
+if (!MONGO_URL) {
+  console.error('❌ ERROR: MONGODB_URI not set in environment variables');
+  console.error('💡 Please add MONGODB_URI to your .env file');
+  process.exit(1);
+}
+
+/**
+ * Works out the backfilled status of every legacy session.
+ * Sessions are processed newest first, so the first open session seen for a
+ * user keeps its open status and any older open sessions become abandoned.
+ *
+ * @returns {Array} bulkWrite operations for the sessions that need a status
+ */
+async function buildStatusUpdates() {
+  const legacySessions = await SleepData.find({ status: { $exists: false } })
+    .sort({ createdAt: -1 })
+    .select('user wakeUps createdAt')
+    .lean();
+
+  // Users who already have an open session under the new scheme
+  const usersWithOpenSession = new Set(
+    (await SleepData.distinct('user', { status: { $in: SleepData.OPEN_STATUSES } }))
+      .map(id => id.toString())
+  );
+
+  return legacySessions.map((session) => {
+    let status = SleepData.deriveStatusFromWakeUps(session.wakeUps);
+    const userId = session.user.toString();
+
+    if (SleepData.OPEN_STATUSES.includes(status)) {
+      if (usersWithOpenSession.has(userId)) {
+        status = 'abandoned';
+      } else {
+        usersWithOpenSession.add(userId);
+      }
+    }
+
+    const update = { status, isOpen: SleepData.OPEN_STATUSES.includes(status) };
+    if (status === 'abandoned') {
+      // Same details a live staleness check records, so GET /gotobed/abandoned can resolve it
+      update.abandonment = { abandonedAt: new Date(), reason: 'migrated', reviewed: false };
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: session._id },
+        update: { $set: update }
+      }
+    };
+  });
+}
+
+/**
+ * =============================================================================
+ * MAIN MIGRATION FUNCTION
+ * =============================================================================
+ */
+async function migrate() {
+  try {
+    console.log('🚀 DreamWeaver Sleep Status Migration');
+    console.log('='.repeat(50));
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URL);
+    console.log(`✅ Connected to database: ${mongoose.connection.name}`);
+
+    console.log('🔍 Finding sessions without a status...');
+    const operations = await buildStatusUpdates();
+    console.log(`   Found ${operations.length} sessions to backfill`);
+
+    if (operations.length > 0) {
+      const result = await SleepData.bulkWrite(operations, { ordered: false });
+      console.log(`   ✅ Updated ${result.modifiedCount} sessions`);
+
+      const counts = operations.reduce((acc, op) => {
+        const status = op.updateOne.update.$set.status;
+        acc[status] = (acc[status] || 0) + 1;
+        return acc;
+      }, {});
+      Object.entries(counts).forEach(([status, count]) => {
+        console.log(`      ${status}: ${count}`);
+      });
+    }
+
+    console.log('🗂️  Syncing SleepData indexes...');
+    await SleepData.syncIndexes();
+    console.log('   ✅ One-open-session-per-user index is in place');
+
+    console.log('\n🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('\n💥 MIGRATION FAILED!');
+    console.error('❌ Error:', error.message);
+    if (error.code === 11000) {
+      console.error('💡 Some user still has more than one open session - inspect their SleepData documents');
+    }
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+// Run the migration
+migrate();
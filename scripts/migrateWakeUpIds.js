@@ -0,0 +1,100 @@
+/**
+ * =============================================================================
+ * WAKE-UP ID MIGRATION - DreamWeaver Backend
+ * =============================================================================
+ *
+ * Gives every stored wake-up event a permanent _id. Wake-ups used to be saved
+ * without one, and Mongoose generates a fresh _id each time such a document is
+ * loaded, so the per-wake-up endpoints could not address them reliably.
+ *
+ * Usage:
+ * - Run from project root: `npm run migrate:wakeup-ids`
+ * - Requires valid MONGODB_URI in environment variables
+ * - Safe to run more than once (wake-ups that already have an _id are kept)
+ *
+ * @author DreamWeaver Development Team
+ * @version 1.0.0
+ * =============================================================================
+ */
+
+// Environment configuration and third-party dependencies
+require('dotenv').config();              // Load environment variables
+const mongoose = require('mongoose');    // MongoDB object modeling
+
+// Application data models
+const SleepData = require('../models/SleepData');
+
+const MONGO_URL = process.env.MONGODB_URI;
+const BATCH_SIZE = 500; // Number of sessions updated per bulkWrite
+
+if (!MONGO_URL) {
+  console.error('❌ ERROR: MONGODB_URI not set in environment variables');
+  console.error('💡 Please add MONGODB_URI to your .env file');
+  process.exit(1);
+}
+
+/**
+ * =============================================================================
+ * MAIN MIGRATION FUNCTION
+ * =============================================================================
+ */
+async function migrate() {
+  try {
+    console.log('🚀 DreamWeaver Wake-Up ID Migration');
+    console.log('='.repeat(50));
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URL);
+    console.log(`✅ Connected to database: ${mongoose.connection.name}`);
+
+    // Read raw documents so Mongoose does not invent throwaway ids on load
+    const cursor = SleepData.collection.find(
+      { wakeUps: { $elemMatch: { _id: { $exists: false } } } },
+      { projection: { wakeUps: 1 } }
+    );
+
+    let operations = [];
+    let sessionCount = 0;
+    let wakeUpCount = 0;
+
+    for await (const session of cursor) {
+      const wakeUps = session.wakeUps.map((wakeUp) => {
+        if (wakeUp._id) return wakeUp;
+        wakeUpCount++;
+        return { _id: new mongoose.Types.ObjectId(), ...wakeUp };
+      });
+
+      operations.push({
+        updateOne: {
+          filter: { _id: session._id },
+          update: { $set: { wakeUps } }
+        }
+      });
+      sessionCount++;
+
+      if (operations.length >= BATCH_SIZE) {
+        await SleepData.collection.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await SleepData.collection.bulkWrite(operations, { ordered: false });
+    }
+
+    console.log(`   ✅ Assigned ids to ${wakeUpCount} wake-ups across ${sessionCount} sessions`);
+    console.log('\n🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('\n💥 MIGRATION FAILED!');
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+// Run the migration
+migrate();
@@ -237,8 +237,19 @@ function generateWakeUps(sessionStart) {
     // Generate sleep quality rating (1-10, with bias toward middle-high range)
     const sleepQuality = Math.floor(Math.random() * 10) + 1;
     
-    // Generate realistic dream journal content
-    const dreamJournal = faker.lorem.sentence({ min: 5, max: 15 });
+    // Generate realistic dream journal content (about half the wake-ups remember a dream)
+    const dreams = Math.random() < 0.5
+      ? [{
+          title: faker.lorem.words({ min: 2, max: 5 }),
+          narrative: faker.lorem.sentence({ min: 5, max: 15 }),
+          lucid: Math.random() < 0.1,
+          nightmare: Math.random() < 0.15,
+          recurring: Math.random() < 0.1,
+          vividness: Math.floor(Math.random() * 10) + 1,
+          emotionalTone: Math.floor(Math.random() * 11) - 5,
+          tags: faker.helpers.arrayElements(['flying', 'falling', 'family', 'work', 'school', 'water', 'chase'], { min: 0, max: 3 })
+        }]
+      : [];
     
     // Calculate wake-up time (0.5 to 4 hours after last event)
     const hoursLater = 0.5 + Math.random() * 3.5; // 0.5-4 hours
@@ -257,7 +268,7 @@ function generateWakeUps(sessionStart) {
     
     wakeUps.push({
       sleepQuality,
-      dreamJournal,
+      dreams,
       awakenAt,
       finishedSleeping,
       backToBedAt
@@ -354,9 +365,11 @@ async function seed() {
         sleepDataEntries.push({
           user: user._id,
           bedroom: bedroom._id,
+          bedroomSnapshot: { ...bedroom.getEnvironmentSnapshot(), capturedAt: createdAt },
           cuddleBuddy: cuddleBuddyOptions[Math.floor(Math.random() * cuddleBuddyOptions.length)],
           sleepyThoughts: sleepThoughts[Math.floor(Math.random() * sleepThoughts.length)],
           wakeUps: generateWakeUps(createdAt),
+          status: 'finished', // Seeded history is always complete
           createdAt
         });
       }
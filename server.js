@@ -40,6 +40,10 @@ const userRouter = require('./controllers/users');          // User profile and
 const bedroomRouter = require('./controllers/bedrooms');    // Bedroom environment management routes
 const gotobedRouter = require('./controllers/goToBed');     // Sleep session initiation routes
 const sleepDataRouter = require('./controllers/sleepData'); // Sleep tracking and data routes
+const notificationsRouter = require('./controllers/notifications'); // Reminder notification outbox routes
+const goalsRouter = require('./controllers/goals');         // Sleep goals and adherence routes
+const achievementsRouter = require('./controllers/achievements'); // Streak and badge routes
+const insightsRouter = require('./controllers/insights'); // Sleep trend and anomaly insight routes
 
 // ====================
 // AUTHENTICATION MIDDLEWARE
@@ -47,6 +51,9 @@ const sleepDataRouter = require('./controllers/sleepData'); // Sleep tracking an
 const verifyToken = require('./middleware/verifyToken');   // JWT token verification middleware
 const requireAdmin = require('./middleware/requireAdmin'); // Admin role requirement middleware
 
+// Background jobs
+const { startReminderScheduler, stopReminderScheduler } = require('./utils/reminders');
+
 // ====================
 // EXPRESS APPLICATION INITIALIZATION
 // ====================
@@ -112,6 +119,7 @@ mongoose.connection.on('disconnected', () => {
  */
 process.on('SIGINT', async () => {
   console.log('\n🛑 Received SIGINT. Gracefully shutting down...');
+  stopReminderScheduler();
   try {
     await mongoose.connection.close();
     console.log('✅ MongoDB connection closed successfully');
@@ -235,6 +243,34 @@ app.use('/gotobed', verifyToken, gotobedRouter);
  */
 app.use('/sleep-data', sleepDataRouter);
 
+/**
+ * Notification Routes
+ * Bedtime reminders queued by the reminder scheduler, polled by clients
+ * Note: This router includes its own verifyToken middleware
+ */
+app.use('/notifications', notificationsRouter);
+
+/**
+ * Sleep Goal Routes
+ * Goal management and adherence reports (streaks, hit rate, deviation trend)
+ * Note: This router includes its own verifyToken middleware
+ */
+app.use('/goals', goalsRouter);
+
+/**
+ * Achievement Routes
+ * Logging, dream journal and goal streaks, and earned badges
+ * Note: This router includes its own verifyToken middleware
+ */
+app.use('/achievements', achievementsRouter);
+
+/**
+ * Insight Routes
+ * Quality drops and awakening spikes measured against the user's own baseline
+ * Note: This router includes its own verifyToken middleware
+ */
+app.use('/insights', insightsRouter);
+
 // -------- ADMIN ROUTES (Require JWT Token + Admin Role) --------
 
 /**
@@ -264,6 +300,10 @@ app.use('*', (req, res) => {
       'GET /bedrooms/* - Bedroom routes (requires auth)',
       'GET /sleep-data/* - Sleep data routes (requires auth)',
       'GET /gotobed/* - Sleep session routes (requires auth)',
+      'GET /notifications/* - Reminder notification routes (requires auth)',
+      'GET /goals/* - Sleep goal routes (requires auth)',
+      'GET /achievements - Streaks and badges (requires auth)',
+      'GET /insights/* - Sleep trend and anomaly insights (requires auth)',
       'GET /admin/* - Admin routes (requires admin auth)'
     ]
   });
@@ -340,6 +380,9 @@ const server = app.listen(PORT, () => {
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   console.log(`🔐 API base URL: http://localhost:${PORT}`);
   console.log('🚀 ================================');
+
+  // Queue bedtime reminders in the background
+  startReminderScheduler();
 });
 
 /**
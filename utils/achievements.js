@@ -0,0 +1,242 @@
+// utils/achievements.js
+// Streaks and badges. Streaks are computed from the user's finished sessions
+// each time: logging (consecutive nights with a finished main sleep), dream
+// journaling (consecutive nights with a dream recorded) and goal streaks
+// (from utils/sleepGoals.js). Badges are awarded once and stored in the
+// Achievement model; they are evaluated when a wake-up finishes a session
+// (POST /gotobed/wakeup). Nights are dated by the local date of their final
+// wake-up in the user's time zone, as everywhere else.
+
+const SleepData = require('../models/SleepData');
+const SleepGoal = require('../models/SleepGoal');
+const Achievement = require('../models/Achievement');
+const User = require('../models/User');
+const { getSessionEnd } = require('./sleepValidation');
+const { groupSessionsByNight } = require('./sleepNights');
+const { getGoalAdherence } = require('./sleepGoals');
+const { formatZonedDate, addDays } = require('./timeZones');
+
+// Days of history used for goal streaks
+const GOAL_STREAK_WINDOW_DAYS = 90;
+
+// Every badge, in display order. A badge is earned once `metric` (see
+// collectProgress) reaches `target`.
+const BADGES = [
+  { badge: 'first-night', name: 'First night', description: 'Logged your first night of sleep', metric: 'nightsLogged', target: 1 },
+  { badge: 'nights-7', name: 'One week in', description: 'Logged 7 nights', metric: 'nightsLogged', target: 7 },
+  { badge: 'nights-30', name: '30 nights logged', description: 'Logged 30 nights', metric: 'nightsLogged', target: 30 },
+  { badge: 'nights-100', name: 'Century', description: 'Logged 100 nights', metric: 'nightsLogged', target: 100 },
+  { badge: 'logging-streak-7', name: 'Week-long streak', description: 'Logged 7 nights in a row', metric: 'longestLoggingStreak', target: 7 },
+  { badge: 'logging-streak-30', name: 'Month-long streak', description: 'Logged 30 nights in a row', metric: 'longestLoggingStreak', target: 30 },
+  { badge: 'first-dream', name: 'Dreamer', description: 'Recorded your first dream', metric: 'dreamEntries', target: 1 },
+  { badge: 'first-lucid-dream', name: 'First lucid dream', description: 'Recorded a lucid dream', metric: 'lucidDreams', target: 1 },
+  { badge: 'dream-streak-7', name: 'Dream diarist', description: 'Recorded a dream 7 nights in a row', metric: 'longestDreamStreak', target: 7 },
+  { badge: 'dreams-50', name: 'Dream archive', description: 'Recorded 50 dreams', metric: 'dreamEntries', target: 50 },
+  { badge: 'bedrooms-3', name: 'Explorer', description: 'Tried 3 bedrooms', metric: 'bedroomsUsed', target: 3 },
+  { badge: 'goal-streak-7', name: 'On target', description: `Met a sleep goal 7 nights in a row (last ${GOAL_STREAK_WINDOW_DAYS} days)`, metric: 'longestGoalStreak', target: 7 }
+];
+
+/**
+ * Current and longest runs of consecutive dates. A run that ended yesterday
+ * is still current, since tonight may not be logged yet.
+ * @param {Set<string>} dates - YYYY-MM-DD dates
+ * @param {string} today - User's local date
+ * @returns {{ current: number, longest: number }}
+ */
+function computeDateStreaks(dates, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...dates].sort().forEach(date => {
+    run = previous && addDays(previous, 1) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  let current = 0;
+  let date = dates.has(today) ? today : addDays(today, -1);
+  while (dates.has(date)) {
+    current++;
+    date = addDays(date, -1);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Dreams recorded on a session's wake-ups; an unmigrated legacy dream
+ * journal counts as one.
+ * @param {Object} session - SleepData lean object
+ * @returns {{ dreams: number, lucid: number }}
+ */
+function countDreams(session) {
+  return (session.wakeUps || []).reduce((counts, wakeUp) => {
+    const dreams = Array.isArray(wakeUp.dreams) ? wakeUp.dreams : [];
+    if (dreams.length > 0) {
+      counts.dreams += dreams.length;
+      counts.lucid += dreams.filter(dream => dream.lucid).length;
+    } else if (typeof wakeUp.dreamJournal === 'string' && wakeUp.dreamJournal.trim()) {
+      counts.dreams++;
+    }
+    return counts;
+  }, { dreams: 0, lucid: 0 });
+}
+
+/**
+ * Streaks and badge progress from already-loaded sessions. Pure.
+ * @param {Array<Object>} sessions - All of the user's finished sessions
+ * @param {Object} options
+ * @param {string} options.today - User's local date
+ * @param {string} options.timeZone - User's IANA time zone
+ * @param {Array<Object>} [options.goalReports] - Reports from getGoalAdherence
+ * @returns {{ streaks: Object, progress: Object }}
+ */
+function collectProgress(sessions, { today, timeZone, goalReports = [] }) {
+  const mainSessions = sessions.filter(session => session.sessionType === 'main' || !session.sessionType);
+  const loggedDates = new Set(groupSessionsByNight(mainSessions, timeZone).keys());
+
+  const dreamDates = new Set();
+  const bedrooms = new Set();
+  let dreamEntries = 0;
+  let lucidDreams = 0;
+  sessions.forEach(session => {
+    bedrooms.add(session.bedroom.toString());
+    const counts = countDreams(session);
+    dreamEntries += counts.dreams;
+    lucidDreams += counts.lucid;
+    const end = getSessionEnd(session);
+    if (counts.dreams > 0 && end) dreamDates.add(formatZonedDate(end, timeZone));
+  });
+
+  const logging = computeDateStreaks(loggedDates, today);
+  const dreamJournal = computeDateStreaks(dreamDates, today);
+  const goals = goalReports.map(report => ({
+    goalId: report.goal._id,
+    summary: report.goal.summary,
+    currentNights: report.streaks.currentNights,
+    longestNights: report.streaks.longestNights,
+    currentWeeks: report.streaks.currentWeeks
+  }));
+
+  return {
+    streaks: { logging, dreamJournal, goals },
+    progress: {
+      nightsLogged: loggedDates.size,
+      longestLoggingStreak: logging.longest,
+      dreamEntries,
+      lucidDreams,
+      longestDreamStreak: dreamJournal.longest,
+      bedroomsUsed: bedrooms.size,
+      longestGoalStreak: goals.reduce((longest, goal) => Math.max(longest, goal.longestNights), 0)
+    }
+  };
+}
+
+/**
+ * Loads everything streaks and badges are computed from.
+ * @param {string} userId - The user's ObjectId
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} collectProgress output, or null if the user does not exist
+ */
+async function loadProgress(userId, now) {
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  if (!user) return null;
+  const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+
+  const [sessions, goals] = await Promise.all([
+    SleepData.find({ user: userId, status: 'finished' })
+      .select('bedroom sessionType createdAt lightsOutAt wakeUps.awakenAt wakeUps.finishedSleeping wakeUps.dreams.lucid wakeUps.dreamJournal')
+      .lean(),
+    SleepGoal.find({ user: userId, active: true }).sort({ createdAt: 1 })
+  ]);
+  const goalReports = goals.length > 0
+    ? await getGoalAdherence(userId, goals, { days: GOAL_STREAK_WINDOW_DAYS, now })
+    : [];
+
+  return collectProgress(sessions, { today: formatZonedDate(now, timeZone), timeZone, goalReports });
+}
+
+/**
+ * Awards every badge the user has reached but not yet received. Called when
+ * a wake-up finishes a session; badges earned earlier by sessions logged
+ * another way are picked up at that point too.
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {string} [options.sleepSession] - The session that was just finished
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Array<Object>>} Newly awarded badges: { badge, name, description, awardedAt, value }
+ */
+async function evaluateAchievements(userId, { sleepSession = null, now = new Date() } = {}) {
+  const loaded = await loadProgress(userId, now);
+  if (!loaded) return [];
+
+  const owned = new Set(
+    (await Achievement.find({ user: userId }).select('badge').lean()).map(achievement => achievement.badge)
+  );
+
+  const awarded = [];
+  for (const definition of BADGES) {
+    const value = loaded.progress[definition.metric];
+    if (owned.has(definition.badge) || value < definition.target) continue;
+
+    const isNew = await Achievement.award({
+      user: userId,
+      badge: definition.badge,
+      sleepSession,
+      value,
+      awardedAt: now
+    });
+    if (isNew) {
+      awarded.push({
+        badge: definition.badge,
+        name: definition.name,
+        description: definition.description,
+        awardedAt: now,
+        value
+      });
+    }
+  }
+  return awarded;
+}
+
+/**
+ * The user's streaks and every badge, earned or not, with progress.
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object|null>} { streaks, earnedCount, badges }, or null if the user does not exist
+ */
+async function getAchievements(userId, { now = new Date() } = {}) {
+  const loaded = await loadProgress(userId, now);
+  if (!loaded) return null;
+
+  const earned = new Map(
+    (await Achievement.find({ user: userId }).lean()).map(achievement => [achievement.badge, achievement])
+  );
+
+  const badges = BADGES.map(({ badge, name, description, metric, target }) => {
+    const achievement = earned.get(badge);
+    return {
+      badge,
+      name,
+      description,
+      earned: Boolean(achievement),
+      awardedAt: achievement ? achievement.awardedAt : null,
+      sleepSession: achievement ? achievement.sleepSession : null,
+      progress: { value: Math.min(loaded.progress[metric], target), target }
+    };
+  });
+
+  return {
+    streaks: loaded.streaks,
+    earnedCount: badges.filter(badge => badge.earned).length,
+    badges
+  };
+}
+
+module.exports = {
+  BADGES,
+  collectProgress,
+  evaluateAchievements,
+  getAchievements
+};
@@ -0,0 +1,264 @@
+// utils/bedroomComparison.js
+// Compares how a user sleeps in each of their bedrooms, and under each
+// environment setting across bedrooms (temperature, light, noise, bed and
+// mattress). Nights are finished main sleeps dated by the local date of their
+// final wake-up (see utils/sleepNights.js). Environment
+// breakdowns use the conditions each night was actually slept in - the
+// bedroom snapshot with any per-night overrides (utils/sleepEnvironment.js) -
+// so editing a bedroom does not move its past nights to another group.
+
+const Bedroom = require('../models/Bedroom');
+const { computeSleepMetrics } = require('./sleepMetrics');
+const { getNightQuality, loadNights } = require('./sleepNights');
+const { getSessionEnvironment } = require('./sleepEnvironment');
+const { hasRecordedDream } = require('./dreams');
+
+// z-score for the 95% margins reported with each average
+const CONFIDENCE_Z = 1.96;
+
+// Nights needed before a group's numbers count as medium / high confidence
+const CONFIDENCE_NIGHTS = { medium: 7, high: 21 };
+
+// Compared metrics, how they are rounded, and which direction is better
+const METRICS = [
+  { key: 'sleepQuality', decimals: 1, higherIsBetter: true },
+  { key: 'totalSleepMinutes', decimals: 0, higherIsBetter: true },
+  { key: 'awakenings', decimals: 1, higherIsBetter: false },
+  { key: 'dreamRecallRate', decimals: 1, higherIsBetter: true }
+];
+
+// Room temperature bands, in °F (the same scale as Bedroom.temperature)
+const TEMPERATURE_BANDS = [
+  { label: 'below 60°F', max: 60 },
+  { label: '60-64°F', max: 65 },
+  { label: '65-69°F', max: 70 },
+  { label: '70-74°F', max: 75 },
+  { label: '75°F and above', max: Infinity }
+];
+
+// Environment attributes broken down across bedrooms
+const BREAKDOWN_ATTRIBUTES = {
+  temperature: environment => getTemperatureBand(environment.temperature),
+  lightLevel: environment => environment.lightLevel,
+  noiseLevel: environment => environment.noiseLevel,
+  bedType: environment => environment.bedType,
+  mattressType: environment => environment.mattressType
+};
+
+/**
+ * Band a room temperature falls in.
+ * @param {number|null} temperature - Temperature in °F
+ * @returns {string|null} Band label, or null without a temperature
+ */
+function getTemperatureBand(temperature) {
+  if (typeof temperature !== 'number') return null;
+  return TEMPERATURE_BANDS.find(band => temperature < band.max).label;
+}
+
+/**
+ * The per-night values that are compared.
+ * @param {Object} session - Finished SleepData lean object
+ * @returns {Object} { sleepQuality, totalSleepMinutes, awakenings, dreamRecallRate }
+ *   (dreamRecallRate is 100 or 0 for a single night; sleepQuality is null if unrated)
+ */
+function getNightValues(session) {
+  const metrics = computeSleepMetrics(session);
+  return {
+    sleepQuality: getNightQuality(session),
+    totalSleepMinutes: metrics.totalSleepMinutes,
+    awakenings: metrics.awakenings,
+    dreamRecallRate: hasRecordedDream(session) ? 100 : 0
+  };
+}
+
+/**
+ * Confidence label for a number of nights.
+ * @param {number} nights - Nights behind a figure
+ * @returns {string} "low", "medium" or "high"
+ */
+function getConfidence(nights) {
+  if (nights >= CONFIDENCE_NIGHTS.high) return 'high';
+  if (nights >= CONFIDENCE_NIGHTS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Rounds to a number of decimals.
+ * @param {number} value - Number to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded number
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Average of one metric with its 95% margin of error.
+ * @param {Array<number>} values - Per-night values (nulls already removed)
+ * @param {number} decimals - Decimal places to round to
+ * @returns {Object} { value, margin, nights, confidence } (value and margin are
+ *   null without data; margin is null for a single night)
+ */
+function describeMetric(values, decimals) {
+  const nights = values.length;
+  if (nights === 0) return { value: null, margin: null, nights, confidence: getConfidence(nights) };
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / nights;
+  const variance = nights > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (nights - 1)
+    : null;
+
+  return {
+    value: round(mean, decimals),
+    margin: variance !== null ? round(CONFIDENCE_Z * Math.sqrt(variance / nights), decimals) : null,
+    nights,
+    confidence: getConfidence(nights)
+  };
+}
+
+/**
+ * Summarises a group of nights.
+ * @param {Array<Object>} nightValues - Values from getNightValues
+ * @returns {Object} { nights, confidence, sleepQuality, totalSleepMinutes, awakenings, dreamRecallRate }
+ */
+function summarizeNights(nightValues) {
+  const summary = {
+    nights: nightValues.length,
+    confidence: getConfidence(nightValues.length)
+  };
+  METRICS.forEach(({ key, decimals }) => {
+    const values = nightValues.map(night => night[key]).filter(value => typeof value === 'number');
+    summary[key] = describeMetric(values, decimals);
+  });
+  return summary;
+}
+
+/**
+ * Orders groups best first on one metric. Groups without a value are left
+ * out; ties go to the group with more nights behind it.
+ * @param {Array<Object>} groups - Summaries with `key` metric entries
+ * @param {Object} metric - Entry from METRICS
+ * @returns {Array<Object>} Groups that have a value, best first
+ */
+function sortByMetric(groups, { key, higherIsBetter }) {
+  return groups
+    .filter(group => group[key].value !== null)
+    .sort((a, b) => {
+      const difference = higherIsBetter ? b[key].value - a[key].value : a[key].value - b[key].value;
+      return difference !== 0 ? difference : b[key].nights - a[key].nights;
+    });
+}
+
+/**
+ * Builds the comparison from already-loaded nights. Pure.
+ * @param {Array<Object>} nights - Finished main sleep sessions, one per night
+ * @param {Array<Object>} bedrooms - The user's current bedrooms
+ * @returns {Object} { nights, bedrooms, rankings, breakdowns }
+ */
+function compareBedrooms(nights, bedrooms) {
+  const byBedroom = new Map();
+  bedrooms.forEach(bedroom => {
+    byBedroom.set(bedroom._id.toString(), {
+      bedroomId: bedroom._id,
+      bedroomName: bedroom.bedroomName,
+      deleted: false,
+      values: []
+    });
+  });
+
+  const byAttribute = {};
+  Object.keys(BREAKDOWN_ATTRIBUTES).forEach(attribute => {
+    byAttribute[attribute] = new Map();
+  });
+
+  nights.forEach(session => {
+    const values = getNightValues(session);
+
+    // Nights in a since-deleted bedroom are kept, named from their snapshot
+    const bedroomId = session.bedroom.toString();
+    if (!byBedroom.has(bedroomId)) {
+      byBedroom.set(bedroomId, {
+        bedroomId: session.bedroom,
+        bedroomName: session.bedroomSnapshot ? session.bedroomSnapshot.bedroomName : null,
+        deleted: true,
+        values: []
+      });
+    }
+    byBedroom.get(bedroomId).values.push(values);
+
+    const environment = getSessionEnvironment(session);
+    if (!environment) return;
+    Object.entries(BREAKDOWN_ATTRIBUTES).forEach(([attribute, getGroup]) => {
+      const group = getGroup(environment);
+      if (group === null || group === undefined) return;
+      const groups = byAttribute[attribute];
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(values);
+    });
+  });
+
+  const bedroomSummaries = [...byBedroom.values()].map(({ values, ...bedroom }) => ({
+    ...bedroom,
+    ...summarizeNights(values)
+  }));
+
+  const rankings = {};
+  METRICS.forEach(metric => {
+    rankings[metric.key] = sortByMetric(bedroomSummaries, metric).map((bedroom, index) => ({
+      rank: index + 1,
+      bedroomId: bedroom.bedroomId,
+      bedroomName: bedroom.bedroomName,
+      ...bedroom[metric.key]
+    }));
+  });
+
+  // Each breakdown lists its groups by sleep quality, best first
+  const qualityMetric = METRICS[0];
+  const breakdowns = {};
+  Object.entries(byAttribute).forEach(([attribute, groups]) => {
+    const summaries = [...groups.entries()].map(([value, values]) => ({ value, ...summarizeNights(values) }));
+    const rated = sortByMetric(summaries, qualityMetric);
+    breakdowns[attribute] = [...rated, ...summaries.filter(summary => !rated.includes(summary))];
+  });
+
+  return {
+    nights: nights.length,
+    bedrooms: sortByMetric(bedroomSummaries, qualityMetric)
+      .concat(bedroomSummaries.filter(bedroom => bedroom.sleepQuality.value === null)),
+    rankings,
+    breakdowns
+  };
+}
+
+/**
+ * Compares the user's bedrooms and environment settings over finished main
+ * sleeps, optionally limited to night dates from / to (inclusive).
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {string} [options.from] - First night date (YYYY-MM-DD); all history when omitted
+ * @param {string} [options.to] - Last night date (YYYY-MM-DD); up to today when omitted
+ * @returns {Promise<Object|null>} Comparison report, or null if the user does not exist
+ */
+async function getBedroomComparison(userId, { from = null, to = null } = {}) {
+  const [loaded, bedrooms] = await Promise.all([
+    loadNights(userId, {
+      from,
+      to,
+      select: 'bedroom bedroomSnapshot environmentOverrides createdAt lightsOutAt sleepOnsetAt wakeUps'
+    }),
+    Bedroom.find({ ownerId: userId }).select('bedroomName').sort({ createdAt: 1 }).lean()
+  ]);
+  if (!loaded) return null;
+
+  return {
+    range: { from, to, timeZone: loaded.timeZone },
+    ...compareBedrooms(loaded.nights, bedrooms)
+  };
+}
+
+module.exports = {
+  TEMPERATURE_BANDS,
+  compareBedrooms,
+  getBedroomComparison
+};
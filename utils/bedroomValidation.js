@@ -0,0 +1,106 @@
+// utils/bedroomValidation.js
+// Validation of bedroom environment settings, shared by the bedroom routes
+// (controllers/bedrooms.js) and the per-night environment overrides on sleep
+// sessions. Each validator returns { isValid, error }.
+
+// Valid light level options for bedroom environment - must match the Bedroom schema enum
+const VALID_LIGHT_LEVELS = [
+  'pitch black',  // Complete darkness
+  'very dim',     // Minimal light
+  'dim',          // Low light
+  'moderate',     // Standard room lighting
+  'bright',       // Well-lit room
+  'daylight'      // Natural or very bright lighting
+];
+
+// Valid noise level options for bedroom environment - must match the Bedroom schema enum
+const VALID_NOISE_LEVELS = [
+  'silent',       // No noise
+  'very quiet',   // Minimal ambient noise
+  'quiet',        // Low noise level
+  'moderate',     // Average noise level
+  'loud',         // High noise level
+  'very loud'     // Very high noise level
+];
+
+// Temperature range constants (Fahrenheit)
+const MIN_TEMPERATURE = 50; // Minimum allowed temperature
+const MAX_TEMPERATURE = 100; // Maximum allowed temperature
+
+/**
+ * Validates light level against allowed enum values
+ * @param {string} lightLevel - The light level to validate
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateLightLevel(lightLevel) {
+  if (!lightLevel) return { isValid: true, error: null }; // Optional field
+  
+  if (typeof lightLevel !== 'string') {
+    return { isValid: false, error: 'Light level must be a string.' };
+  }
+  
+  if (!VALID_LIGHT_LEVELS.includes(lightLevel)) {
+    return { 
+      isValid: false, 
+      error: `Light level must be one of: ${VALID_LIGHT_LEVELS.join(', ')}` 
+    };
+  }
+  
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates noise level against allowed enum values
+ * @param {string} noiseLevel - The noise level to validate
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateNoiseLevel(noiseLevel) {
+  if (!noiseLevel) return { isValid: true, error: null }; // Optional field
+  
+  if (typeof noiseLevel !== 'string') {
+    return { isValid: false, error: 'Noise level must be a string.' };
+  }
+  
+  if (!VALID_NOISE_LEVELS.includes(noiseLevel)) {
+    return { 
+      isValid: false, 
+      error: `Noise level must be one of: ${VALID_NOISE_LEVELS.join(', ')}` 
+    };
+  }
+  
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates temperature within acceptable range
+ * @param {number} temperature - The temperature to validate (Fahrenheit)
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateTemperature(temperature) {
+  if (temperature === undefined || temperature === null) {
+    return { isValid: true, error: null }; // Optional field
+  }
+  
+  if (typeof temperature !== 'number' || isNaN(temperature)) {
+    return { isValid: false, error: 'Temperature must be a valid number.' };
+  }
+  
+  if (temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE) {
+    return { 
+      isValid: false, 
+      error: `Temperature must be between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE} degrees Fahrenheit.` 
+    };
+  }
+  
+  return { isValid: true, error: null };
+}
+
+module.exports = {
+  VALID_LIGHT_LEVELS,
+  VALID_NOISE_LEVELS,
+  MIN_TEMPERATURE,
+  MAX_TEMPERATURE,
+  validateLightLevel,
+  validateNoiseLevel,
+  validateTemperature
+};
@@ -0,0 +1,165 @@
+// utils/dreamTags.js
+// Per-user dream tag queries: autocomplete from the user's own tag history and
+// tag frequency / sleep quality statistics. Tags are stored lowercase on each
+// dream (see utils/dreams.js), so they can be grouped as-is.
+
+const mongoose = require('mongoose');
+const SleepData = require('../models/SleepData');
+const User = require('../models/User');
+const { escapeRegExp } = require('./sleepSearch');
+
+// Date formats used to bucket tag usage over time
+const INTERVAL_FORMATS = {
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+/**
+ * Pipeline stages producing one document per dream tag use:
+ * { sessionId, createdAt, nightQuality, tag }.
+ * A night's quality is the average sleepQuality of its wake-ups.
+ * @param {Object} match - $match conditions for the user's sessions
+ * @returns {Array<Object>} Aggregation stages
+ */
+function tagUsageStages(match) {
+  return [
+    { $match: match },
+    {
+      $project: {
+        createdAt: 1,
+        nightQuality: { $avg: '$wakeUps.sleepQuality' },
+        wakeUps: 1
+      }
+    },
+    { $unwind: '$wakeUps' },
+    { $unwind: '$wakeUps.dreams' },
+    { $unwind: '$wakeUps.dreams.tags' },
+    {
+      $project: {
+        _id: 0,
+        sessionId: '$_id',
+        createdAt: 1,
+        nightQuality: 1,
+        tag: '$wakeUps.dreams.tags'
+      }
+    }
+  ];
+}
+
+/**
+ * Suggests tags from the user's own history that start with a prefix,
+ * most used first.
+ * @param {string} userId - The user's ObjectId
+ * @param {string} [prefix=''] - Start of the tag being typed
+ * @param {number} [limit=10] - Maximum number of suggestions
+ * @returns {Promise<Array<{ tag: string, count: number, lastUsedAt: Date }>>}
+ */
+async function suggestDreamTags(userId, prefix = '', limit = 10) {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    status: { $nin: SleepData.HIDDEN_STATUSES }
+  };
+  const tagPattern = new RegExp(`^${escapeRegExp(prefix.trim().toLowerCase())}`);
+  if (prefix.trim()) match['wakeUps.dreams.tags'] = tagPattern;
+
+  return SleepData.aggregate([
+    ...tagUsageStages(match),
+    { $match: { tag: tagPattern } },
+    { $group: { _id: '$tag', count: { $sum: 1 }, lastUsedAt: { $max: '$createdAt' } } },
+    { $sort: { count: -1, lastUsedAt: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1, lastUsedAt: 1 } }
+  ]);
+}
+
+/**
+ * Reports how often each of the user's dream tags appears, how that changes
+ * over time, and the average sleep quality of nights where it appears.
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Only sessions that started on or after this
+ * @param {Date} [options.to] - Only sessions that started on or before this
+ * @param {string} [options.interval='month'] - "week" or "month" buckets
+ * @param {number} [options.limit=20] - Most frequent tags to report
+ * @returns {Promise<Object>} { overallAverageSleepQuality, tags: [...] }; timeline
+ *   weeks and months follow the user's time zone
+ */
+async function getDreamTagStats(userId, { from = null, to = null, interval = 'month', limit = 20 } = {}) {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    status: 'finished'
+  };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  const timeZone = (user && user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+
+  const [overall] = await SleepData.aggregate([
+    { $match: match },
+    { $group: { _id: null, averageSleepQuality: { $avg: { $avg: '$wakeUps.sleepQuality' } }, nights: { $sum: 1 } } }
+  ]);
+
+  const tags = await SleepData.aggregate([
+    ...tagUsageStages(match),
+    // One row per night and tag, counting the dreams on that night
+    {
+      $group: {
+        _id: { sessionId: '$sessionId', tag: '$tag' },
+        dreams: { $sum: 1 },
+        createdAt: { $first: '$createdAt' },
+        nightQuality: { $first: '$nightQuality' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.tag',
+        nights: { $sum: 1 },
+        dreams: { $sum: '$dreams' },
+        averageSleepQuality: { $avg: '$nightQuality' },
+        firstSeenAt: { $min: '$createdAt' },
+        lastSeenAt: { $max: '$createdAt' },
+        periods: {
+          $push: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt', timezone: timeZone } }
+        }
+      }
+    },
+    { $sort: { nights: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return {
+    nights: overall ? overall.nights : 0,
+    overallAverageSleepQuality: overall && overall.averageSleepQuality !== null
+      ? Math.round(overall.averageSleepQuality * 10) / 10
+      : null,
+    tags: tags.map(tag => ({
+      tag: tag._id,
+      nights: tag.nights,
+      dreams: tag.dreams,
+      averageSleepQuality: tag.averageSleepQuality !== null
+        ? Math.round(tag.averageSleepQuality * 10) / 10
+        : null,
+      firstSeenAt: tag.firstSeenAt,
+      lastSeenAt: tag.lastSeenAt,
+      // Nights with the tag per week/month, oldest first
+      timeline: Object.entries(
+        tag.periods.reduce((counts, period) => {
+          counts[period] = (counts[period] || 0) + 1;
+          return counts;
+        }, {})
+      )
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([period, nights]) => ({ period, nights }))
+    }))
+  };
+}
+
+module.exports = {
+  INTERVALS: Object.keys(INTERVAL_FORMATS),
+  suggestDreamTags,
+  getDreamTagStats
+};
@@ -0,0 +1,91 @@
+// utils/dreams.js
+// Helpers for structured dream journal entries. During the transition from
+// the single dreamJournal string, requests may send either `dreams` (an array
+// of entries) or `dreamJournal` (free text), or both; buildDreamEntries turns
+// either shape into the stored `dreams` array.
+
+/**
+ * Lowercases, trims and de-duplicates dream tags.
+ * @param {Array<string>} [tags] - Tags from a request body
+ * @returns {Array<string>} Clean tags, in their original order
+ */
+function normalizeDreamTags(tags = []) {
+  return [...new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Turns a legacy free-text dream journal into a dream entry.
+ * @param {string} text - The dreamJournal text
+ * @returns {Object} Dream entry with the text as its narrative
+ */
+function dreamFromJournal(text) {
+  return {
+    title: '',
+    narrative: text.trim(),
+    lucid: false,
+    nightmare: false,
+    recurring: false,
+    vividness: null,
+    emotionalTone: null,
+    tags: []
+  };
+}
+
+/**
+ * Builds the dreams array for a wake-up from a request body in either shape.
+ * Structured entries come first; non-empty dreamJournal text is appended as
+ * one more entry. Input must already have passed validateWakeUpDreams.
+ * @param {Object} wakeUp - Wake-up fields from a request body
+ * @param {Array} [wakeUp.dreams] - Structured dream entries
+ * @param {string} [wakeUp.dreamJournal] - Legacy free-text journal
+ * @returns {Array<Object>} Dream entries to store
+ */
+function buildDreamEntries({ dreams, dreamJournal } = {}) {
+  const entries = (dreams || []).map(dream => ({
+    ...(dream._id ? { _id: dream._id } : {}),
+    title: (dream.title || '').trim(),
+    narrative: dream.narrative || '',
+    lucid: Boolean(dream.lucid),
+    nightmare: Boolean(dream.nightmare),
+    recurring: Boolean(dream.recurring),
+    vividness: dream.vividness ?? null,
+    emotionalTone: dream.emotionalTone ?? null,
+    tags: normalizeDreamTags(dream.tags)
+  }));
+
+  if (typeof dreamJournal === 'string' && dreamJournal.trim()) {
+    entries.push(dreamFromJournal(dreamJournal));
+  }
+
+  return entries;
+}
+
+/**
+ * Checks whether a request body touches a wake-up's dreams in either shape.
+ * @param {Object} body - Wake-up fields from a request body
+ * @returns {boolean} True if `dreams` or `dreamJournal` is present
+ */
+function hasDreamInput(body) {
+  return body.dreams !== undefined || body.dreamJournal !== undefined;
+}
+
+/**
+ * Whether any dream was recorded on waking from a session, as structured
+ * entries or in a legacy dream journal not yet migrated.
+ * @param {Object} session - SleepData document or lean object
+ * @returns {boolean} True if at least one dream was recorded
+ */
+function hasRecordedDream(session) {
+  return (session.wakeUps || []).some(wakeUp =>
+    (Array.isArray(wakeUp.dreams) && wakeUp.dreams.length > 0) ||
+    (typeof wakeUp.dreamJournal === 'string' && wakeUp.dreamJournal.trim() !== '')
+  );
+}
+
+module.exports = {
+  normalizeDreamTags,
+  dreamFromJournal,
+  buildDreamEntries,
+  hasDreamInput,
+  hasRecordedDream
+};
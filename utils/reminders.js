@@ -0,0 +1,207 @@
+// utils/reminders.js
+// Bedtime reminders: validation of the reminder preferences stored on the
+// user, and an in-process scheduler that queues due reminders into the
+// Notification outbox for clients to poll.
+
+const User = require('../models/User');
+const SleepData = require('../models/SleepData');
+const Notification = require('../models/Notification');
+const { readPositiveNumberFromEnv } = require('./sleepSessions');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, formatZonedDate } = require('./timeZones');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Reminder preference fields accepted by PATCH /users/profile
+const REMINDER_PREFERENCE_FIELDS = [
+  'timeZone',
+  'sleepReminderEnabled',
+  'sleepReminderHours',
+  'sleepReminderBedtime',
+  'sleepReminderDays'
+];
+
+let schedulerTimer = null;
+
+/**
+ * How often the scheduler sweeps: REMINDER_INTERVAL_SECONDS (default 60).
+ * @returns {number} Interval in milliseconds
+ */
+function getSweepIntervalMs() {
+  return readPositiveNumberFromEnv('REMINDER_INTERVAL_SECONDS', 60) * 1000;
+}
+
+/**
+ * Validates reminder preferences as they will be stored (existing values
+ * merged with the update). Enabling reminders requires a target bedtime.
+ * @param {Object} preferences - Merged userPreferences
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateReminderPreferences(preferences) {
+  const {
+    timeZone,
+    sleepReminderEnabled,
+    sleepReminderHours,
+    sleepReminderBedtime,
+    sleepReminderDays
+  } = preferences;
+
+  if (timeZone !== undefined && timeZone !== null && !isValidTimeZone(timeZone)) {
+    return { isValid: false, error: 'Time zone must be a valid IANA time zone name (e.g. "America/New_York").' };
+  }
+
+  if (sleepReminderEnabled !== undefined && typeof sleepReminderEnabled !== 'boolean') {
+    return { isValid: false, error: 'sleepReminderEnabled must be true or false.' };
+  }
+
+  if (sleepReminderHours !== undefined &&
+      (typeof sleepReminderHours !== 'number' || sleepReminderHours < 0 || sleepReminderHours > 12)) {
+    return { isValid: false, error: 'sleepReminderHours must be a number of hours between 0 and 12.' };
+  }
+
+  if (sleepReminderBedtime !== undefined && sleepReminderBedtime !== null &&
+      !/^([01]\d|2[0-3]):[0-5]\d$/.test(sleepReminderBedtime)) {
+    return { isValid: false, error: 'sleepReminderBedtime must be in HH:MM (24-hour) format.' };
+  }
+
+  if (sleepReminderDays !== undefined) {
+    const validDays = Array.isArray(sleepReminderDays) &&
+      sleepReminderDays.length > 0 &&
+      sleepReminderDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+      new Set(sleepReminderDays).size === sleepReminderDays.length;
+    if (!validDays) {
+      return { isValid: false, error: 'sleepReminderDays must be a non-empty list of distinct days from 0 (Sunday) to 6 (Saturday).' };
+    }
+  }
+
+  if (sleepReminderEnabled && !sleepReminderBedtime) {
+    return { isValid: false, error: 'Set sleepReminderBedtime before enabling bedtime reminders.' };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Finds the bedtime reminder that is due at a given moment, if any.
+ * A reminder is due from (target bedtime - lead time) until the target
+ * bedtime, on the days of week the user picked (judged by the local date of
+ * the bedtime itself). The window is never shorter than one sweep, so a lead
+ * time of 0 ("remind me at bedtime") is still caught.
+ * @param {Object} preferences - The user's userPreferences
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @param {number} [windowMs] - Shortest due window, normally the sweep interval
+ * @returns {Object|null} { bedtime, remindAt, localDate } or null if nothing is due
+ */
+function getDueBedtimeReminder(preferences, now = new Date(), windowMs = getSweepIntervalMs()) {
+  if (!preferences || !preferences.sleepReminderEnabled || !preferences.sleepReminderBedtime) return null;
+
+  const timeZone = preferences.timeZone || 'UTC';
+  const [hour, minute] = preferences.sleepReminderBedtime.split(':').map(Number);
+  const leadMs = (preferences.sleepReminderHours ?? 1) * 60 * MINUTE_MS;
+  const days = preferences.sleepReminderDays && preferences.sleepReminderDays.length > 0
+    ? preferences.sleepReminderDays
+    : [0, 1, 2, 3, 4, 5, 6];
+
+  // Tonight's bedtime, or tomorrow's when the lead time reaches across midnight
+  for (const offsetDays of [0, 1]) {
+    const local = getZonedParts(new Date(now.getTime() + offsetDays * DAY_MS), timeZone);
+    if (!days.includes(local.weekday)) continue;
+
+    const bedtime = zonedTimeToUtc({ year: local.year, month: local.month, day: local.day, hour, minute }, timeZone);
+    const remindAt = new Date(bedtime.getTime() - leadMs);
+    const dueUntil = Math.max(bedtime.getTime(), remindAt.getTime() + windowMs);
+    if (now >= remindAt && now < dueUntil) {
+      return { bedtime, remindAt, localDate: formatZonedDate(bedtime, timeZone) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Queues every bedtime reminder that is due now. Users already in an open
+ * sleep session are skipped. Safe to run concurrently: the outbox keeps one
+ * reminder per user and night.
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Promise<number>} How many reminders were queued
+ */
+async function runReminderSweep(now = new Date()) {
+  const users = await User.find({ 'userPreferences.sleepReminderEnabled': true })
+    .select('userPreferences')
+    .lean();
+
+  let queued = 0;
+  for (const user of users) {
+    const due = getDueBedtimeReminder(user.userPreferences, now);
+    if (!due) continue;
+
+    // Already in bed - no need to remind
+    if (await SleepData.exists({ user: user._id, status: { $in: SleepData.OPEN_STATUSES } })) continue;
+
+    const minutesLeft = Math.max(0, Math.round((due.bedtime - now) / MINUTE_MS));
+    const created = await Notification.enqueue({
+      user: user._id,
+      type: 'bedtime-reminder',
+      dedupeKey: `bedtime-reminder:${due.localDate}`,
+      title: 'Time to wind down',
+      message: minutesLeft > 0
+        ? `Your bedtime is in ${minutesLeft} minutes.`
+        : "It's your bedtime.",
+      data: { bedtime: due.bedtime, localDate: due.localDate },
+      dueAt: due.remindAt
+    });
+    if (created) queued++;
+  }
+
+  return queued;
+}
+
+/**
+ * Starts the in-process reminder scheduler. It sweeps every
+ * REMINDER_INTERVAL_SECONDS (default 60) and does not keep the process alive.
+ * Disabled when REMINDER_SCHEDULER_ENABLED is "false".
+ * @returns {boolean} True if the scheduler was started
+ */
+function startReminderScheduler() {
+  if (schedulerTimer || process.env.REMINDER_SCHEDULER_ENABLED === 'false') return false;
+
+  const intervalMs = getSweepIntervalMs();
+  let running = false;
+
+  schedulerTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+    try {
+      const queued = await runReminderSweep();
+      if (queued > 0) console.log(`[REMINDERS] Queued ${queued} bedtime reminders`);
+    } catch (error) {
+      console.error('[REMINDERS] Reminder sweep failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  schedulerTimer.unref();
+
+  console.log(`[REMINDERS] Bedtime reminder scheduler running every ${intervalMs / 1000}s`);
+  return true;
+}
+
+/**
+ * Stops the reminder scheduler (used on shutdown).
+ */
+function stopReminderScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  REMINDER_PREFERENCE_FIELDS,
+  validateReminderPreferences,
+  getDueBedtimeReminder,
+  runReminderSweep,
+  startReminderScheduler,
+  stopReminderScheduler
+};
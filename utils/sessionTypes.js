@@ -0,0 +1,121 @@
+// utils/sessionTypes.js
+// Works out whether a sleep session is the main sleep, a nap or a segmented
+// (second) sleep when the user did not say. Inferred types are recomputed
+// whenever the session's times change; a type picked by the user is kept.
+
+const SleepData = require('../models/SleepData');
+const { getBedtime } = require('./sleepMetrics');
+const { getSessionEnd } = require('./sleepValidation');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local hours (inclusive start, exclusive end) during which a sleep counts as daytime
+const DAYTIME_START_HOUR = 9;
+const DAYTIME_END_HOUR = 19;
+
+// Daytime sleeps shorter than this are naps; longer ones are main sleeps
+// (e.g. after a night shift)
+const NAP_MAX_DURATION_MS = 3 * HOUR_MS;
+
+// A night-time sleep starting this soon after the previous sleep ended is
+// a segmented (second) sleep rather than a new night
+const SEGMENT_MAX_GAP_MS = 4 * HOUR_MS;
+
+/**
+ * Local hour of day for a time, given the user's UTC offset.
+ * @param {Date} date - Time to convert
+ * @param {number} [utcOffsetMinutes=0] - User's UTC offset in minutes
+ * @returns {number} Hour of day (0-23)
+ */
+function getLocalHour(date, utcOffsetMinutes = 0) {
+  return new Date(date.getTime() + utcOffsetMinutes * 60 * 1000).getUTCHours();
+}
+
+/**
+ * Checks whether a time falls in the daytime window.
+ * @param {Date} date - Time to check
+ * @param {number} [utcOffsetMinutes=0] - User's UTC offset in minutes
+ * @returns {boolean} True between DAYTIME_START_HOUR and DAYTIME_END_HOUR local time
+ */
+function isDaytime(date, utcOffsetMinutes = 0) {
+  const hour = getLocalHour(date, utcOffsetMinutes);
+  return hour >= DAYTIME_START_HOUR && hour < DAYTIME_END_HOUR;
+}
+
+/**
+ * Finds when the user's last non-nap sleep before the given bedtime ended.
+ * @param {string} userId - The user's ObjectId
+ * @param {Date} bedtime - Bedtime of the session being classified
+ * @param {string} [excludeId] - The session being classified
+ * @returns {Promise<Date|null>} End of the previous sleep, or null if there is none
+ */
+async function findPreviousSleepEnd(userId, bedtime, excludeId = null) {
+  const query = {
+    user: userId,
+    status: 'finished',
+    sessionType: { $ne: 'nap' },
+    createdAt: { $lt: bedtime, $gt: new Date(bedtime.getTime() - SEGMENT_MAX_GAP_MS - 24 * HOUR_MS) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const previous = await SleepData.findOne(query)
+    .sort({ createdAt: -1 })
+    .select('createdAt wakeUps')
+    .lean();
+
+  const end = previous ? getSessionEnd(previous) : null;
+  return end && end <= bedtime ? end : null;
+}
+
+/**
+ * Infers a session's type from its time of day, its length (once finished)
+ * and how soon it started after the previous sleep.
+ *
+ * Rules, in order:
+ * - starts at night within SEGMENT_MAX_GAP_MS of the previous sleep ending → segmented
+ * - starts in the daytime and is shorter than NAP_MAX_DURATION_MS (or still open) → nap
+ * - otherwise → main
+ *
+ * @param {Object} session - SleepData document (may be unsaved)
+ * @returns {Promise<string>} One of SleepData.SESSION_TYPES
+ */
+async function inferSessionType(session) {
+  const bedtime = getBedtime(session);
+  const end = getSessionEnd(session);
+  const utcOffsetMinutes = session.utcOffsetMinutes || 0;
+
+  if (!isDaytime(bedtime, utcOffsetMinutes)) {
+    const previousEnd = await findPreviousSleepEnd(session.user, bedtime, session._id);
+    if (previousEnd && bedtime - previousEnd <= SEGMENT_MAX_GAP_MS) {
+      return 'segmented';
+    }
+    return 'main';
+  }
+
+  if (!end || end - bedtime < NAP_MAX_DURATION_MS) {
+    return 'nap';
+  }
+
+  return 'main';
+}
+
+/**
+ * Sets session.sessionType from inferSessionType unless the user chose the type.
+ * Does not save the session.
+ * @param {Object} session - SleepData document
+ * @returns {Promise<string>} The session's type after the update
+ */
+async function applyInferredSessionType(session) {
+  if (session.sessionTypeSource !== 'user') {
+    session.sessionType = await inferSessionType(session);
+    session.sessionTypeSource = 'inferred';
+  }
+  return session.sessionType;
+}
+
+module.exports = {
+  getLocalHour,
+  isDaytime,
+  inferSessionType,
+  applyInferredSessionType
+};
@@ -0,0 +1,135 @@
+// utils/sleepCalendar.js
+// Day-by-day calendar of a user's sleep, for the year-view heatmap. Sessions
+// are bucketed by the local date of their bedtime (lightsOutAt, falling back
+// to createdAt) in the user's time zone (userPreferences.timeZone) - the same
+// rule GET /sleep-data/:date uses - so each cell matches the sessions the
+// user sees when drilling into that day.
+
+const SleepData = require('../models/SleepData');
+const User = require('../models/User');
+const { getBedtime, computeSleepMetrics } = require('./sleepMetrics');
+const { getNightQuality } = require('./sleepNights');
+const { hasRecordedDream } = require('./dreams');
+const { formatZonedDate, startOfZonedDay, addDays } = require('./timeZones');
+
+/**
+ * Query condition for sessions whose bedtime falls in [start, end).
+ * Sessions without lightsOutAt are placed by createdAt.
+ * @param {Date} start - Start of the range (inclusive)
+ * @param {Date} end - End of the range (exclusive)
+ * @returns {Object} $or condition to merge into a SleepData query
+ */
+function bedtimeRangeCondition(start, end) {
+  const range = { $gte: start, $lt: end };
+  return {
+    $or: [
+      { lightsOutAt: range },
+      { lightsOutAt: null, createdAt: range }
+    ]
+  };
+}
+
+/**
+ * Builds the dense day series from already-loaded sessions. Pure.
+ *
+ * Every date from `from` to `to` gets a cell; days without a session are
+ * marked `empty: true`. Quality and sleep time only count finished sessions,
+ * so a night still in progress shows as logged without numbers yet.
+ *
+ * @param {Array<Object>} sessions - Visible (non-cancelled) sessions in range
+ * @param {Object} options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Object} { range, summary, days }
+ */
+function buildCalendar(sessions, { from, to, timeZone }) {
+  const byDate = new Map();
+  sessions.forEach(session => {
+    const date = formatZonedDate(getBedtime(session), timeZone);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(session);
+  });
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const daySessions = byDate.get(date) || [];
+    if (daySessions.length === 0) {
+      days.push({ date, empty: true, sessions: 0, quality: null, sleepMinutes: null, dreamLogged: false });
+      continue;
+    }
+
+    const finished = daySessions.filter(session => session.status === 'finished');
+    const ratings = finished.map(getNightQuality).filter(quality => quality !== null);
+
+    days.push({
+      date,
+      empty: false,
+      sessions: daySessions.length,
+      // Average over the day's rated sessions (naps included)
+      quality: ratings.length > 0
+        ? Math.round((ratings.reduce((sum, quality) => sum + quality, 0) / ratings.length) * 10) / 10
+        : null,
+      // Total time asleep across the day's finished sessions
+      sleepMinutes: finished.length > 0
+        ? finished.reduce((sum, session) => sum + computeSleepMetrics(session).totalSleepMinutes, 0)
+        : null,
+      dreamLogged: daySessions.some(hasRecordedDream)
+    });
+  }
+
+  const logged = days.filter(day => !day.empty);
+  const qualities = logged.map(day => day.quality).filter(quality => quality !== null);
+  const sleepMinutes = logged.map(day => day.sleepMinutes).filter(minutes => minutes !== null);
+
+  return {
+    range: { from, to, timeZone },
+    summary: {
+      days: days.length,
+      loggedDays: logged.length,
+      emptyDays: days.length - logged.length,
+      dreamDays: logged.filter(day => day.dreamLogged).length,
+      // Bounds for the heatmap's color scales
+      minQuality: qualities.length > 0 ? Math.min(...qualities) : null,
+      maxQuality: qualities.length > 0 ? Math.max(...qualities) : null,
+      maxSleepMinutes: sleepMinutes.length > 0 ? Math.max(...sleepMinutes) : null
+    },
+    days
+  };
+}
+
+/**
+ * Loads the calendar for the user's dates from / to (inclusive).
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} options
+ * @param {string} [options.from] - First date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @param {number} [options.year] - Calendar year, used when from / to are omitted
+ * @param {Date} [options.now] - Reference time for the default year (defaults to now)
+ * @returns {Promise<Object|null>} Calendar, or null if the user does not exist
+ */
+async function getSleepCalendar(userId, { from = null, to = null, year = null, now = new Date() } = {}) {
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  if (!user) return null;
+  const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+
+  const calendarYear = year || Number(formatZonedDate(now, timeZone).slice(0, 4));
+  const firstDate = from || `${calendarYear}-01-01`;
+  const lastDate = to || `${calendarYear}-12-31`;
+
+  const sessions = await SleepData.find({
+    user: userId,
+    status: { $nin: SleepData.HIDDEN_STATUSES },
+    ...bedtimeRangeCondition(startOfZonedDay(firstDate, timeZone), startOfZonedDay(addDays(lastDate, 1), timeZone))
+  })
+    .select('status createdAt lightsOutAt sleepOnsetAt wakeUps')
+    .lean();
+
+  return buildCalendar(sessions, { from: firstDate, to: lastDate, timeZone });
+}
+
+module.exports = {
+  bedtimeRangeCondition,
+  buildCalendar,
+  getSleepCalendar
+};
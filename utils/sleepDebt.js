@@ -0,0 +1,142 @@
+// utils/sleepDebt.js
+// Rolling sleep debt: each day's actual sleep (every finished session ending
+// that day, naps included) is compared with the user's nightly sleep need.
+// Shortfalls add to the debt and extra sleep pays it back, but the debt never
+// goes below zero - sleep cannot be banked in advance. Days with no recorded
+// sleep leave the debt unchanged, since a missing log is not a sleepless night.
+
+const SleepData = require('../models/SleepData');
+const User = require('../models/User');
+const { computeSleepMetrics } = require('./sleepMetrics');
+const { getSessionEnd } = require('./sleepValidation');
+const { nightDateCondition } = require('./sleepNights');
+const { formatZonedDate, addDays } = require('./timeZones');
+
+/**
+ * Minutes slept per local date, counting each finished session on the date
+ * of its final wake-up.
+ * @param {Array<Object>} sessions - Finished SleepData sessions
+ * @param {string} timeZone - User's IANA time zone
+ * @returns {Map<string, { sleepMinutes: number, sessions: number }>} Date → totals
+ */
+function sumSleepByDate(sessions, timeZone) {
+  const totals = new Map();
+  sessions.forEach(session => {
+    const end = getSessionEnd(session);
+    if (!end) return;
+    const date = formatZonedDate(end, timeZone);
+    const total = totals.get(date) || { sleepMinutes: 0, sessions: 0 };
+    total.sleepMinutes += computeSleepMetrics(session).totalSleepMinutes;
+    total.sessions++;
+    totals.set(date, total);
+  });
+  return totals;
+}
+
+/**
+ * Builds the day-by-day sleep debt series. Pure: works on sessions that were
+ * already loaded.
+ * @param {Array<Object>} sessions - Finished SleepData sessions
+ * @param {Object} options
+ * @param {number} options.needMinutes - Nightly sleep need
+ * @param {string} options.today - User's local date (YYYY-MM-DD), last day of the window
+ * @param {number} options.days - Window length in days; debt starts at zero on the first day
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Object} Summary totals and the `series`, oldest first
+ */
+function computeSleepDebt(sessions, { needMinutes, today, days, timeZone }) {
+  const totals = sumSleepByDate(sessions, timeZone);
+  const from = addDays(today, -(days - 1));
+
+  const series = [];
+  let debtMinutes = 0;
+  let peakDebtMinutes = 0;
+  let shortfallMinutes = 0;
+  let surplusMinutes = 0;
+  const logged = [];
+
+  for (let date = from; date <= today; date = addDays(date, 1)) {
+    const total = totals.get(date);
+    if (!total) {
+      series.push({
+        date,
+        sleepMinutes: null,
+        needMinutes,
+        balanceMinutes: null,
+        debtMinutes,
+        sessions: 0,
+        status: 'no-data'
+      });
+      continue;
+    }
+
+    const balanceMinutes = total.sleepMinutes - needMinutes;
+    debtMinutes = Math.max(0, debtMinutes - balanceMinutes);
+    peakDebtMinutes = Math.max(peakDebtMinutes, debtMinutes);
+    if (balanceMinutes < 0) shortfallMinutes -= balanceMinutes;
+    else surplusMinutes += balanceMinutes;
+    logged.push(total.sleepMinutes);
+
+    series.push({
+      date,
+      sleepMinutes: total.sleepMinutes,
+      needMinutes,
+      balanceMinutes,
+      debtMinutes,
+      sessions: total.sessions,
+      status: balanceMinutes < 0 ? 'short' : 'met'
+    });
+  }
+
+  return {
+    window: { from, to: today, days, timeZone },
+    needMinutes,
+    currentDebtMinutes: debtMinutes,
+    peakDebtMinutes,
+    totalShortfallMinutes: shortfallMinutes,
+    totalSurplusMinutes: surplusMinutes,
+    daysLogged: logged.length,
+    averageSleepMinutes: logged.length > 0
+      ? Math.round(logged.reduce((sum, minutes) => sum + minutes, 0) / logged.length)
+      : null,
+    series
+  };
+}
+
+/**
+ * Computes a user's sleep debt over the last `days` days, using their own
+ * sleep need or the age-appropriate default (User#getSleepNeedHours).
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {number} [options.days=14] - Window length in days, ending today
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object|null>} Sleep debt report, or null if the user does not exist
+ */
+async function getSleepDebt(userId, { days = 14, now = new Date() } = {}) {
+  const user = await User.findById(userId).select('dateOfBirth userPreferences');
+  if (!user) return null;
+
+  const need = user.getSleepNeedHours();
+  const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+  const today = formatZonedDate(now, timeZone);
+  const from = addDays(today, -(days - 1));
+
+  const sessions = await SleepData.find({
+    user: userId,
+    status: 'finished',
+    createdAt: { ...nightDateCondition(from, null), $lte: now }
+  })
+    .select('createdAt lightsOutAt sleepOnsetAt wakeUps')
+    .lean();
+
+  return {
+    needHours: need.hours,
+    needSource: need.source,
+    ...computeSleepDebt(sessions, { needMinutes: Math.round(need.hours * 60), today, days, timeZone })
+  };
+}
+
+module.exports = {
+  computeSleepDebt,
+  getSleepDebt
+};
@@ -0,0 +1,46 @@
+// utils/sleepEnvironment.js
+// The conditions a night was actually slept in: the bedroom snapshot taken
+// when the session started, with any per-night overrides (the heater was on,
+// the window was open) laid on top. Used by the SleepData `environment`
+// virtual and by analytics code that works with lean documents.
+
+// Bedroom fields that can be overridden for a single night
+const ENVIRONMENT_OVERRIDE_FIELDS = ['temperature', 'lightLevel', 'noiseLevel'];
+
+/**
+ * Effective environment of a session.
+ * @param {Object} session - SleepData document or lean object
+ * @returns {Object|null} Snapshot fields with overrides applied, plus
+ *   `overridden` (names of the fields that came from overrides); null when the
+ *   session has neither a snapshot nor overrides
+ */
+function getSessionEnvironment(session) {
+  const snapshot = session.bedroomSnapshot || null;
+  const overrides = session.environmentOverrides || {};
+  const overridden = ENVIRONMENT_OVERRIDE_FIELDS.filter(field =>
+    overrides[field] !== undefined && overrides[field] !== null
+  );
+
+  if (!snapshot && overridden.length === 0) return null;
+
+  const environment = {
+    bedroomName: snapshot ? snapshot.bedroomName : null,
+    bedType: snapshot ? snapshot.bedType : null,
+    mattressType: snapshot ? snapshot.mattressType : null,
+    bedSize: snapshot ? snapshot.bedSize : null,
+    temperature: snapshot ? snapshot.temperature : null,
+    lightLevel: snapshot ? snapshot.lightLevel : null,
+    noiseLevel: snapshot ? snapshot.noiseLevel : null,
+    pillows: snapshot ? snapshot.pillows : null
+  };
+  overridden.forEach(field => {
+    environment[field] = overrides[field];
+  });
+
+  return { ...environment, overridden };
+}
+
+module.exports = {
+  ENVIRONMENT_OVERRIDE_FIELDS,
+  getSessionEnvironment
+};
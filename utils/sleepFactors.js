@@ -0,0 +1,344 @@
+// utils/sleepFactors.js
+// Measures how each recorded variable (cuddle buddy, the night's environment,
+// bedtime, day of week, session length, pre-sleep factors) relates to sleep
+// quality and awakenings. Numeric factors use Pearson correlation; categorical
+// ones use one-way ANOVA (eta squared). Each result carries its sample size
+// and p-value, and is flagged as weak evidence when there are too few nights
+// or the effect could easily be chance. Nights are finished main sleeps dated
+// by the local date of their final wake-up (see utils/sleepNights.js).
+
+const { getBedtime, computeSleepMetrics } = require('./sleepMetrics');
+const { getNightQuality, loadNights } = require('./sleepNights');
+const { getSessionEnvironment } = require('./sleepEnvironment');
+const { getZonedParts, getZonedClockMinutes } = require('./timeZones');
+const { mean, pearsonCorrelation, oneWayAnova } = require('./statistics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Nights with both the factor and the outcome needed before testing
+const MIN_NIGHTS = 10;
+
+// Nights a categorical value needs before it takes part in the test
+const MIN_LEVEL_NIGHTS = 3;
+
+// p-value at or above which a result counts as weak evidence
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Conventional effect size thresholds (small, medium, large)
+const STRENGTH_THRESHOLDS = {
+  r: [0.1, 0.3, 0.5],
+  etaSquared: [0.01, 0.06, 0.14]
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Outcomes every factor is tested against
+const OUTCOMES = {
+  sleepQuality: session => getNightQuality(session),
+  awakenings: session => computeSleepMetrics(session).awakenings
+};
+
+/**
+ * Bedtime as local clock hours on a noon-to-noon scale, so 23:30 is 23.5 and
+ * 00:30 is 24.5 rather than 0.5.
+ * @param {Object} session - SleepData lean object
+ * @param {string} timeZone - User's IANA time zone
+ * @returns {number} Hours, 12 to 36
+ */
+function getBedtimeHour(session, timeZone) {
+  const minutes = getZonedClockMinutes(getBedtime(session), timeZone);
+  return (minutes < 12 * 60 ? minutes + 24 * 60 : minutes) / 60;
+}
+
+/**
+ * Weekday of the evening a night began on, so a 01:00 bedtime early on
+ * Saturday still counts as Friday night.
+ * @param {Object} session - SleepData lean object
+ * @param {string} timeZone - User's IANA time zone
+ * @returns {string} Weekday name
+ */
+function getNightWeekday(session, timeZone) {
+  const evening = new Date(getBedtime(session).getTime() - 12 * HOUR_MS);
+  return WEEKDAYS[getZonedParts(evening, timeZone).weekday];
+}
+
+/**
+ * Reads a pre-sleep factor, treating "not answered" as missing.
+ * @param {Object} session - SleepData lean object
+ * @param {string} field - preSleepFactors field
+ * @returns {*} The answer, or null
+ */
+function getPreSleepFactor(session, field) {
+  const factors = session.preSleepFactors || {};
+  return factors[field] === undefined ? null : factors[field];
+}
+
+// Factors tested, with how to read each one from a night. `environment` is
+// the night's effective bedroom environment (snapshot plus overrides).
+const FACTORS = [
+  { factor: 'cuddleBuddy', label: 'Cuddle buddy', kind: 'categorical', read: ({ session }) => session.cuddleBuddy },
+  { factor: 'temperature', label: 'Room temperature (°F)', kind: 'numeric', read: ({ environment }) => environment && environment.temperature },
+  { factor: 'lightLevel', label: 'Light level', kind: 'categorical', read: ({ environment }) => environment && environment.lightLevel },
+  { factor: 'noiseLevel', label: 'Noise level', kind: 'categorical', read: ({ environment }) => environment && environment.noiseLevel },
+  { factor: 'bedType', label: 'Bed type', kind: 'categorical', read: ({ environment }) => environment && environment.bedType },
+  { factor: 'mattressType', label: 'Mattress type', kind: 'categorical', read: ({ environment }) => environment && environment.mattressType },
+  { factor: 'bedtimeHour', label: 'Bedtime (hour of day, 24+ = after midnight)', kind: 'numeric', read: ({ session, timeZone }) => getBedtimeHour(session, timeZone) },
+  { factor: 'dayOfWeek', label: 'Day of week (evening the night began)', kind: 'categorical', read: ({ session, timeZone }) => getNightWeekday(session, timeZone) },
+  { factor: 'sessionHours', label: 'Session length (hours in bed)', kind: 'numeric', read: ({ metrics }) => metrics.timeInBedMinutes / 60 },
+  { factor: 'caffeineServings', label: 'Caffeine servings', kind: 'numeric', read: ({ session }) => getPreSleepFactor(session, 'caffeineServings') },
+  { factor: 'alcoholDrinks', label: 'Alcoholic drinks', kind: 'numeric', read: ({ session }) => getPreSleepFactor(session, 'alcoholDrinks') },
+  { factor: 'screenTimeMinutes', label: 'Screen time before bed (minutes)', kind: 'numeric', read: ({ session }) => getPreSleepFactor(session, 'screenTimeMinutes') },
+  { factor: 'stressLevel', label: 'Stress level', kind: 'numeric', read: ({ session }) => getPreSleepFactor(session, 'stressLevel') },
+  { factor: 'exercise', label: 'Exercise', kind: 'categorical', read: ({ session }) => getPreSleepFactor(session, 'exercise') },
+  {
+    factor: 'heavyMeal',
+    label: 'Heavy meal before bed',
+    kind: 'categorical',
+    read: ({ session }) => {
+      const heavyMeal = getPreSleepFactor(session, 'heavyMeal');
+      return heavyMeal === null ? null : (heavyMeal ? 'yes' : 'no');
+    }
+  }
+];
+
+/**
+ * Rounds to a number of decimals.
+ * @param {number|null} value - Number to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} Rounded number, or null
+ */
+function round(value, decimals) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Conventional strength label for an effect size.
+ * @param {string} measure - "r" or "etaSquared"
+ * @param {number} value - Effect size
+ * @returns {string} "negligible", "small", "medium" or "large"
+ */
+function describeStrength(measure, value) {
+  const [small, medium, large] = STRENGTH_THRESHOLDS[measure];
+  const size = Math.abs(value);
+  if (size >= large) return 'large';
+  if (size >= medium) return 'medium';
+  if (size >= small) return 'small';
+  return 'negligible';
+}
+
+/**
+ * Tests a numeric factor against an outcome.
+ * @param {Array<{ x: number, y: number }>} pairs - Factor / outcome pairs
+ * @returns {Object} Effect fields of a factor result
+ */
+function analyzeNumeric(pairs) {
+  const correlation = pearsonCorrelation(pairs.map(pair => pair.x), pairs.map(pair => pair.y));
+  if (!correlation) {
+    return { effectSize: null, strength: null, direction: null, pValue: null, reason: 'No variation to compare' };
+  }
+
+  return {
+    effectSize: {
+      measure: 'r',
+      value: round(correlation.r, 2),
+      confidenceInterval: correlation.confidenceInterval.map(bound => round(bound, 2))
+    },
+    strength: describeStrength('r', correlation.r),
+    direction: correlation.r >= 0 ? 'positive' : 'negative',
+    pValue: round(correlation.pValue, 4),
+    reason: null
+  };
+}
+
+/**
+ * Tests a categorical factor against an outcome. Values seen on fewer than
+ * MIN_LEVEL_NIGHTS nights are listed but left out of the test.
+ * @param {Array<{ x: string, y: number }>} pairs - Factor / outcome pairs
+ * @returns {Object} Effect fields of a factor result, plus `levels`
+ */
+function analyzeCategorical(pairs) {
+  const groups = new Map();
+  pairs.forEach(({ x, y }) => {
+    if (!groups.has(x)) groups.set(x, []);
+    groups.get(x).push(y);
+  });
+
+  const tested = [...groups.values()].filter(values => values.length >= MIN_LEVEL_NIGHTS);
+  const testedValues = tested.flat();
+  const levels = [...groups.entries()]
+    .map(([value, values]) => {
+      const included = values.length >= MIN_LEVEL_NIGHTS;
+      const othersTotal = testedValues.reduce((sum, y) => sum + y, 0) - (included ? values.reduce((sum, y) => sum + y, 0) : 0);
+      const othersCount = testedValues.length - (included ? values.length : 0);
+      return {
+        value,
+        nights: values.length,
+        mean: round(mean(values), 2),
+        // Compared with the other tested values' nights
+        differenceFromOthers: othersCount > 0 ? round(mean(values) - othersTotal / othersCount, 2) : null,
+        included
+      };
+    })
+    .sort((a, b) => b.nights - a.nights);
+
+  if (tested.length < 2) {
+    return {
+      effectSize: null,
+      strength: null,
+      direction: null,
+      pValue: null,
+      levels,
+      reason: `Fewer than two values with ${MIN_LEVEL_NIGHTS}+ nights`
+    };
+  }
+
+  const anova = oneWayAnova(tested);
+  if (!anova) {
+    return { effectSize: null, strength: null, direction: null, pValue: null, levels, reason: 'No variation to compare' };
+  }
+
+  return {
+    effectSize: { measure: 'etaSquared', value: round(anova.etaSquared, 3) },
+    strength: describeStrength('etaSquared', anova.etaSquared),
+    direction: null,
+    pValue: round(anova.pValue, 4),
+    levels,
+    reason: null
+  };
+}
+
+/**
+ * Tests one factor against one outcome.
+ * @param {Object} definition - Entry from FACTORS
+ * @param {Array<Object>} rows - Per-night { factors, outcomes } values
+ * @param {string} outcome - Key of OUTCOMES
+ * @returns {Object} Factor result
+ */
+function analyzeFactor(definition, rows, outcome) {
+  const pairs = rows
+    .map(row => ({ x: row.factors[definition.factor], y: row.outcomes[outcome] }))
+    .filter(pair => pair.x !== null && pair.x !== undefined && typeof pair.y === 'number');
+
+  const result = {
+    factor: definition.factor,
+    label: definition.label,
+    kind: definition.kind,
+    nights: pairs.length
+  };
+
+  if (pairs.length < MIN_NIGHTS) {
+    return {
+      ...result,
+      effectSize: null,
+      strength: null,
+      direction: null,
+      pValue: null,
+      ...(definition.kind === 'categorical' ? { levels: analyzeCategorical(pairs).levels } : {}),
+      weakEvidence: true,
+      reason: `Not enough nights (${pairs.length} of ${MIN_NIGHTS} needed)`
+    };
+  }
+
+  const analysis = definition.kind === 'numeric' ? analyzeNumeric(pairs) : analyzeCategorical(pairs);
+  const significant = analysis.pValue !== null && analysis.pValue < SIGNIFICANCE_LEVEL;
+
+  return {
+    ...result,
+    ...analysis,
+    weakEvidence: !significant,
+    reason: analysis.reason || (significant ? null : `Not statistically significant (p ≥ ${SIGNIFICANCE_LEVEL})`)
+  };
+}
+
+/**
+ * Effect magnitude on a common scale for sorting (|r|, or sqrt of eta squared).
+ * @param {Object} result - Factor result
+ * @returns {number} Magnitude, -1 without an effect size
+ */
+function effectMagnitude(result) {
+  if (!result.effectSize) return -1;
+  return result.effectSize.measure === 'r'
+    ? Math.abs(result.effectSize.value)
+    : Math.sqrt(result.effectSize.value);
+}
+
+/**
+ * Builds the factor report from already-loaded nights. Pure.
+ * @param {Array<Object>} nights - Finished main sleep sessions, one per night
+ * @param {Object} options
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Object} { nights, thresholds, outcomes: { sleepQuality, awakenings } },
+ *   each outcome listing factor results with the best-supported, strongest first
+ */
+function analyzeSleepFactors(nights, { timeZone }) {
+  const rows = nights.map(session => {
+    const context = {
+      session,
+      timeZone,
+      environment: getSessionEnvironment(session),
+      metrics: computeSleepMetrics(session)
+    };
+    const factors = {};
+    FACTORS.forEach(definition => {
+      const value = definition.read(context);
+      factors[definition.factor] = value === undefined ? null : value;
+    });
+    const outcomes = {};
+    Object.entries(OUTCOMES).forEach(([outcome, read]) => {
+      outcomes[outcome] = read(session);
+    });
+    return { factors, outcomes };
+  });
+
+  const outcomes = {};
+  Object.keys(OUTCOMES).forEach(outcome => {
+    const values = rows.map(row => row.outcomes[outcome]).filter(value => typeof value === 'number');
+    outcomes[outcome] = {
+      nights: values.length,
+      mean: round(mean(values), 2),
+      factors: FACTORS
+        .map(definition => analyzeFactor(definition, rows, outcome))
+        .sort((a, b) => (a.weakEvidence - b.weakEvidence) || (effectMagnitude(b) - effectMagnitude(a)))
+    };
+  });
+
+  return {
+    nights: nights.length,
+    thresholds: {
+      minNights: MIN_NIGHTS,
+      minNightsPerValue: MIN_LEVEL_NIGHTS,
+      significanceLevel: SIGNIFICANCE_LEVEL
+    },
+    outcomes
+  };
+}
+
+/**
+ * Analyzes the user's sleep factors over finished main sleeps, optionally
+ * limited to night dates from / to (inclusive).
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {string} [options.from] - First night date (YYYY-MM-DD); all history when omitted
+ * @param {string} [options.to] - Last night date (YYYY-MM-DD); up to today when omitted
+ * @returns {Promise<Object|null>} Factor report, or null if the user does not exist
+ */
+async function getSleepFactors(userId, { from = null, to = null } = {}) {
+  const loaded = await loadNights(userId, {
+    from,
+    to,
+    select: 'cuddleBuddy preSleepFactors bedroomSnapshot environmentOverrides createdAt lightsOutAt sleepOnsetAt wakeUps'
+  });
+  if (!loaded) return null;
+
+  return {
+    range: { from, to, timeZone: loaded.timeZone },
+    ...analyzeSleepFactors(loaded.nights, { timeZone: loaded.timeZone })
+  };
+}
+
+module.exports = {
+  analyzeSleepFactors,
+  getSleepFactors
+};
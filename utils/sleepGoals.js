@@ -0,0 +1,304 @@
+// utils/sleepGoals.js
+// Evaluates a user's sleep goals (models/SleepGoal.js) against their finished
+// main sleep sessions. Each night is assigned to the local calendar date of
+// its final wake-up in the user's time zone (userPreferences.timeZone), so a
+// night that starts after midnight still belongs to the morning it ends on.
+
+const SleepData = require('../models/SleepData');
+const SleepGoal = require('../models/SleepGoal');
+const User = require('../models/User');
+const { getBedtime, computeSleepMetrics } = require('./sleepMetrics');
+const { getSessionEnd } = require('./sleepValidation');
+const { getNightQuality, groupSessionsByNight, nightDateCondition } = require('./sleepNights');
+const {
+  formatZonedDate,
+  addDays,
+  getWeekStart,
+  getZonedClockMinutes,
+  formatClockMinutes,
+  clockDeviation
+} = require('./timeZones');
+
+// Nights needed before a deviation trend is reported
+const MIN_TREND_NIGHTS = 3;
+
+// Weekly change below which a trend counts as stable, per unit
+const STABLE_TREND_PER_WEEK = { minutes: 5, points: 0.25 };
+
+/**
+ * Parses an HH:MM clock time into minutes after midnight.
+ * @param {string} time - Clock time
+ * @returns {number} Minutes after midnight
+ */
+function parseClockTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Unit a goal's deviations are reported in.
+ * @param {Object} goal - SleepGoal document or lean object
+ * @returns {string} "minutes" or "points"
+ */
+function getDeviationUnit(goal) {
+  return goal.goalType === 'min-quality' ? 'points' : 'minutes';
+}
+
+/**
+ * Measures one night against a goal.
+ *
+ * Deviations:
+ * - bedtime / wake-time: minutes later (+) or earlier (-) than targetTime
+ * - min-duration: minutes of sleep above (+) or below (-) targetHours
+ * - min-quality: quality points above (+) or below (-) targetQuality
+ *
+ * @param {Object} goal - SleepGoal document or lean object
+ * @param {Object} session - Finished SleepData session
+ * @param {string} timeZone - User's IANA time zone
+ * @returns {Object|null} { value, deviation, hit }, or null if the night cannot be measured
+ */
+function evaluateNight(goal, session, timeZone) {
+  switch (goal.goalType) {
+    case 'bedtime':
+    case 'wake-time': {
+      const instant = goal.goalType === 'bedtime' ? getBedtime(session) : getSessionEnd(session);
+      if (!instant) return null;
+      const actual = getZonedClockMinutes(instant, timeZone);
+      const deviation = clockDeviation(actual, parseClockTime(goal.targetTime));
+      return {
+        value: formatClockMinutes(actual),
+        deviation,
+        hit: Math.abs(deviation) <= goal.toleranceMinutes
+      };
+    }
+    case 'min-duration': {
+      const { totalSleepMinutes } = computeSleepMetrics(session);
+      const deviation = totalSleepMinutes - Math.round(goal.targetHours * 60);
+      return {
+        value: Math.round(totalSleepMinutes / 6) / 10,
+        deviation,
+        hit: deviation >= 0
+      };
+    }
+    case 'min-quality': {
+      const quality = getNightQuality(session);
+      if (quality === null) return null;
+      const deviation = Math.round((quality - goal.targetQuality) * 10) / 10;
+      return {
+        value: Math.round(quality * 10) / 10,
+        deviation,
+        hit: quality >= goal.targetQuality
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Current and longest run of consecutive nights that met the goal. Today not
+ * being logged yet does not break the current streak.
+ * @param {Array<Object>} daily - Daily results, oldest first
+ * @returns {{ current: number, longest: number }}
+ */
+function computeNightStreaks(daily) {
+  let longest = 0;
+  let run = 0;
+  daily.forEach(day => {
+    run = day.status === 'hit' ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  for (let i = daily.length - 1; i >= 0; i--) {
+    if (i === daily.length - 1 && daily[i].status === 'no-data') continue;
+    if (daily[i].status !== 'hit') break;
+    current++;
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Run of consecutive weeks, up to now, in which the goal was met on enough
+ * nights. The week in progress only counts once it has been met.
+ * @param {Array<Object>} weekly - Weekly results, oldest first
+ * @returns {number} Weeks in the current streak
+ */
+function computeWeekStreak(weekly) {
+  let streak = 0;
+  for (let i = weekly.length - 1; i >= 0; i--) {
+    if (!weekly[i].complete && !weekly[i].met) continue;
+    if (!weekly[i].met) break;
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Least-squares slope of values over days, per week.
+ * @param {Array<{ day: number, value: number }>} points - Day index and value
+ * @returns {number} Change per week
+ */
+function weeklySlope(points) {
+  const n = points.length;
+  const meanDay = points.reduce((sum, point) => sum + point.day, 0) / n;
+  const meanValue = points.reduce((sum, point) => sum + point.value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(point => {
+    covariance += (point.day - meanDay) * (point.value - meanValue);
+    variance += (point.day - meanDay) ** 2;
+  });
+  return variance > 0 ? (covariance / variance) * 7 : 0;
+}
+
+/**
+ * How a goal's deviation is moving. Time goals improve as nights get closer
+ * to the target either way; minimum goals improve as the margin grows.
+ * @param {Object} goal - SleepGoal document or lean object
+ * @param {Array<Object>} daily - Daily results, oldest first
+ * @returns {Object|null} { metric, changePerWeek, direction }, or null with too little data
+ */
+function computeDeviationTrend(goal, daily) {
+  const isTimeGoal = SleepGoal.TIME_GOAL_TYPES.includes(goal.goalType);
+  const points = [];
+  daily.forEach((day, index) => {
+    if (day.deviation === null) return;
+    points.push({ day: index, value: isTimeGoal ? Math.abs(day.deviation) : day.deviation });
+  });
+  if (points.length < MIN_TREND_NIGHTS) return null;
+
+  const changePerWeek = weeklySlope(points);
+  const threshold = STABLE_TREND_PER_WEEK[getDeviationUnit(goal)];
+  const improvement = isTimeGoal ? -changePerWeek : changePerWeek;
+
+  let direction = 'stable';
+  if (improvement > threshold) direction = 'improving';
+  else if (improvement < -threshold) direction = 'worsening';
+
+  return {
+    metric: isTimeGoal ? 'absoluteDeviation' : 'deviation',
+    changePerWeek: Math.round(changePerWeek * 10) / 10,
+    direction
+  };
+}
+
+/**
+ * Average of a list of numbers, to one decimal.
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Average, or null for an empty list
+ */
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Builds the adherence report for one goal. Pure: works on sessions that
+ * were already loaded.
+ * @param {Object} goal - SleepGoal document or lean object
+ * @param {Map<string, Object>} nights - Nights from groupSessionsByNight
+ * @param {Object} options
+ * @param {string} options.today - User's local date (YYYY-MM-DD)
+ * @param {number} options.days - Length of the daily window, ending today
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Object} Adherence report
+ */
+function buildGoalReport(goal, nights, { today, days, timeZone }) {
+  const windowStart = addDays(today, -(days - 1));
+  const firstWeekStart = getWeekStart(windowStart);
+
+  // Evaluate from the start of the first week so weekly totals are whole
+  const results = [];
+  for (let date = firstWeekStart; date <= today; date = addDays(date, 1)) {
+    const session = nights.get(date);
+    const night = session ? evaluateNight(goal, session, timeZone) : null;
+    results.push({
+      date,
+      status: night ? (night.hit ? 'hit' : 'miss') : 'no-data',
+      value: night ? night.value : null,
+      deviation: night ? night.deviation : null,
+      sessionId: night ? session._id : null
+    });
+  }
+
+  const daily = results.filter(day => day.date >= windowStart);
+  const logged = daily.filter(day => day.status !== 'no-data');
+  const hits = logged.filter(day => day.status === 'hit').length;
+
+  const weekly = [];
+  for (let weekStart = firstWeekStart; weekStart <= today; weekStart = addDays(weekStart, 7)) {
+    const weekEnd = addDays(weekStart, 6);
+    const weekDays = results.filter(day => day.date >= weekStart && day.date <= weekEnd);
+    const weekLogged = weekDays.filter(day => day.status !== 'no-data');
+    const weekHits = weekLogged.filter(day => day.status === 'hit').length;
+    weekly.push({
+      weekStart,
+      nightsLogged: weekLogged.length,
+      hits: weekHits,
+      target: goal.nightsPerWeek,
+      met: weekHits >= goal.nightsPerWeek,
+      complete: weekEnd < today,
+      averageDeviation: average(weekLogged.map(day => day.deviation))
+    });
+  }
+
+  const nightStreaks = computeNightStreaks(daily);
+
+  return {
+    goal: {
+      ...(typeof goal.toJSON === 'function' ? goal.toJSON() : goal),
+      summary: SleepGoal.prototype.getSummary.call(goal)
+    },
+    window: { from: windowStart, to: today, days, timeZone },
+    unit: getDeviationUnit(goal),
+    nightsLogged: logged.length,
+    hits,
+    hitRate: logged.length > 0 ? Math.round((hits / logged.length) * 1000) / 10 : null,
+    averageDeviation: average(logged.map(day => day.deviation)),
+    streaks: {
+      currentNights: nightStreaks.current,
+      longestNights: nightStreaks.longest,
+      currentWeeks: computeWeekStreak(weekly)
+    },
+    trend: computeDeviationTrend(goal, daily),
+    weekly,
+    daily
+  };
+}
+
+/**
+ * Reports adherence for the given goals over the last `days` days, loading
+ * the user's time zone and sessions once for all goals.
+ * @param {string} userId - The user's ObjectId
+ * @param {Array<Object>} goals - SleepGoal documents belonging to the user
+ * @param {Object} [options]
+ * @param {number} [options.days=28] - Length of the daily window, ending today
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Array<Object>>} One report per goal, in the given order
+ */
+async function getGoalAdherence(userId, goals, { days = 28, now = new Date() } = {}) {
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  const timeZone = (user && user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+  const today = formatZonedDate(now, timeZone);
+  const fetchFrom = getWeekStart(addDays(today, -(days - 1)));
+
+  const sessions = await SleepData.find({
+    user: userId,
+    status: 'finished',
+    sessionType: SleepData.sessionTypeCondition('main'),
+    createdAt: { ...nightDateCondition(fetchFrom, null), $lte: now }
+  })
+    .select('createdAt lightsOutAt sleepOnsetAt wakeUps')
+    .lean();
+
+  const nights = groupSessionsByNight(sessions, timeZone);
+  return goals.map(goal => buildGoalReport(goal, nights, { today, days, timeZone }));
+}
+
+module.exports = {
+  evaluateNight,
+  buildGoalReport,
+  getGoalAdherence
+};
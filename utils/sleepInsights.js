@@ -0,0 +1,214 @@
+// utils/sleepInsights.js
+// Trend and anomaly insights. After a wake-up finishes a session, the user's
+// recent nights are compared against their own rolling baseline (the nights
+// just before the run being tested) rather than fixed thresholds: an insight
+// is raised when sleep quality stays well below the baseline, or awakenings
+// spike well above it. "Well" is measured in the user's own standard
+// deviations, so a restless sleeper is not alerted for a normal night. Nights
+// are finished main sleeps dated by the local date of their final wake-up
+// (see utils/sleepNights.js).
+
+const SleepData = require('../models/SleepData');
+const Insight = require('../models/Insight');
+const User = require('../models/User');
+const { computeSleepMetrics } = require('./sleepMetrics');
+const { getNightQuality, groupSessionsByNight } = require('./sleepNights');
+const { mean, standardDeviation } = require('./statistics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Nights in the rolling baseline, and the fewest it needs before comparing
+const BASELINE_NIGHTS = 28;
+const MIN_BASELINE_NIGHTS = 10;
+
+// Longest run tested; longer runs are reported as this long
+const MAX_RUN_NIGHTS = 14;
+
+// Days of history loaded, enough for a full baseline of occasional loggers
+const HISTORY_DAYS = 90;
+
+// What each insight watches. A night deviates when it is at least
+// `sdMultiplier` baseline standard deviations (and never less than
+// `minDeviation`) on the wrong side of the baseline mean; an insight needs
+// the last `minNights` nights in a row to deviate.
+const DETECTORS = [
+  {
+    type: 'quality-drop',
+    metric: 'quality',
+    direction: -1,
+    sdMultiplier: 1,
+    minDeviation: 1,
+    minNights: 3
+  },
+  {
+    type: 'awakenings-spike',
+    metric: 'awakenings',
+    direction: 1,
+    sdMultiplier: 2,
+    minDeviation: 2,
+    minNights: 1
+  }
+];
+
+/**
+ * Rounds to one decimal place.
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * "1 night" / "3 nights".
+ * @param {number} count - Number of nights
+ * @returns {string} Count with unit
+ */
+function formatNights(count) {
+  return `${count} night${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * The longest run of most recent nights that all deviate from the baseline
+ * of the nights before the run. Pure.
+ * @param {Array<{date: string, value: number}>} series - Nights, oldest first
+ * @param {Object} detector - Entry of DETECTORS
+ * @returns {Object|null} { nights: [{date, value}], baseline: { mean, standardDeviation, nights }, threshold }, or null
+ */
+function detectRun(series, detector) {
+  let run = null;
+
+  for (let length = 1; length <= MAX_RUN_NIGHTS && series.length - length >= MIN_BASELINE_NIGHTS; length++) {
+    const start = series.length - length;
+    const baselineValues = series.slice(Math.max(0, start - BASELINE_NIGHTS), start).map(night => night.value);
+    const baselineMean = mean(baselineValues);
+    const baselineDeviation = standardDeviation(baselineValues) || 0;
+    const margin = Math.max(baselineDeviation * detector.sdMultiplier, detector.minDeviation);
+
+    const nights = series.slice(start);
+    if (!nights.every(night => detector.direction * (night.value - baselineMean) >= margin)) break;
+
+    run = {
+      nights,
+      baseline: {
+        mean: baselineMean,
+        standardDeviation: baselineDeviation,
+        nights: baselineValues.length
+      },
+      threshold: baselineMean + detector.direction * margin
+    };
+  }
+
+  return run && run.nights.length >= detector.minNights ? run : null;
+}
+
+/**
+ * Title and message for a detected run.
+ * @param {string} type - Insight type
+ * @param {number} recentAverage - Average over the run's nights
+ * @param {number} baselineMean - Baseline average
+ * @param {number} nightCount - Nights in the run
+ * @returns {{ title: string, message: string }}
+ */
+function describeRun(type, recentAverage, baselineMean, nightCount) {
+  if (type === 'quality-drop') {
+    return {
+      title: 'Sleep quality below your usual',
+      message: `Your sleep quality has been ${round1(baselineMean - recentAverage)} points below your average of ` +
+        `${round1(baselineMean)} for ${formatNights(nightCount)}.`
+    };
+  }
+  return {
+    title: 'More awakenings than usual',
+    message: nightCount === 1
+      ? `You woke up ${round1(recentAverage)} times during your last night, against your usual ${round1(baselineMean)}.`
+      : `You have woken up ${round1(recentAverage)} times a night over your last ${formatNights(nightCount)}, ` +
+        `against your usual ${round1(baselineMean)}.`
+  };
+}
+
+/**
+ * Detects insights from already-grouped nights. Pure.
+ * @param {Array<{date: string, session: Object}>} nights - Finished main sleeps, oldest first
+ * @returns {Array<Object>} Insight fields: { type, dedupeKey, title, message, data }
+ */
+function analyzeNights(nights) {
+  const values = nights.map(({ date, session }) => ({
+    date,
+    quality: getNightQuality(session),
+    awakenings: computeSleepMetrics(session).awakenings
+  }));
+
+  return DETECTORS.map(detector => {
+    const series = values
+      .filter(night => typeof night[detector.metric] === 'number')
+      .map(night => ({ date: night.date, value: night[detector.metric] }));
+    const run = detectRun(series, detector);
+    if (!run) return null;
+
+    const recentAverage = mean(run.nights.map(night => night.value));
+    const firstNight = run.nights[0].date;
+    return {
+      type: detector.type,
+      // One insight per episode: a growing run keeps its first night
+      dedupeKey: `${detector.type}:${firstNight}`,
+      ...describeRun(detector.type, recentAverage, run.baseline.mean, run.nights.length),
+      data: {
+        metric: detector.metric,
+        firstNight,
+        lastNight: run.nights[run.nights.length - 1].date,
+        nightCount: run.nights.length,
+        nights: run.nights,
+        recentAverage: round1(recentAverage),
+        baseline: {
+          mean: round1(run.baseline.mean),
+          standardDeviation: round1(run.baseline.standardDeviation),
+          nights: run.baseline.nights
+        },
+        threshold: round1(run.threshold),
+        difference: round1(recentAverage - run.baseline.mean)
+      }
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Raises (or refreshes) insights for the user's latest nights. Called when a
+ * wake-up finishes a main sleep.
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} [options]
+ * @param {string} [options.sleepSession] - The session that was just finished
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Array<Object>>} Insights raised or updated that are not dismissed
+ */
+async function generateInsights(userId, { sleepSession = null, now = new Date() } = {}) {
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  if (!user) return [];
+  const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+
+  const sessions = await SleepData.find({
+    user: userId,
+    status: 'finished',
+    sessionType: SleepData.sessionTypeCondition('main'),
+    createdAt: { $gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS), $lte: now }
+  })
+    .select('createdAt lightsOutAt sleepOnsetAt wakeUps')
+    .lean();
+
+  const nights = [...groupSessionsByNight(sessions, timeZone).entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, session]) => ({ date, session }));
+
+  const insights = [];
+  for (const detected of analyzeNights(nights)) {
+    const insight = await Insight.raise({ user: userId, sleepSession, ...detected });
+    if (insight && !insight.dismissedAt) insights.push(insight);
+  }
+  return insights;
+}
+
+module.exports = {
+  DETECTORS,
+  analyzeNights,
+  generateInsights
+};
@@ -0,0 +1,143 @@
+// utils/sleepMetrics.js
+// Computes standard sleep metrics for a session from its bedtime (lightsOutAt,
+// falling back to createdAt), its sleep onset and its wake-ups
+// (awakenAt / backToBedAt). Used by the SleepData `metrics`
+// virtual so every API response reports the same numbers, and by analytics
+// code that works with lean documents.
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Rounds milliseconds to whole minutes.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} Minutes
+ */
+function toMinutes(ms) {
+  return Math.round(ms / MINUTE_MS);
+}
+
+/**
+ * When the user actually went to bed: lights out if recorded, otherwise the
+ * time the session was created.
+ * @param {Object} session - SleepData document or lean object
+ * @returns {Date} Effective bedtime
+ */
+function getBedtime(session) {
+  return new Date(session.lightsOutAt || session.createdAt);
+}
+
+/**
+ * When the user fell asleep: the recorded estimate if any, otherwise bedtime.
+ * @param {Object} session - SleepData document or lean object
+ * @returns {Date} Effective sleep onset
+ */
+function getSleepOnset(session) {
+  return session.sleepOnsetAt ? new Date(session.sleepOnsetAt) : getBedtime(session);
+}
+
+/**
+ * Computes sleep metrics for a session.
+ *
+ * Definitions:
+ * - timeInBedMinutes: bedtime (see getBedtime) to final wake-up (or now, if still open)
+ * - sleepOnsetLatencyMinutes: bedtime to sleep onset (see getSleepOnset)
+ * - timeOutOfBedMinutes: total of the awakenAt → backToBedAt gaps of night-time
+ *   wake-ups as recorded, including those before sleep onset
+ * - wakeAfterSleepOnsetMinutes (WASO): time awake between falling asleep and
+ *   the final wake-up; the same gaps, but only from sleep onset on and capped
+ *   at the time in bed after onset
+ * - totalSleepMinutes: time in bed minus onset latency and WASO
+ * - awakenings: number of night-time (non-final) wake-ups
+ * - sleepEfficiency: totalSleep / timeInBed as a percentage (one decimal)
+ *
+ * @param {Object} session - SleepData document or lean object
+ * @param {Date} [now] - Reference time for open sessions (defaults to now)
+ * @returns {Object} Metrics; `complete` is false while the session is open
+ */
+function computeSleepMetrics(session, now = new Date()) {
+  const bedtime = getBedtime(session).getTime();
+  const wakeUps = session.wakeUps || [];
+  const lastWakeUp = wakeUps[wakeUps.length - 1];
+  const complete = Boolean(lastWakeUp && lastWakeUp.finishedSleeping !== false && lastWakeUp.awakenAt);
+
+  const end = complete ? new Date(lastWakeUp.awakenAt).getTime() : now.getTime();
+  const timeInBedMs = Math.max(0, end - bedtime);
+  const onset = Math.min(Math.max(getSleepOnset(session).getTime(), bedtime), end);
+  const latencyMs = onset - bedtime;
+
+  let awakeMs = 0;
+  let outOfBedMs = 0;
+  let awakenings = 0;
+
+  wakeUps.forEach((wakeUp, index) => {
+    const isFinal = complete && index === wakeUps.length - 1;
+    if (isFinal || !wakeUp.awakenAt) return;
+
+    awakenings++;
+    const rawAwakenAt = new Date(wakeUp.awakenAt).getTime();
+    // A back-to-bed time still in the future only counts up to the session end
+    const backToBedAt = wakeUp.backToBedAt ? Math.min(new Date(wakeUp.backToBedAt).getTime(), end) : end;
+    outOfBedMs += Math.max(0, backToBedAt - rawAwakenAt);
+    // Wake-ups before sleep onset are already covered by the onset latency
+    awakeMs += Math.max(0, backToBedAt - Math.max(rawAwakenAt, onset));
+  });
+
+  awakeMs = Math.min(awakeMs, timeInBedMs - latencyMs);
+  const totalSleepMs = timeInBedMs - latencyMs - awakeMs;
+
+  return {
+    complete,
+    timeInBedMinutes: toMinutes(timeInBedMs),
+    sleepOnsetLatencyMinutes: toMinutes(latencyMs),
+    totalSleepMinutes: toMinutes(totalSleepMs),
+    awakenings,
+    wakeAfterSleepOnsetMinutes: toMinutes(awakeMs),
+    timeOutOfBedMinutes: toMinutes(outOfBedMs),
+    sleepEfficiency: timeInBedMs > 0
+      ? Math.round((totalSleepMs / timeInBedMs) * 1000) / 10
+      : null
+  };
+}
+
+/**
+ * Splits a finished session into the spans the user was actually asleep:
+ * sleep onset to the final wake-up, minus the awakenAt → backToBedAt gaps of
+ * night-time wake-ups. Uses the same rules as computeSleepMetrics.
+ * @param {Object} session - Finished SleepData document or lean object
+ * @returns {Array<{ start: Date, end: Date }>} Sleep spans in time order (empty if open)
+ */
+function getSleepIntervals(session) {
+  const wakeUps = session.wakeUps || [];
+  const lastWakeUp = wakeUps[wakeUps.length - 1];
+  if (!lastWakeUp || lastWakeUp.finishedSleeping === false || !lastWakeUp.awakenAt) return [];
+
+  const end = new Date(lastWakeUp.awakenAt).getTime();
+  const bedtime = getBedtime(session).getTime();
+  const onset = Math.min(Math.max(getSleepOnset(session).getTime(), bedtime), end);
+
+  const gaps = wakeUps.slice(0, -1)
+    .filter(wakeUp => wakeUp.awakenAt)
+    .map(wakeUp => ({
+      start: Math.max(new Date(wakeUp.awakenAt).getTime(), onset),
+      end: wakeUp.backToBedAt ? Math.min(new Date(wakeUp.backToBedAt).getTime(), end) : end
+    }))
+    .filter(gap => gap.end > gap.start)
+    .sort((a, b) => a.start - b.start);
+
+  const intervals = [];
+  let cursor = onset;
+  gaps.forEach(gap => {
+    if (gap.start > cursor) intervals.push({ start: new Date(cursor), end: new Date(gap.start) });
+    cursor = Math.max(cursor, gap.end);
+  });
+  if (end > cursor) intervals.push({ start: new Date(cursor), end: new Date(end) });
+
+  return intervals;
+}
+
+module.exports = {
+  getBedtime,
+  getSleepOnset,
+  computeSleepMetrics,
+  getSleepIntervals
+};
@@ -0,0 +1,109 @@
+// utils/sleepNights.js
+// Nights: finished main sleeps dated by the local calendar date of their final
+// wake-up in the user's time zone (userPreferences.timeZone), so a night that
+// starts after midnight still belongs to the morning it ends on. Shared by the
+// goal, debt, regularity, comparison, factor, report, calendar, achievement
+// and insight features.
+
+const SleepData = require('../models/SleepData');
+const User = require('../models/User');
+const { getBedtime } = require('./sleepMetrics');
+const { getSessionEnd } = require('./sleepValidation');
+const { formatZonedDate } = require('./timeZones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions are stored by bedtime (createdAt) but nights are dated by their
+// final wake-up in the user's time zone. A session ends within a day of its
+// bedtime and local dates are at most 14 hours from UTC, so looking two days
+// past a range's UTC dates finds every session that ended on a date in it;
+// callers then keep only the nights actually in range.
+const NIGHT_QUERY_MARGIN_MS = 2 * DAY_MS;
+
+/**
+ * A night's sleep quality: the average rating of its wake-ups.
+ * @param {Object} session - SleepData document or lean object
+ * @returns {number|null} Average quality, or null if no wake-up was rated
+ */
+function getNightQuality(session) {
+  const ratings = (session.wakeUps || [])
+    .map(wakeUp => wakeUp.sleepQuality)
+    .filter(rating => typeof rating === 'number');
+  return ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null;
+}
+
+/**
+ * Groups finished sessions into nights keyed by local wake-up date. When two
+ * main sleeps end on the same date, the longer one represents the night.
+ * @param {Array<Object>} sessions - Finished main sleep sessions
+ * @param {string} timeZone - User's IANA time zone
+ * @returns {Map<string, Object>} Date → session
+ */
+function groupSessionsByNight(sessions, timeZone) {
+  const nights = new Map();
+  sessions.forEach(session => {
+    const end = getSessionEnd(session);
+    if (!end) return;
+    const date = formatZonedDate(end, timeZone);
+    const current = nights.get(date);
+    if (!current || end - getBedtime(session) > getSessionEnd(current) - getBedtime(current)) {
+      nights.set(date, session);
+    }
+  });
+  return nights;
+}
+
+/**
+ * createdAt condition for the sessions that may have ended on a night date
+ * from / to (inclusive), widened by NIGHT_QUERY_MARGIN_MS.
+ * @param {string|null} from - First night date (YYYY-MM-DD), or null for no lower bound
+ * @param {string|null} to - Last night date (YYYY-MM-DD), or null for no upper bound
+ * @returns {Object} Range condition ({} when both are null)
+ */
+function nightDateCondition(from, to) {
+  const condition = {};
+  if (from) condition.$gte = new Date(Date.parse(`${from}T00:00:00Z`) - NIGHT_QUERY_MARGIN_MS);
+  if (to) condition.$lt = new Date(Date.parse(`${to}T00:00:00Z`) + NIGHT_QUERY_MARGIN_MS);
+  return condition;
+}
+
+/**
+ * Loads the user's finished main sleeps as nights (see groupSessionsByNight),
+ * optionally limited to night dates from / to (inclusive).
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} options
+ * @param {string} [options.from] - First night date (YYYY-MM-DD); all history when omitted
+ * @param {string} [options.to] - Last night date (YYYY-MM-DD); up to today when omitted
+ * @param {string} options.select - SleepData fields to load
+ * @returns {Promise<Object|null>} { timeZone, nights: [sessions] } oldest night first,
+ *   or null if the user does not exist
+ */
+async function loadNights(userId, { from = null, to = null, select }) {
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  if (!user) return null;
+  const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+
+  const query = {
+    user: userId,
+    status: 'finished',
+    sessionType: SleepData.sessionTypeCondition('main')
+  };
+  if (from || to) query.createdAt = nightDateCondition(from, to);
+
+  const sessions = await SleepData.find(query).select(select).lean();
+
+  const nights = [...groupSessionsByNight(sessions, timeZone).entries()]
+    .filter(([date]) => (!from || date >= from) && (!to || date <= to))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, session]) => session);
+
+  return { timeZone, nights };
+}
+
+module.exports = {
+  NIGHT_QUERY_MARGIN_MS,
+  getNightQuality,
+  groupSessionsByNight,
+  nightDateCondition,
+  loadNights
+};
@@ -0,0 +1,246 @@
+// utils/sleepRegularity.js
+// Sleep timing consistency: how much bedtimes and wake times vary, the Sleep
+// Regularity Index, and social jet lag (the shift in mid-sleep between work
+// days and free days). Nights are finished main sleeps dated by the local date
+// of their final wake-up (see utils/sleepNights.js).
+
+const SleepData = require('../models/SleepData');
+const User = require('../models/User');
+const { getBedtime, getSleepOnset, getSleepIntervals } = require('./sleepMetrics');
+const { getSessionEnd } = require('./sleepValidation');
+const { groupSessionsByNight, nightDateCondition } = require('./sleepNights');
+const {
+  formatZonedDate,
+  zonedTimeToUtc,
+  addDays,
+  getZonedClockMinutes,
+  formatClockMinutes,
+  clockDeviation
+} = require('./timeZones');
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Resolution of the sleep/wake series used for the Sleep Regularity Index
+const SRI_EPOCH_MINUTES = 5;
+
+// Default work days when the user has not set any (Monday to Friday)
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Mean of clock times, treating the day as a circle so 23:30 and 00:30
+ * average to 00:00 rather than 12:00.
+ * @param {Array<number>} minutes - Clock times in minutes after midnight
+ * @returns {number|null} Mean clock time, or null for an empty list
+ */
+function circularMeanMinutes(minutes) {
+  if (minutes.length === 0) return null;
+  let x = 0;
+  let y = 0;
+  minutes.forEach(value => {
+    const angle = (value / MINUTES_PER_DAY) * 2 * Math.PI;
+    x += Math.cos(angle);
+    y += Math.sin(angle);
+  });
+  const angle = Math.atan2(y, x);
+  return ((angle / (2 * Math.PI)) * MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Mean, variance and standard deviation of clock times, with each time's
+ * distance measured the short way round midnight from the circular mean.
+ * @param {Array<number>} minutes - Clock times in minutes after midnight
+ * @returns {Object|null} { mean, varianceMinutes2, standardDeviationMinutes, nights },
+ *   or null for an empty list
+ */
+function describeClockTimes(minutes) {
+  const mean = circularMeanMinutes(minutes);
+  if (mean === null) return null;
+
+  const deviations = minutes.map(value => clockDeviation(value, mean));
+  const variance = deviations.reduce((sum, deviation) => sum + deviation ** 2, 0) / deviations.length;
+
+  return {
+    mean: formatClockMinutes(mean),
+    varianceMinutes2: Math.round(variance),
+    standardDeviationMinutes: Math.round(Math.sqrt(variance)),
+    nights: minutes.length
+  };
+}
+
+/**
+ * Local noon of a YYYY-MM-DD date, as zonedTimeToUtc input.
+ * @param {string} date - Calendar date
+ * @returns {Object} { year, month, day, hour: 12 }
+ */
+function toLocalNoon(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month, day, hour: 12 };
+}
+
+/**
+ * Sleep Regularity Index (Phillips et al., 2017): the chance of being in the
+ * same state (asleep or awake) at two moments 24 hours apart, scaled so 100 is
+ * perfectly regular and 0 is random. Only compares moments on days with a
+ * logged night, where each day runs from noon the day before to noon on the
+ * night's date; anything outside a sleep span on such a day counts as awake.
+ * @param {Array<Object>} sessions - Finished sessions (naps included)
+ * @param {Set<string>} loggedDates - Dates that have a logged main sleep
+ * @param {Object} options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Object|null} { value, comparedDays }, or null without two consecutive logged days
+ */
+function computeSleepRegularityIndex(sessions, loggedDates, { from, to, timeZone }) {
+  const epochMs = SRI_EPOCH_MINUTES * MINUTE_MS;
+  const epochsPerDay = MINUTES_PER_DAY / SRI_EPOCH_MINUTES;
+  const spanStart = zonedTimeToUtc(toLocalNoon(addDays(from, -1)), timeZone).getTime();
+  const spanEnd = zonedTimeToUtc(toLocalNoon(to), timeZone).getTime();
+  const epochCount = Math.ceil((spanEnd - spanStart) / epochMs);
+
+  // null = unknown (no logged night), true = asleep, false = awake
+  const states = new Array(epochCount).fill(null);
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!loggedDates.has(date)) continue;
+    const dayStart = zonedTimeToUtc(toLocalNoon(addDays(date, -1)), timeZone).getTime();
+    const dayEnd = zonedTimeToUtc(toLocalNoon(date), timeZone).getTime();
+    for (let i = Math.ceil((dayStart - spanStart) / epochMs); i < (dayEnd - spanStart) / epochMs; i++) {
+      states[i] = false;
+    }
+  }
+
+  sessions.forEach(session => {
+    getSleepIntervals(session).forEach(({ start, end }) => {
+      const first = Math.max(0, Math.ceil((start.getTime() - spanStart) / epochMs));
+      const last = Math.min(epochCount, Math.ceil((end.getTime() - spanStart) / epochMs));
+      for (let i = first; i < last; i++) {
+        if (states[i] !== null) states[i] = true;
+      }
+    });
+  });
+
+  let pairs = 0;
+  let matches = 0;
+  for (let i = 0; i + epochsPerDay < epochCount; i++) {
+    const today = states[i];
+    const tomorrow = states[i + epochsPerDay];
+    if (today === null || tomorrow === null) continue;
+    pairs++;
+    if (today === tomorrow) matches++;
+  }
+
+  if (pairs === 0) return null;
+  return {
+    value: Math.round((200 * matches) / pairs - 100),
+    comparedDays: Math.round((pairs / epochsPerDay) * 10) / 10
+  };
+}
+
+/**
+ * Midpoint between sleep onset and the final wake-up.
+ * @param {Object} session - Finished SleepData session
+ * @returns {Date} Mid-sleep instant
+ */
+function getMidSleep(session) {
+  const onset = getSleepOnset(session).getTime();
+  return new Date(onset + (getSessionEnd(session).getTime() - onset) / 2);
+}
+
+/**
+ * Builds the consistency report from already-loaded sessions.
+ *
+ * Social jet lag is mid-sleep on free days minus mid-sleep on work days: a
+ * night counts as a work night when the day it ends on is a work day.
+ *
+ * @param {Array<Object>} sessions - Finished sessions in the range (naps included)
+ * @param {Object} options
+ * @param {string} options.from - First night date (YYYY-MM-DD)
+ * @param {string} options.to - Last night date (YYYY-MM-DD)
+ * @param {string} options.timeZone - User's IANA time zone
+ * @param {Array<number>} options.workDays - Work days, 0 (Sunday) to 6 (Saturday)
+ * @returns {Object} Consistency report
+ */
+function computeRegularity(sessions, { from, to, timeZone, workDays }) {
+  const mainSessions = sessions.filter(session => session.sessionType === 'main' || !session.sessionType);
+  const nights = [...groupSessionsByNight(mainSessions, timeZone).entries()]
+    .filter(([date]) => date >= from && date <= to)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const bedtimes = [];
+  const wakeTimes = [];
+  const midSleep = { workDays: [], freeDays: [] };
+
+  nights.forEach(([date, session]) => {
+    bedtimes.push(getZonedClockMinutes(getBedtime(session), timeZone));
+    wakeTimes.push(getZonedClockMinutes(getSessionEnd(session), timeZone));
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const dayType = workDays.includes(weekday) ? 'workDays' : 'freeDays';
+    midSleep[dayType].push(getZonedClockMinutes(getMidSleep(session), timeZone));
+  });
+
+  const workMidSleep = circularMeanMinutes(midSleep.workDays);
+  const freeMidSleep = circularMeanMinutes(midSleep.freeDays);
+  const socialJetLagMinutes = workMidSleep !== null && freeMidSleep !== null
+    ? Math.round(clockDeviation(freeMidSleep, workMidSleep))
+    : null;
+
+  return {
+    range: { from, to, timeZone },
+    nights: nights.length,
+    bedtime: describeClockTimes(bedtimes),
+    wakeTime: describeClockTimes(wakeTimes),
+    sleepRegularityIndex: computeSleepRegularityIndex(
+      sessions,
+      new Set(nights.map(([date]) => date)),
+      { from, to, timeZone }
+    ),
+    midSleep: {
+      workDays: workMidSleep !== null
+        ? { mean: formatClockMinutes(workMidSleep), nights: midSleep.workDays.length }
+        : null,
+      freeDays: freeMidSleep !== null
+        ? { mean: formatClockMinutes(freeMidSleep), nights: midSleep.freeDays.length }
+        : null
+    },
+    socialJetLagMinutes,
+    workDays
+  };
+}
+
+/**
+ * Computes the user's sleep timing consistency between two night dates
+ * (inclusive), in the user's time zone.
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} options
+ * @param {string} [options.from] - First night date (YYYY-MM-DD); defaults to 27 days before `to`
+ * @param {string} [options.to] - Last night date (YYYY-MM-DD); defaults to today
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object|null>} Consistency report, or null if the user does not exist
+ */
+async function getSleepRegularity(userId, { from = null, to = null, now = new Date() } = {}) {
+  const user = await User.findById(userId).select('userPreferences').lean();
+  if (!user) return null;
+
+  const preferences = user.userPreferences || {};
+  const timeZone = preferences.timeZone || 'UTC';
+  const workDays = Array.isArray(preferences.workDays) ? preferences.workDays : DEFAULT_WORK_DAYS;
+  const lastDate = to || formatZonedDate(now, timeZone);
+  const firstDate = from || addDays(lastDate, -27);
+
+  const sessions = await SleepData.find({
+    user: userId,
+    status: 'finished',
+    createdAt: nightDateCondition(firstDate, lastDate)
+  })
+    .select('createdAt lightsOutAt sleepOnsetAt sessionType wakeUps')
+    .lean();
+
+  return computeRegularity(sessions, { from: firstDate, to: lastDate, timeZone, workDays });
+}
+
+module.exports = {
+  computeRegularity,
+  getSleepRegularity
+};
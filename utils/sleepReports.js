@@ -0,0 +1,352 @@
+// utils/sleepReports.js
+// Weekly and monthly sleep summaries, each compared with the period before.
+// The per-session numbers and the per-period totals are computed by a single
+// MongoDB aggregation, so a report never loads the sessions themselves.
+// Sessions are finished main sleeps assigned to the period their final
+// wake-up falls in, using the user's local calendar (userPreferences.timeZone).
+// Session durations follow the rules of utils/sleepMetrics.js.
+
+const mongoose = require('mongoose');
+const SleepData = require('../models/SleepData');
+const Bedroom = require('../models/Bedroom');
+const User = require('../models/User');
+const {
+  formatZonedDate,
+  startOfZonedDay,
+  addDays,
+  getWeekStart,
+  formatClockMinutes,
+  clockDeviation
+} = require('./timeZones');
+const { NIGHT_QUERY_MARGIN_MS } = require('./sleepNights');
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Report periods
+const PERIODS = ['week', 'month'];
+
+/**
+ * First day of the period containing a date, and the first day after it.
+ * @param {string} period - "week" (Monday to Sunday) or "month"
+ * @param {string} date - Any YYYY-MM-DD date in the period
+ * @returns {{ from: string, next: string }} Period start and the following period's start
+ */
+function getPeriodBounds(period, date) {
+  if (period === 'week') {
+    const from = getWeekStart(date);
+    return { from, next: addDays(from, 7) };
+  }
+  const [year, month] = date.split('-').map(Number);
+  const from = `${year}-${String(month).padStart(2, '0')}-01`;
+  const next = month === 12
+    ? `${year + 1}-01-01`
+    : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  return { from, next };
+}
+
+/**
+ * Stages that reduce each session to the numbers a report needs:
+ * { period, bedroom, bedroomName, endedAt, nightQuality, sleepMinutes,
+ *   awakenings, dreamEntries, bedtimeAngle }.
+ * @param {Object} options
+ * @param {Date} options.currentStart - Start of the reported period
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Array<Object>} Aggregation stages
+ */
+function sessionSummaryStages({ currentStart, timeZone }) {
+  return [
+    {
+      $addFields: {
+        bedtime: { $ifNull: ['$lightsOutAt', '$createdAt'] },
+        // Every wake-up except the final one
+        nightWakeUps: {
+          $map: {
+            input: { $range: [0, { $max: [0, { $subtract: [{ $size: '$wakeUps' }, 1] }] }] },
+            as: 'index',
+            in: { $arrayElemAt: ['$wakeUps', '$$index'] }
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        onset: {
+          $min: [{ $max: [{ $ifNull: ['$sleepOnsetAt', '$bedtime'] }, '$bedtime'] }, '$endedAt']
+        }
+      }
+    },
+    {
+      $addFields: {
+        awakeMs: {
+          $reduce: {
+            input: { $filter: { input: '$nightWakeUps', as: 'wakeUp', cond: { $ne: [{ $ifNull: ['$$wakeUp.awakenAt', null] }, null] } } },
+            initialValue: 0,
+            in: {
+              $add: ['$$value', {
+                $max: [0, {
+                  $subtract: [
+                    { $min: [{ $ifNull: ['$$this.backToBedAt', '$endedAt'] }, '$endedAt'] },
+                    { $max: ['$$this.awakenAt', '$onset'] }
+                  ]
+                }]
+              }]
+            }
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        period: { $cond: [{ $gte: ['$endedAt', currentStart] }, 'current', 'previous'] },
+        bedroom: 1,
+        bedroomName: '$bedroomSnapshot.bedroomName',
+        endedAt: 1,
+        nightQuality: { $avg: '$wakeUps.sleepQuality' },
+        sleepMinutes: {
+          $divide: [
+            {
+              $subtract: [
+                { $subtract: ['$endedAt', '$onset'] },
+                { $min: ['$awakeMs', { $subtract: ['$endedAt', '$onset'] }] }
+              ]
+            },
+            MINUTE_MS
+          ]
+        },
+        awakenings: {
+          $size: { $filter: { input: '$nightWakeUps', as: 'wakeUp', cond: { $ne: [{ $ifNull: ['$$wakeUp.awakenAt', null] }, null] } } }
+        },
+        // Structured dreams, or one entry for a legacy dream journal
+        dreamEntries: {
+          $sum: {
+            $map: {
+              input: '$wakeUps',
+              as: 'wakeUp',
+              in: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$$wakeUp.dreams', []] } }, 0] },
+                  { $size: '$$wakeUp.dreams' },
+                  { $cond: [{ $gt: [{ $strLenCP: { $trim: { input: { $ifNull: ['$$wakeUp.dreamJournal', ''] } } } }, 0] }, 1, 0] }
+                ]
+              }
+            }
+          }
+        },
+        // Local bedtime as an angle on the 24-hour clock, for a circular mean
+        bedtimeAngle: {
+          $let: {
+            vars: { parts: { $dateToParts: { date: '$bedtime', timezone: timeZone } } },
+            in: {
+              $multiply: [
+                { $divide: [{ $add: [{ $multiply: ['$$parts.hour', 60] }, '$$parts.minute'] }, MINUTES_PER_DAY] },
+                2 * Math.PI
+              ]
+            }
+          }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Per-period totals, best / worst nights and most used bedroom.
+ * @returns {Object} $facet stage
+ */
+function periodFacetStage() {
+  return {
+    $facet: {
+      totals: [
+        {
+          $group: {
+            _id: '$period',
+            sessions: { $sum: 1 },
+            ratedSessions: { $sum: { $cond: [{ $ne: ['$nightQuality', null] }, 1, 0] } },
+            averageQuality: { $avg: '$nightQuality' },
+            averageSleepMinutes: { $avg: '$sleepMinutes' },
+            totalAwakenings: { $sum: '$awakenings' },
+            dreamEntries: { $sum: '$dreamEntries' },
+            bedtimeX: { $sum: { $cos: '$bedtimeAngle' } },
+            bedtimeY: { $sum: { $sin: '$bedtimeAngle' } }
+          }
+        }
+      ],
+      extremes: [
+        { $match: { nightQuality: { $ne: null } } },
+        { $sort: { nightQuality: -1, endedAt: 1 } },
+        {
+          $group: {
+            _id: '$period',
+            best: { $first: { sessionId: '$_id', quality: '$nightQuality', endedAt: '$endedAt' } },
+            worst: { $last: { sessionId: '$_id', quality: '$nightQuality', endedAt: '$endedAt' } }
+          }
+        }
+      ],
+      bedrooms: [
+        {
+          $group: {
+            _id: { period: '$period', bedroom: '$bedroom' },
+            sessions: { $sum: 1 },
+            snapshotName: { $last: '$bedroomName' },
+            lastUsedAt: { $max: '$endedAt' }
+          }
+        },
+        { $sort: { sessions: -1, lastUsedAt: -1 } },
+        { $group: { _id: '$_id.period', bedroom: { $first: '$_id.bedroom' }, sessions: { $first: '$sessions' }, snapshotName: { $first: '$snapshotName' } } },
+        // Prefer the bedroom's current name; deleted bedrooms keep their snapshot name
+        { $lookup: { from: Bedroom.collection.name, localField: 'bedroom', foreignField: '_id', as: 'current' } },
+        {
+          $project: {
+            bedroomId: '$bedroom',
+            bedroomName: { $ifNull: [{ $arrayElemAt: ['$current.bedroomName', 0] }, '$snapshotName'] },
+            sessions: 1
+          }
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Rounds to one decimal, keeping nulls.
+ * @param {number|null} value - Number
+ * @returns {number|null} Rounded number
+ */
+function roundOne(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Shapes one period's aggregation output.
+ * @param {string} key - "current" or "previous"
+ * @param {Object} facets - Output of periodFacetStage
+ * @param {Object} options
+ * @param {string} options.from - First date of the period
+ * @param {string} options.next - First date after the period
+ * @param {string} options.timeZone - User's IANA time zone
+ * @returns {Object} Period summary
+ */
+function buildPeriodSummary(key, facets, { from, next, timeZone }) {
+  const totals = facets.totals.find(entry => entry._id === key) || null;
+  const extremes = facets.extremes.find(entry => entry._id === key) || null;
+  const bedroom = facets.bedrooms.find(entry => entry._id === key) || null;
+
+  const describeNight = night => ({
+    sessionId: night.sessionId,
+    date: formatZonedDate(night.endedAt, timeZone),
+    quality: roundOne(night.quality)
+  });
+
+  let averageBedtimeMinutes = null;
+  if (totals && (totals.bedtimeX !== 0 || totals.bedtimeY !== 0)) {
+    const angle = Math.atan2(totals.bedtimeY, totals.bedtimeX);
+    averageBedtimeMinutes = ((angle / (2 * Math.PI)) * MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  }
+
+  return {
+    from,
+    to: addDays(next, -1),
+    sessions: totals ? totals.sessions : 0,
+    ratedSessions: totals ? totals.ratedSessions : 0,
+    averageQuality: totals ? roundOne(totals.averageQuality) : null,
+    bestNight: extremes ? describeNight(extremes.best) : null,
+    worstNight: extremes ? describeNight(extremes.worst) : null,
+    averageSleepMinutes: totals && totals.averageSleepMinutes !== null ? Math.round(totals.averageSleepMinutes) : null,
+    averageBedtime: averageBedtimeMinutes !== null ? formatClockMinutes(averageBedtimeMinutes) : null,
+    totalAwakenings: totals ? totals.totalAwakenings : 0,
+    favoriteBedroom: bedroom
+      ? { bedroomId: bedroom.bedroomId, bedroomName: bedroom.bedroomName, sessions: bedroom.sessions }
+      : null,
+    dreamEntries: totals ? totals.dreamEntries : 0,
+    // Kept for the comparison, not returned
+    averageBedtimeMinutes
+  };
+}
+
+/**
+ * Differences between the reported period and the one before it.
+ * @param {Object} current - Current period summary
+ * @param {Object} previous - Previous period summary
+ * @returns {Object} Signed changes (current minus previous); null where either side has no data
+ */
+function comparePeriods(current, previous) {
+  const difference = (a, b, round = roundOne) => (a === null || b === null ? null : round(a - b));
+  return {
+    sessions: current.sessions - previous.sessions,
+    averageQuality: difference(current.averageQuality, previous.averageQuality),
+    averageSleepMinutes: difference(current.averageSleepMinutes, previous.averageSleepMinutes, Math.round),
+    // Positive = later bedtime than the previous period
+    averageBedtimeMinutes: current.averageBedtimeMinutes !== null && previous.averageBedtimeMinutes !== null
+      ? Math.round(clockDeviation(current.averageBedtimeMinutes, previous.averageBedtimeMinutes))
+      : null,
+    totalAwakenings: current.totalAwakenings - previous.totalAwakenings,
+    dreamEntries: current.dreamEntries - previous.dreamEntries,
+    sameFavoriteBedroom: current.favoriteBedroom && previous.favoriteBedroom
+      ? current.favoriteBedroom.bedroomId.toString() === previous.favoriteBedroom.bedroomId.toString()
+      : null
+  };
+}
+
+/**
+ * Builds a weekly or monthly report for the period containing `date`, with
+ * the previous period for comparison.
+ * @param {string} userId - The user's ObjectId
+ * @param {Object} options
+ * @param {string} options.period - "week" (Monday to Sunday) or "month"
+ * @param {string} [options.date] - Any YYYY-MM-DD date in the period; defaults to today
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Promise<Object|null>} Report, or null if the user does not exist
+ */
+async function getSleepReport(userId, { period, date = null, now = new Date() }) {
+  const user = await User.findById(userId).select('userPreferences.timeZone').lean();
+  if (!user) return null;
+  const timeZone = (user.userPreferences && user.userPreferences.timeZone) || 'UTC';
+
+  const today = formatZonedDate(now, timeZone);
+  const current = getPeriodBounds(period, date || today);
+  const previous = getPeriodBounds(period, addDays(current.from, -1));
+
+  const previousStart = startOfZonedDay(previous.from, timeZone);
+  const currentStart = startOfZonedDay(current.from, timeZone);
+  const currentEnd = startOfZonedDay(current.next, timeZone);
+
+  const [facets] = await SleepData.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        status: 'finished',
+        sessionType: SleepData.sessionTypeCondition('main'),
+        // See NIGHT_QUERY_MARGIN_MS; the exact end time is matched below
+        createdAt: { $gte: new Date(previousStart.getTime() - NIGHT_QUERY_MARGIN_MS), $lt: currentEnd }
+      }
+    },
+    { $addFields: { endedAt: { $arrayElemAt: ['$wakeUps.awakenAt', -1] } } },
+    { $match: { endedAt: { $gte: previousStart, $lt: currentEnd } } },
+    ...sessionSummaryStages({ currentStart, timeZone }),
+    periodFacetStage()
+  ]);
+
+  const { averageBedtimeMinutes: currentBedtime, ...currentSummary } =
+    buildPeriodSummary('current', facets, { ...current, timeZone });
+  const { averageBedtimeMinutes: previousBedtime, ...previousSummary } =
+    buildPeriodSummary('previous', facets, { ...previous, timeZone });
+
+  return {
+    period,
+    timeZone,
+    inProgress: today < current.next && today >= current.from,
+    current: currentSummary,
+    previous: previousSummary,
+    change: comparePeriods(
+      { ...currentSummary, averageBedtimeMinutes: currentBedtime },
+      { ...previousSummary, averageBedtimeMinutes: previousBedtime }
+    )
+  };
+}
+
+module.exports = {
+  PERIODS,
+  getPeriodBounds,
+  getSleepReport
+};
@@ -0,0 +1,111 @@
+// utils/sleepSearch.js
+// Helpers for GET /sleep-data/search. MongoDB's text index finds and ranks the
+// matching sessions; these helpers parse the query and cut highlighted
+// snippets out of the fields that matched.
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Splits a search query into quoted phrases and single words, the way
+ * MongoDB's $text operator reads it. Negated terms ("-nightmare") are dropped
+ * because they can never appear in a match.
+ * @param {string} query - Raw search text
+ * @returns {Array<string>} Lowercase terms and phrases to highlight
+ */
+function parseSearchTerms(query) {
+  const terms = [];
+  const phrasePattern = /(-?)"([^"]+)"/g;
+  let match;
+
+  while ((match = phrasePattern.exec(query)) !== null) {
+    if (!match[1] && match[2].trim()) terms.push(match[2].trim().toLowerCase());
+  }
+
+  query.replace(phrasePattern, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word.toLowerCase()));
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a snippet of text around the first search hit, with the position of
+ * every hit inside the snippet. Terms match at the start of a word, so "run"
+ * also highlights "running".
+ * @param {string} text - Field contents
+ * @param {Array<string>} terms - Result of parseSearchTerms
+ * @returns {Object|null} { snippet, highlights: [{ start, end }] }, or null if nothing matched
+ */
+function buildSnippet(text, terms) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const hits = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    hits.push({ start: match.index, end: match.index + match[0].length });
+  }
+  if (hits.length === 0) return null;
+
+  const from = Math.max(0, hits[0].start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, hits[0].end + SNIPPET_CONTEXT * 2);
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+
+  return {
+    snippet: prefix + text.slice(from, to) + suffix,
+    highlights: hits
+      .filter(hit => hit.start >= from && hit.end <= to)
+      .map(hit => ({
+        start: hit.start - from + prefix.length,
+        end: hit.end - from + prefix.length
+      }))
+  };
+}
+
+/**
+ * Lists every field of a session that matches the search terms, with enough
+ * context for the client to link to the session, wake-up and dream.
+ * @param {Object} session - Lean SleepData document
+ * @param {Array<string>} terms - Result of parseSearchTerms
+ * @returns {Array<Object>} Matches: { field, wakeUpId, dreamId, snippet, highlights }
+ */
+function findSessionMatches(session, terms) {
+  const matches = [];
+  const addMatch = (field, text, ids = {}) => {
+    const snippet = buildSnippet(text, terms);
+    if (snippet) matches.push({ field, wakeUpId: null, dreamId: null, ...ids, ...snippet });
+  };
+
+  addMatch('sleepyThoughts', session.sleepyThoughts);
+
+  (session.wakeUps || []).forEach((wakeUp) => {
+    addMatch('dreamJournal', wakeUp.dreamJournal, { wakeUpId: wakeUp._id });
+    (wakeUp.dreams || []).forEach((dream) => {
+      const ids = { wakeUpId: wakeUp._id, dreamId: dream._id };
+      addMatch('dreams.title', dream.title, ids);
+      addMatch('dreams.narrative', dream.narrative, ids);
+      addMatch('dreams.tags', (dream.tags || []).join(', '), ids);
+    });
+  });
+
+  return matches;
+}
+
+module.exports = {
+  escapeRegExp,
+  parseSearchTerms,
+  buildSnippet,
+  findSessionMatches
+};
@@ -0,0 +1,203 @@
+// utils/sleepSessions.js
+// Shared sleep session lifecycle helpers: stale session detection, wake-up
+// time estimation for sessions that were never closed, and cancellation.
+
+const SleepData = require('../models/SleepData');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fallback session length per session type, used when the user has no
+// finished sessions of that type to learn from
+const DEFAULT_SLEEP_DURATION_MS = {
+  main: 8 * HOUR_MS,
+  nap: 1 * HOUR_MS,
+  segmented: 4 * HOUR_MS
+};
+
+// How many recent finished sessions are used to estimate a typical night
+const TYPICAL_DURATION_SAMPLE_SIZE = 30;
+
+/**
+ * Reads a positive number (hours, minutes, ...) from the environment.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number} The configured value
+ */
+function readPositiveNumberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Returns the configured staleness rules.
+ * - STALE_SESSION_HOURS: an open session older than this is stale (default 20)
+ * - STALE_BACK_TO_BED_HOURS: an "awake-in-night" session whose last back-to-bed
+ *   time is older than this is stale (default 12)
+ * @returns {{ maxOpenHours: number, maxHoursSinceBackToBed: number }}
+ */
+function getStaleSessionRules() {
+  return {
+    maxOpenHours: readPositiveNumberFromEnv('STALE_SESSION_HOURS', 20),
+    maxHoursSinceBackToBed: readPositiveNumberFromEnv('STALE_BACK_TO_BED_HOURS', 12)
+  };
+}
+
+/**
+ * Returns how long a cancelled session can be restored, from CANCEL_UNDO_MINUTES
+ * (default 10). After this the session is purged.
+ * @returns {number} Minutes
+ */
+function getCancelUndoWindowMinutes() {
+  return readPositiveNumberFromEnv('CANCEL_UNDO_MINUTES', 10);
+}
+
+/**
+ * Checks whether an open session should be treated as abandoned.
+ * @param {Object} session - SleepData document
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {string|null} The reason the session is stale, or null if it is not
+ */
+function getStaleReason(session, now = new Date()) {
+  if (!session || !SleepData.OPEN_STATUSES.includes(session.status)) return null;
+
+  const rules = getStaleSessionRules();
+  const openForMs = now.getTime() - new Date(session.createdAt).getTime();
+  if (openForMs > rules.maxOpenHours * HOUR_MS) {
+    return `open for more than ${rules.maxOpenHours} hours`;
+  }
+
+  const lastWakeUp = session.wakeUps[session.wakeUps.length - 1];
+  if (lastWakeUp && lastWakeUp.backToBedAt) {
+    const sinceBackToBedMs = now.getTime() - new Date(lastWakeUp.backToBedAt).getTime();
+    if (sinceBackToBedMs > rules.maxHoursSinceBackToBed * HOUR_MS) {
+      return `went back to bed more than ${rules.maxHoursSinceBackToBed} hours ago`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Marks a stale open session as abandoned and saves it.
+ * @param {Object} session - Open SleepData document
+ * @param {string} reason - Why the session is considered abandoned
+ * @returns {Promise<Object>} The saved session
+ */
+async function abandonSession(session, reason) {
+  session.status = 'abandoned';
+  session.abandonment = {
+    abandonedAt: new Date(),
+    reason,
+    reviewed: false
+  };
+  return session.save();
+}
+
+/**
+ * Cancels an open session, keeping it restorable for the undo window.
+ * @param {Object} session - Open SleepData document
+ * @param {string} [reason] - Optional user-provided reason
+ * @returns {Promise<Object>} The saved, cancelled session
+ */
+async function cancelSession(session, reason = '') {
+  const cancelledAt = new Date();
+  session.cancellation = {
+    cancelledAt,
+    reason,
+    previousStatus: session.status,
+    purgeAt: new Date(cancelledAt.getTime() + getCancelUndoWindowMinutes() * 60 * 1000)
+  };
+  session.status = 'cancelled';
+  return session.save();
+}
+
+/**
+ * Restores a cancelled session to the status it had before cancellation.
+ * @param {Object} session - Cancelled SleepData document still inside its undo window
+ * @returns {Promise<Object>} The saved, reopened session
+ */
+async function undoCancellation(session) {
+  session.status = session.cancellation.previousStatus;
+  session.cancellation = null;
+  return session.save();
+}
+
+/**
+ * Finds the user's open session and abandons it if it has gone stale.
+ * @param {string} userId - The user's ObjectId
+ * @returns {Promise<{ activeSession: Object|null, abandonedSession: Object|null }>}
+ */
+async function resolveStaleActiveSession(userId) {
+  const session = await SleepData.findActiveSession(userId);
+  const reason = getStaleReason(session);
+
+  if (!reason) {
+    return { activeSession: session, abandonedSession: null };
+  }
+
+  const abandonedSession = await abandonSession(session, reason);
+  return { activeSession: null, abandonedSession };
+}
+
+/**
+ * Median length of the user's recent finished sessions of one type, from
+ * bedtime to final wake-up. Naps are never mixed with main sleeps.
+ * @param {string} userId - The user's ObjectId
+ * @param {string} [sessionType='main'] - One of SleepData.SESSION_TYPES
+ * @returns {Promise<number>} Duration in milliseconds
+ */
+async function getTypicalSleepDurationMs(userId, sessionType = 'main') {
+  const sessions = await SleepData.find({
+    user: userId,
+    status: 'finished',
+    sessionType: SleepData.sessionTypeCondition(sessionType)
+  })
+    .sort({ createdAt: -1 })
+    .limit(TYPICAL_DURATION_SAMPLE_SIZE)
+    .select('createdAt wakeUps')
+    .lean();
+
+  const durations = sessions
+    .map((session) => {
+      const finalWakeUp = session.wakeUps[session.wakeUps.length - 1];
+      if (!finalWakeUp || !finalWakeUp.awakenAt) return null;
+      return new Date(finalWakeUp.awakenAt).getTime() - new Date(session.createdAt).getTime();
+    })
+    .filter(duration => duration > 0 && duration < 24 * HOUR_MS)
+    .sort((a, b) => a - b);
+
+  if (durations.length === 0) return DEFAULT_SLEEP_DURATION_MS[sessionType] || DEFAULT_SLEEP_DURATION_MS.main;
+  return durations[Math.floor(durations.length / 2)];
+}
+
+/**
+ * Estimates when the user really woke up from a session that was never closed.
+ * Starts from bedtime plus their typical night, never earlier than 30 minutes
+ * after the last back-to-bed time and never in the future.
+ * @param {Object} session - Abandoned or stale SleepData document
+ * @param {number} typicalDurationMs - Result of getTypicalSleepDurationMs
+ * @returns {Date} Estimated wake-up time
+ */
+function estimateWakeUpTime(session, typicalDurationMs) {
+  let estimate = new Date(session.createdAt).getTime() + typicalDurationMs;
+
+  const lastWakeUp = session.wakeUps[session.wakeUps.length - 1];
+  if (lastWakeUp && lastWakeUp.backToBedAt) {
+    estimate = Math.max(estimate, new Date(lastWakeUp.backToBedAt).getTime() + 30 * 60 * 1000);
+  }
+
+  return new Date(Math.min(estimate, Date.now()));
+}
+
+module.exports = {
+  readPositiveNumberFromEnv,
+  getStaleSessionRules,
+  getCancelUndoWindowMinutes,
+  cancelSession,
+  undoCancellation,
+  getStaleReason,
+  abandonSession,
+  resolveStaleActiveSession,
+  getTypicalSleepDurationMs,
+  estimateWakeUpTime
+};
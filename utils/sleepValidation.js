@@ -0,0 +1,542 @@
+// utils/sleepValidation.js
+// Validation shared by the live sleep flow (controllers/goToBed.js) and the
+// sleep data routes (controllers/sleepData.js). Each validator returns
+// { isValid, error } like the bedroom validators in controllers/bedrooms.js.
+
+const SleepData = require('../models/SleepData');
+const { validateTemperature, validateLightLevel, validateNoiseLevel } = require('./bedroomValidation');
+
+// Valid cuddle buddy options - must match the SleepData schema enum
+const VALID_CUDDLE_BUDDIES = ['none', 'pillow', 'stuffed animal', 'pet', 'person'];
+
+// Longest plausible sleep session, used to bound overlap queries
+const MAX_SESSION_LENGTH_MS = 48 * 60 * 60 * 1000;
+
+// How far lights out may be from the moment the session was recorded
+const MAX_LIGHTS_OUT_OFFSET_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Checks that a value can be turned into a real date.
+ * @param {*} value - Date, timestamp or date string
+ * @returns {boolean} True if the value parses to a valid date
+ */
+function isValidDate(value) {
+  return value !== undefined && value !== null && value !== '' && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validates cuddle buddy against allowed enum values
+ * @param {string} cuddleBuddy - The cuddle buddy to validate
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateCuddleBuddy(cuddleBuddy) {
+  if (!cuddleBuddy) return { isValid: true, error: null }; // Optional field
+
+  if (!VALID_CUDDLE_BUDDIES.includes(cuddleBuddy)) {
+    return {
+      isValid: false,
+      error: `Invalid cuddle buddy. Must be one of: ${VALID_CUDDLE_BUDDIES.join(', ')}`
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+// Numeric pre-sleep factors and their allowed ranges (must match the SleepData schema)
+const PRE_SLEEP_NUMBER_RANGES = {
+  caffeineServings: { min: 0, max: 20, integer: true },
+  alcoholDrinks: { min: 0, max: 20, integer: true },
+  screenTimeMinutes: { min: 0, max: 24 * 60, integer: true },
+  stressLevel: { min: 1, max: 10, integer: true }
+};
+
+const PRE_SLEEP_FACTOR_FIELDS = [
+  ...Object.keys(PRE_SLEEP_NUMBER_RANGES),
+  'lastCaffeineAt',
+  'exercise',
+  'heavyMeal',
+  'medications'
+];
+
+// Most medications/supplements a single session can list
+const MAX_MEDICATIONS = 20;
+
+/**
+ * Validates per-night environment overrides with the same rules as bedroom
+ * settings. Only temperature, lightLevel and noiseLevel can be overridden;
+ * null clears an override.
+ * @param {Object} overrides - environmentOverrides from a request body
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateEnvironmentOverrides(overrides) {
+  if (overrides === undefined || overrides === null) return { isValid: true, error: null };
+
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { isValid: false, error: 'Environment overrides must be an object.' };
+  }
+
+  const unknownField = Object.keys(overrides).find(key => !SleepData.ENVIRONMENT_OVERRIDE_FIELDS.includes(key));
+  if (unknownField) {
+    return {
+      isValid: false,
+      error: `Cannot override '${unknownField}'. Allowed overrides: ${SleepData.ENVIRONMENT_OVERRIDE_FIELDS.join(', ')}`
+    };
+  }
+
+  // Empty strings would slip past the optional-field checks below
+  if (overrides.lightLevel === '' || overrides.noiseLevel === '') {
+    return { isValid: false, error: 'Use null, not an empty string, to clear an override.' };
+  }
+
+  for (const validation of [
+    validateTemperature(overrides.temperature),
+    validateLightLevel(overrides.lightLevel),
+    validateNoiseLevel(overrides.noiseLevel)
+  ]) {
+    if (!validation.isValid) return validation;
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates the pre-sleep factors checklist. Every factor is optional and null
+ * means "not answered"; unknown factors are rejected.
+ * @param {Object} factors - preSleepFactors from a request body
+ * @param {Date} [bedtime] - When provided, lastCaffeineAt must be within the
+ *   24 hours before it
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validatePreSleepFactors(factors, bedtime = null) {
+  if (factors === undefined || factors === null) return { isValid: true, error: null };
+
+  if (typeof factors !== 'object' || Array.isArray(factors)) {
+    return { isValid: false, error: 'Pre-sleep factors must be an object.' };
+  }
+
+  const unknownField = Object.keys(factors).find(key => !PRE_SLEEP_FACTOR_FIELDS.includes(key));
+  if (unknownField) {
+    return {
+      isValid: false,
+      error: `Unknown pre-sleep factor '${unknownField}'. Allowed factors: ${PRE_SLEEP_FACTOR_FIELDS.join(', ')}`
+    };
+  }
+
+  for (const [field, range] of Object.entries(PRE_SLEEP_NUMBER_RANGES)) {
+    const value = factors[field];
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'number' || value < range.min || value > range.max || (range.integer && !Number.isInteger(value))) {
+      return { isValid: false, error: `${field} must be a whole number between ${range.min} and ${range.max}.` };
+    }
+  }
+
+  if (factors.exercise !== undefined && factors.exercise !== null && !SleepData.EXERCISE_LEVELS.includes(factors.exercise)) {
+    return {
+      isValid: false,
+      error: `Invalid exercise level. Must be one of: ${SleepData.EXERCISE_LEVELS.join(', ')}`
+    };
+  }
+
+  if (factors.heavyMeal !== undefined && factors.heavyMeal !== null && typeof factors.heavyMeal !== 'boolean') {
+    return { isValid: false, error: 'heavyMeal must be true or false.' };
+  }
+
+  if (factors.lastCaffeineAt !== undefined && factors.lastCaffeineAt !== null) {
+    if (!isValidDate(factors.lastCaffeineAt)) {
+      return { isValid: false, error: 'Invalid time format for lastCaffeineAt.' };
+    }
+    if (factors.caffeineServings === 0) {
+      return { isValid: false, error: 'lastCaffeineAt cannot be set when caffeineServings is 0.' };
+    }
+    const lastCaffeineAt = new Date(factors.lastCaffeineAt);
+    if (bedtime && (lastCaffeineAt > bedtime || bedtime - lastCaffeineAt > 24 * 60 * 60 * 1000)) {
+      return { isValid: false, error: 'lastCaffeineAt must be within the 24 hours before bedtime.' };
+    }
+  }
+
+  if (factors.medications !== undefined && factors.medications !== null) {
+    if (!Array.isArray(factors.medications) || factors.medications.length > MAX_MEDICATIONS) {
+      return { isValid: false, error: `Medications must be a list of at most ${MAX_MEDICATIONS} entries.` };
+    }
+    const invalid = factors.medications.find(entry => typeof entry !== 'string' || !entry.trim() || entry.length > 100);
+    if (invalid !== undefined) {
+      return { isValid: false, error: 'Each medication must be non-empty text of at most 100 characters.' };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates an optional session type against SleepData.SESSION_TYPES
+ * @param {string} sessionType - The session type to validate
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateSessionType(sessionType) {
+  if (sessionType === undefined || sessionType === null) return { isValid: true, error: null };
+
+  if (!SleepData.SESSION_TYPES.includes(sessionType)) {
+    return {
+      isValid: false,
+      error: `Invalid session type. Must be one of: ${SleepData.SESSION_TYPES.join(', ')}`
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates an optional UTC offset in minutes (-840 to 840)
+ * @param {*} utcOffsetMinutes - The offset to validate
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateUtcOffset(utcOffsetMinutes) {
+  if (utcOffsetMinutes === undefined || utcOffsetMinutes === null) return { isValid: true, error: null };
+
+  if (!Number.isInteger(utcOffsetMinutes) || Math.abs(utcOffsetMinutes) > 14 * 60) {
+    return { isValid: false, error: 'UTC offset must be a whole number of minutes between -840 and 840.' };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates the optional lights-out and sleep-onset times of a session.
+ * Lights out must be within 12 hours of when the session was recorded; sleep
+ * onset must come after lights out (or the session start) and before the
+ * first wake-up. Null clears a value and is always valid.
+ * @param {Object} times
+ * @param {Date} times.createdAt - When the session was recorded
+ * @param {*} [times.lightsOutAt] - Proposed lights-out time
+ * @param {*} [times.sleepOnsetAt] - Proposed sleep-onset time
+ * @param {Array} [times.wakeUps] - The session's wake-ups
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateSleepOnsetTimes({ createdAt, lightsOutAt, sleepOnsetAt, wakeUps = [] }) {
+  if (lightsOutAt !== undefined && lightsOutAt !== null && !isValidDate(lightsOutAt)) {
+    return { isValid: false, error: 'Invalid lights-out time format.' };
+  }
+
+  if (sleepOnsetAt !== undefined && sleepOnsetAt !== null && !isValidDate(sleepOnsetAt)) {
+    return { isValid: false, error: 'Invalid sleep onset time format.' };
+  }
+
+  const recordedAt = new Date(createdAt);
+  const lightsOut = lightsOutAt ? new Date(lightsOutAt) : null;
+  const onset = sleepOnsetAt ? new Date(sleepOnsetAt) : null;
+
+  if (lightsOut && Math.abs(lightsOut - recordedAt) > MAX_LIGHTS_OUT_OFFSET_MS) {
+    return { isValid: false, error: 'Lights-out time must be within 12 hours of the session start.' };
+  }
+
+  if (onset && onset < (lightsOut || recordedAt)) {
+    return { isValid: false, error: 'Sleep onset cannot be before lights out.' };
+  }
+
+  const firstWakeUp = wakeUps[0];
+  const firstAwakenAt = firstWakeUp && firstWakeUp.awakenAt ? new Date(firstWakeUp.awakenAt) : null;
+
+  if (firstAwakenAt && lightsOut && lightsOut >= firstAwakenAt) {
+    return { isValid: false, error: 'Lights out must be before the first wake-up.' };
+  }
+
+  if (firstAwakenAt && onset && onset >= firstAwakenAt) {
+    return { isValid: false, error: 'Sleep onset must be before the first wake-up.' };
+  }
+
+  return { isValid: true, error: null };
+}
+
+// Fields a dream journal entry may contain
+const DREAM_FIELDS = ['title', 'narrative', 'lucid', 'nightmare', 'recurring', 'vividness', 'emotionalTone', 'tags'];
+
+/**
+ * Validates a single structured dream entry
+ * @param {Object} dream - Dream from a request body
+ * @param {string} [prefix] - Prepended to error messages (e.g. "Dream 2: ")
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateDream(dream, prefix = '') {
+  const limits = SleepData.DREAM_LIMITS;
+
+  if (!dream || typeof dream !== 'object' || Array.isArray(dream)) {
+    return { isValid: false, error: `${prefix}Dream must be an object.` };
+  }
+
+  const unknownField = Object.keys(dream).find(key => key !== '_id' && !DREAM_FIELDS.includes(key));
+  if (unknownField) {
+    return { isValid: false, error: `${prefix}Unknown dream field '${unknownField}'. Allowed fields: ${DREAM_FIELDS.join(', ')}` };
+  }
+
+  const { title = '', narrative = '', vividness, emotionalTone, tags } = dream;
+
+  if (typeof title !== 'string' || title.length > limits.titleMaxLength) {
+    return { isValid: false, error: `${prefix}Title must be text of at most ${limits.titleMaxLength} characters.` };
+  }
+
+  if (typeof narrative !== 'string' || narrative.length > limits.narrativeMaxLength) {
+    return { isValid: false, error: `${prefix}Narrative must be text of at most ${limits.narrativeMaxLength} characters.` };
+  }
+
+  if (!title.trim() && !narrative.trim()) {
+    return { isValid: false, error: `${prefix}A dream needs a title or a narrative.` };
+  }
+
+  const invalidFlag = ['lucid', 'nightmare', 'recurring']
+    .find(flag => dream[flag] !== undefined && typeof dream[flag] !== 'boolean');
+  if (invalidFlag) {
+    return { isValid: false, error: `${prefix}${invalidFlag} must be true or false.` };
+  }
+
+  if (vividness !== undefined && vividness !== null &&
+      (!Number.isInteger(vividness) || vividness < 1 || vividness > 10)) {
+    return { isValid: false, error: `${prefix}Vividness must be a whole number between 1 and 10.` };
+  }
+
+  if (emotionalTone !== undefined && emotionalTone !== null &&
+      (!Number.isInteger(emotionalTone) || emotionalTone < -5 || emotionalTone > 5)) {
+    return { isValid: false, error: `${prefix}Emotional tone must be a whole number between -5 and 5.` };
+  }
+
+  if (tags !== undefined && tags !== null) {
+    if (!Array.isArray(tags) || tags.length > limits.maxTags) {
+      return { isValid: false, error: `${prefix}Tags must be a list of at most ${limits.maxTags} entries.` };
+    }
+    const invalidTag = tags.find(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > limits.tagMaxLength);
+    if (invalidTag !== undefined) {
+      return { isValid: false, error: `${prefix}Each tag must be non-empty text of at most ${limits.tagMaxLength} characters.` };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates the dreams of a wake-up, in either shape accepted during the
+ * transition to structured dreams: a `dreams` array and/or a legacy
+ * `dreamJournal` string.
+ * @param {Object} wakeUp - Wake-up event from a request body
+ * @param {string} [prefix] - Prepended to error messages
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateWakeUpDreams(wakeUp, prefix = '') {
+  const { dreams, dreamJournal } = wakeUp;
+
+  if (dreamJournal !== undefined && dreamJournal !== null &&
+      (typeof dreamJournal !== 'string' || dreamJournal.length > SleepData.DREAM_LIMITS.narrativeMaxLength)) {
+    return {
+      isValid: false,
+      error: `${prefix}Dream journal must be text of at most ${SleepData.DREAM_LIMITS.narrativeMaxLength} characters.`
+    };
+  }
+
+  if (dreams === undefined || dreams === null) return { isValid: true, error: null };
+
+  if (!Array.isArray(dreams) || dreams.length > SleepData.DREAM_LIMITS.maxDreamsPerWakeUp) {
+    return {
+      isValid: false,
+      error: `${prefix}Dreams must be a list of at most ${SleepData.DREAM_LIMITS.maxDreamsPerWakeUp} entries.`
+    };
+  }
+
+  for (let i = 0; i < dreams.length; i++) {
+    const dreamValidation = validateDream(dreams[i], `${prefix}Dream ${i + 1}: `);
+    if (!dreamValidation.isValid) return dreamValidation;
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates the fields of a single wake-up event
+ * @param {Object} wakeUp - Wake-up event from a request body
+ * @param {string} [prefix] - Prepended to error messages (e.g. "Wake-up 2: ")
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateWakeUp(wakeUp, prefix = '') {
+  if (!wakeUp || typeof wakeUp !== 'object') {
+    return { isValid: false, error: `${prefix}Wake-up must be an object.` };
+  }
+
+  const { sleepQuality, awakenAt, backToBedAt, finishedSleeping } = wakeUp;
+
+  if (sleepQuality === undefined || sleepQuality === null) {
+    return { isValid: false, error: `${prefix}Sleep quality rating is required for wake-up events.` };
+  }
+
+  if (typeof sleepQuality !== 'number' || sleepQuality < 1 || sleepQuality > 10) {
+    return { isValid: false, error: `${prefix}Sleep quality must be a number between 1 and 10.` };
+  }
+
+  if (awakenAt && !isValidDate(awakenAt)) {
+    return { isValid: false, error: `${prefix}Invalid awakening time format.` };
+  }
+
+  if (backToBedAt && !isValidDate(backToBedAt)) {
+    return { isValid: false, error: `${prefix}Invalid back-to-bed time format.` };
+  }
+
+  if (finishedSleeping && backToBedAt) {
+    return { isValid: false, error: `${prefix}Cannot set back-to-bed time when finished sleeping.` };
+  }
+
+  return validateWakeUpDreams(wakeUp, prefix);
+}
+
+/**
+ * Validates the order of a session's wake-ups.
+ * Wake-ups must follow bedtime in chronological order, and every wake-up that
+ * is not the final one needs a back-to-bed time. A complete night must end
+ * with exactly one final wake-up; an open night may not contain one.
+ * @param {Date} bedtime - When the user went to bed
+ * @param {Array} wakeUps - Wake-up events (already passed validateWakeUp)
+ * @param {Object} [options]
+ * @param {boolean} [options.complete=true] - Whether the night has finished
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateTimeline(bedtime, wakeUps, { complete = true, now = new Date() } = {}) {
+  if (!Array.isArray(wakeUps)) {
+    return { isValid: false, error: 'Wake-ups must be an array.' };
+  }
+
+  if (complete && wakeUps.length === 0) {
+    return { isValid: false, error: 'At least one wake-up is required to log a completed night.' };
+  }
+
+  if (bedtime > now) {
+    return { isValid: false, error: 'Bedtime cannot be in the future.' };
+  }
+
+  let previousTime = bedtime;
+
+  for (let i = 0; i < wakeUps.length; i++) {
+    const wakeUp = wakeUps[i];
+    const isFinal = complete && i === wakeUps.length - 1;
+    const label = `Wake-up ${i + 1}`;
+
+    if (!isValidDate(wakeUp.awakenAt)) {
+      return { isValid: false, error: `${label}: awakenAt is required.` };
+    }
+
+    const awakenAt = new Date(wakeUp.awakenAt);
+    if (awakenAt <= previousTime) {
+      return { isValid: false, error: `${label}: awakenAt must be after the previous bedtime.` };
+    }
+    if (awakenAt > now) {
+      return { isValid: false, error: `${label}: awakenAt cannot be in the future.` };
+    }
+
+    if (isFinal) {
+      if (wakeUp.finishedSleeping === false) {
+        return { isValid: false, error: `${label}: the last wake-up must have finishedSleeping=true.` };
+      }
+      continue;
+    }
+
+    if (wakeUp.finishedSleeping === true) {
+      return {
+        isValid: false,
+        error: complete
+          ? `${label}: only the last wake-up can have finishedSleeping=true.`
+          : `${label}: a session that is still open cannot have a final wake-up.`
+      };
+    }
+    if (!isValidDate(wakeUp.backToBedAt)) {
+      return { isValid: false, error: `${label}: backToBedAt is required for wake-ups before the last one.` };
+    }
+    const backToBedAt = new Date(wakeUp.backToBedAt);
+    if (backToBedAt < awakenAt) {
+      return { isValid: false, error: `${label}: backToBedAt must be after awakenAt.` };
+    }
+    previousTime = backToBedAt;
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validates a complete, finished night (see validateTimeline).
+ * @param {Date} bedtime - When the user went to bed
+ * @param {Array} wakeUps - Wake-up events (already passed validateWakeUp)
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateCompletedTimeline(bedtime, wakeUps, now = new Date()) {
+  return validateTimeline(bedtime, wakeUps, { complete: true, now });
+}
+
+/**
+ * Validates a stored session's wake-ups against its status: finished sessions
+ * must end with a final wake-up, while open and abandoned ones may not have one.
+ * @param {Object} session - SleepData document
+ * @returns {Object} - { isValid: boolean, error: string|null }
+ */
+function validateSessionTimeline(session) {
+  return validateTimeline(new Date(session.createdAt), session.wakeUps, {
+    complete: session.status === 'finished'
+  });
+}
+
+/**
+ * Works out when a session ended.
+ * @param {Object} session - SleepData document or lean object
+ * @returns {Date|null} Final wake-up time, or null if the session never finished
+ */
+function getSessionEnd(session) {
+  const wakeUps = session.wakeUps || [];
+  const lastWakeUp = wakeUps[wakeUps.length - 1];
+  if (!lastWakeUp || lastWakeUp.finishedSleeping === false || !lastWakeUp.awakenAt) return null;
+  return new Date(lastWakeUp.awakenAt);
+}
+
+/**
+ * Finds one of the user's sessions that overlaps the given time span.
+ * Open sessions are treated as running until now.
+ * @param {string} userId - The user's ObjectId
+ * @param {Date} start - Span start (bedtime)
+ * @param {Date} end - Span end (final wake-up)
+ * @param {string} [excludeId] - Session to ignore (when editing)
+ * @returns {Promise<Object|null>} The first overlapping session, if any
+ */
+async function findOverlappingSession(userId, start, end, excludeId = null) {
+  const query = {
+    user: userId,
+    status: { $nin: SleepData.HIDDEN_STATUSES },
+    createdAt: { $lt: end, $gt: new Date(start.getTime() - MAX_SESSION_LENGTH_MS) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await SleepData.find(query)
+    .select('createdAt wakeUps status')
+    .lean();
+
+  return candidates.find((session) => {
+    const sessionEnd = SleepData.OPEN_STATUSES.includes(session.status)
+      ? new Date()
+      : getSessionEnd(session);
+    // Abandoned sessions without a final wake-up only block their own bedtime
+    const effectiveEnd = sessionEnd || new Date(session.createdAt);
+    return session.createdAt < end && effectiveEnd > start;
+  }) || null;
+}
+
+module.exports = {
+  VALID_CUDDLE_BUDDIES,
+  isValidDate,
+  validateCuddleBuddy,
+  validateSessionType,
+  validateUtcOffset,
+  validatePreSleepFactors,
+  validateEnvironmentOverrides,
+  validateDream,
+  validateWakeUpDreams,
+  validateWakeUp,
+  validateSleepOnsetTimes,
+  validateTimeline,
+  validateCompletedTimeline,
+  validateSessionTimeline,
+  getSessionEnd,
+  findOverlappingSession
+};
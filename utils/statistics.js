@@ -0,0 +1,193 @@
+// utils/statistics.js
+// Small, dependency-free statistics for sleep analytics: descriptive stats,
+// Pearson correlation, one-way ANOVA and the F distribution p-values behind
+// them. Everything runs in-process over the user's own data.
+
+/**
+ * Arithmetic mean.
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Mean, or null for an empty list
+ */
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator).
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Standard deviation, or null with fewer than two values
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation).
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (Numerical Recipes betacf).
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Value in [0, 1]
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Upper-tail p-value of an F statistic.
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} P(F' >= f)
+ */
+function fTestPValue(f, df1, df2) {
+  if (!Number.isFinite(f)) return 0;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Pearson correlation with a two-sided p-value and a 95% confidence interval
+ * (Fisher z-transformation).
+ * @param {Array<number>} xs - First variable
+ * @param {Array<number>} ys - Second variable, paired with xs
+ * @returns {Object|null} { r, pValue, confidenceInterval: [low, high], n }, or
+ *   null with fewer than four pairs or when either variable never changes
+ */
+function pearsonCorrelation(xs, ys) {
+  const n = xs.length;
+  if (n < 4) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+
+  const r = Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+  const t2 = r * r === 1 ? Infinity : (r * r * (n - 2)) / (1 - r * r);
+  const z = Math.atanh(Math.max(-0.999999, Math.min(0.999999, r)));
+  const margin = 1.96 / Math.sqrt(n - 3);
+
+  return {
+    r,
+    pValue: fTestPValue(t2, 1, n - 2),
+    confidenceInterval: [Math.tanh(z - margin), Math.tanh(z + margin)],
+    n
+  };
+}
+
+/**
+ * One-way analysis of variance across groups.
+ * @param {Array<Array<number>>} groups - Values per group (at least two groups)
+ * @returns {Object|null} { etaSquared, f, pValue, n }, or null when there is
+ *   no variation to explain or no within-group degrees of freedom
+ */
+function oneWayAnova(groups) {
+  const all = groups.flat();
+  const n = all.length;
+  const k = groups.length;
+  if (k < 2 || n <= k) return null;
+
+  const grandMean = mean(all);
+  const totalSquares = all.reduce((sum, value) => sum + (value - grandMean) ** 2, 0);
+  if (totalSquares === 0) return null;
+
+  const betweenSquares = groups.reduce((sum, group) => sum + group.length * (mean(group) - grandMean) ** 2, 0);
+  const withinSquares = totalSquares - betweenSquares;
+  const f = withinSquares > 0
+    ? (betweenSquares / (k - 1)) / (withinSquares / (n - k))
+    : Infinity;
+
+  return {
+    etaSquared: betweenSquares / totalSquares,
+    f,
+    pValue: fTestPValue(f, k - 1, n - k),
+    n
+  };
+}
+
+module.exports = {
+  mean,
+  standardDeviation,
+  fTestPValue,
+  pearsonCorrelation,
+  oneWayAnova
+};
@@ -0,0 +1,174 @@
+// utils/timeZones.js
+// IANA time zone helpers built on Intl, so local wall-clock times (a bedtime
+// of "22:30" in "Europe/Berlin") can be turned into UTC instants and back
+// without a date library.
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Checks that a string is a time zone the runtime knows (e.g. "America/New_York").
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if the zone is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Splits an instant into its wall-clock parts in a time zone.
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ *   month is 1-12, weekday is 0 (Sunday) to 6 (Saturday)
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  const year = value('year');
+  const month = value('month');
+  const day = value('day');
+
+  return {
+    year,
+    month,
+    day,
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes
+ * (e.g. -300 for New York in winter).
+ * @param {Date} date - Instant at which to measure the offset
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in minutes
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a UTC instant.
+ * Times skipped by a daylight saving jump resolve to the later offset.
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number }} local - month is 1-12
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The matching instant
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Two passes settle the offset around daylight saving changes
+  let result = asUtc - getTimeZoneOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+  result = asUtc - getTimeZoneOffsetMinutes(new Date(result), timeZone) * 60000;
+  return new Date(result);
+}
+
+/**
+ * Local midnight at the start of a YYYY-MM-DD date, as a UTC instant.
+ * @param {string} date - Calendar date
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The matching instant
+ */
+function startOfZonedDay(date, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+/**
+ * Formats the local calendar date of an instant as YYYY-MM-DD.
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Local date
+ */
+function formatZonedDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Shifts a YYYY-MM-DD calendar date by a number of days.
+ * @param {string} date - Calendar date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the week a YYYY-MM-DD date falls in.
+ * @param {string} date - Calendar date
+ * @returns {string} Week start date
+ */
+function getWeekStart(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * Local clock time of an instant, in minutes after midnight.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Minutes after midnight (0-1439)
+ */
+function getZonedClockMinutes(date, timeZone) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Formats minutes after midnight as HH:MM. Values are rounded and wrapped
+ * into a single day.
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Clock time
+ */
+function formatClockMinutes(minutes) {
+  const wrapped = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Signed minutes from one clock time to another, taking the shorter way
+ * round midnight (00:10 against 23:50 is +20, not -1420).
+ * @param {number} actual - Minutes after midnight
+ * @param {number} reference - Minutes after midnight to compare against
+ * @returns {number} Positive when `actual` is later than `reference`
+ */
+function clockDeviation(actual, reference) {
+  const half = MINUTES_PER_DAY / 2;
+  return ((actual - reference + half) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY - half;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMinutes,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  formatZonedDate,
+  addDays,
+  getWeekStart,
+  getZonedClockMinutes,
+  formatClockMinutes,
+  clockDeviation
+};
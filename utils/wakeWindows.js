@@ -0,0 +1,177 @@
+// utils/wakeWindows.js
+// Sleep-cycle-aware wake-up and bedtime suggestions. Sleep runs in cycles of
+// roughly 90 minutes and waking at the end of one feels easier than waking in
+// the middle. The cycle length and the time it takes to fall asleep start from
+// textbook defaults and shift towards the user's own history as finished
+// nights (with sleep onset estimates and quality ratings) accumulate.
+
+const SleepData = require('../models/SleepData');
+const { getSleepOnset, computeSleepMetrics } = require('./sleepMetrics');
+
+const MINUTE_MS = 60 * 1000;
+
+// Textbook starting points, used until the user has history of their own
+const DEFAULT_CYCLE_MINUTES = 90;
+const DEFAULT_ONSET_LATENCY_MINUTES = 15;
+
+// Learned cycle lengths are kept within this range
+const MIN_CYCLE_MINUTES = 80;
+const MAX_CYCLE_MINUTES = 110;
+
+// Final wake-ups rated at least this high are taken to have landed on a cycle boundary
+const GOOD_WAKE_QUALITY = 7;
+
+// How many recent main sleeps are examined, and how many samples it takes
+// before the user's own numbers fully replace the defaults
+const PROFILE_SAMPLE_SIZE = 30;
+const FULL_CONFIDENCE_SAMPLES = 10;
+
+// Cycle counts offered for a main sleep and for a nap
+const MAIN_SLEEP_CYCLES = [4, 5, 6];
+const NAP_CYCLES = [1];
+
+// A short nap that ends before deep sleep sets in
+const POWER_NAP_MINUTES = 20;
+
+/**
+ * Median of a list of numbers.
+ * @param {Array<number>} values - Unsorted values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Blends a default with a learned value, trusting the learned one more as
+ * samples accumulate.
+ * @param {number} fallback - Default value
+ * @param {number|null} learned - Value from the user's history
+ * @param {number} samples - How many samples the learned value is based on
+ * @returns {number} Blended value
+ */
+function blend(fallback, learned, samples) {
+  if (learned === null) return fallback;
+  const weight = Math.min(1, samples / FULL_CONFIDENCE_SAMPLES);
+  return fallback * (1 - weight) + learned * weight;
+}
+
+/**
+ * Works out the user's sleep cycle length and how long they take to fall
+ * asleep from their recent finished main sleeps.
+ *
+ * - Onset latency: median of nights where a sleep onset time was recorded
+ * - Cycle length: for well-rated final wake-ups, the time asleep between
+ *   sleep onset and waking (night-time wakings excluded) divided by the
+ *   nearest whole number of cycles
+ *
+ * @param {string} userId - The user's ObjectId
+ * @returns {Promise<Object>} { cycleMinutes, onsetLatencyMinutes, samples: { cycle, onsetLatency } }
+ */
+async function getSleepCycleProfile(userId) {
+  const sessions = await SleepData.find({
+    user: userId,
+    status: 'finished',
+    sessionType: SleepData.sessionTypeCondition('main')
+  })
+    .sort({ createdAt: -1 })
+    .limit(PROFILE_SAMPLE_SIZE)
+    .select('createdAt lightsOutAt sleepOnsetAt wakeUps')
+    .lean();
+
+  const latencies = [];
+  const cycleLengths = [];
+
+  sessions.forEach((session) => {
+    if (session.sleepOnsetAt) {
+      latencies.push(computeSleepMetrics(session).sleepOnsetLatencyMinutes);
+    }
+
+    const finalWakeUp = session.wakeUps[session.wakeUps.length - 1];
+    if (!finalWakeUp || !finalWakeUp.awakenAt || finalWakeUp.sleepQuality < GOOD_WAKE_QUALITY) return;
+
+    // Without a recorded onset, assume the default time to fall asleep
+    const onset = session.sleepOnsetAt
+      ? new Date(session.sleepOnsetAt)
+      : new Date(getSleepOnset(session).getTime() + DEFAULT_ONSET_LATENCY_MINUTES * MINUTE_MS);
+    // Time actually asleep: wakings during the night would otherwise stretch the cycles
+    const asleepMinutes = computeSleepMetrics({ ...session, sleepOnsetAt: onset }).totalSleepMinutes;
+    const cycles = Math.round(asleepMinutes / DEFAULT_CYCLE_MINUTES);
+    if (cycles < 3 || cycles > 7) return;
+
+    const cycleLength = asleepMinutes / cycles;
+    if (cycleLength >= MIN_CYCLE_MINUTES && cycleLength <= MAX_CYCLE_MINUTES) {
+      cycleLengths.push(cycleLength);
+    }
+  });
+
+  return {
+    cycleMinutes: Math.round(blend(DEFAULT_CYCLE_MINUTES, median(cycleLengths), cycleLengths.length)),
+    onsetLatencyMinutes: Math.round(blend(DEFAULT_ONSET_LATENCY_MINUTES, median(latencies), latencies.length)),
+    samples: {
+      cycle: cycleLengths.length,
+      onsetLatency: latencies.length
+    }
+  };
+}
+
+/**
+ * Suggests wake-up times that fall on estimated cycle boundaries.
+ * @param {Object} session - SleepData document being started
+ * @param {Object} profile - Result of getSleepCycleProfile
+ * @returns {Array<Object>} Suggestions in time order: { wakeAt, cycles, sleepMinutes }
+ */
+function suggestWakeTimes(session, profile) {
+  // A recorded sleep onset beats the estimate from the user's usual latency
+  const onset = session.sleepOnsetAt
+    ? new Date(session.sleepOnsetAt)
+    : new Date(getSleepOnset(session).getTime() + profile.onsetLatencyMinutes * MINUTE_MS);
+
+  const suggestions = [];
+  if (session.sessionType === 'nap') {
+    suggestions.push({
+      wakeAt: new Date(onset.getTime() + POWER_NAP_MINUTES * MINUTE_MS),
+      cycles: 0,
+      sleepMinutes: POWER_NAP_MINUTES
+    });
+  }
+
+  const cycleCounts = session.sessionType === 'nap' ? NAP_CYCLES : MAIN_SLEEP_CYCLES;
+  cycleCounts.forEach((cycles) => {
+    const sleepMinutes = cycles * profile.cycleMinutes;
+    suggestions.push({
+      wakeAt: new Date(onset.getTime() + sleepMinutes * MINUTE_MS),
+      cycles,
+      sleepMinutes
+    });
+  });
+
+  return suggestions;
+}
+
+/**
+ * Suggests bedtimes for a desired wake-up time, so that the user wakes on a
+ * cycle boundary. Bedtimes that have already passed are left out.
+ * @param {Date} wakeAt - Desired wake-up time
+ * @param {Object} profile - Result of getSleepCycleProfile
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Array<Object>} Latest bedtime first: { bedtime, cycles, sleepMinutes }
+ */
+function suggestBedtimes(wakeAt, profile, now = new Date()) {
+  return [...MAIN_SLEEP_CYCLES]
+    .sort((a, b) => a - b)
+    .map((cycles) => {
+      const sleepMinutes = cycles * profile.cycleMinutes;
+      const bedtime = new Date(wakeAt.getTime() - (sleepMinutes + profile.onsetLatencyMinutes) * MINUTE_MS);
+      return { bedtime, cycles, sleepMinutes };
+    })
+    .filter(suggestion => suggestion.bedtime > now);
+}
+
+module.exports = {
+  getSleepCycleProfile,
+  suggestWakeTimes,
+  suggestBedtimes
+};